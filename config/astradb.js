@@ -1,11 +1,13 @@
 const { DataAPIClient } = require('@datastax/astra-db-ts');
 require('dotenv').config();
+const { defaultSpace } = require('./embeddingSpaces');
 
 class AstraDBConnection {
   constructor() {
     this.client = null;
     this.db = null;
     this.collection = null;
+    this.collections = new Map();
     this.isConnected = false;
   }
 
@@ -48,11 +50,11 @@ class AstraDBConnection {
       console.log(`📦 Creating/accessing memory embeddings collection...`);
       
       try {
-        // Try to create the collection with 90-dimensional vectors
-        this.collection = await this.db.createCollection('memory_embeddings', {
+        // Try to create the collection with the default embedding space's vectors
+        this.collection = await this.db.createCollection(defaultSpace.collection, {
           vector: {
-            dimension: 90, // Engineered features from Component 4
-            metric: 'cosine'
+            dimension: defaultSpace.dimension,
+            metric: defaultSpace.metric
           }
         });
         console.log('✅ Memory embeddings collection created successfully');
@@ -60,7 +62,7 @@ class AstraDBConnection {
         if (collectionError.message.includes('already exists')) {
           // Collection exists, just get it
           console.log('📦 Memory embeddings collection already exists, accessing it...');
-          this.collection = this.db.collection('memory_embeddings');
+          this.collection = this.db.collection(defaultSpace.collection);
           console.log('✅ Memory embeddings collection accessed successfully');
         } else {
           throw collectionError;
@@ -101,6 +103,31 @@ Make sure it has the correct permissions for your database.
     }
   }
 
+  // Create or access an auxiliary collection (statistics, jobs, ...) in the same keyspace
+  async getCollection(name, options = {}) {
+    if (!this.isConnected) {
+      await this.connect();
+    }
+
+    if (this.collections.has(name)) {
+      return this.collections.get(name);
+    }
+
+    let collection;
+    try {
+      collection = await this.db.createCollection(name, options);
+    } catch (collectionError) {
+      if (collectionError.message.includes('already exists')) {
+        collection = this.db.collection(name);
+      } else {
+        throw collectionError;
+      }
+    }
+
+    this.collections.set(name, collection);
+    return collection;
+  }
+
   validateConfig() {
     const requiredVars = [
       'ASTRA_DB_APPLICATION_TOKEN',
@@ -124,6 +151,7 @@ Make sure it has the correct permissions for your database.
         // Just mark as disconnected
         this.isConnected = false;
         this.collection = null;
+        this.collections.clear();
         this.db = null;
         this.client = null;
         console.log('✅ Disconnected from AstraDB Memory Embeddings');
@@ -146,8 +174,10 @@ Make sure it has the correct permissions for your database.
       return {
         status: 'healthy',
         connected: this.isConnected,
-        collection: 'memory_embeddings',
-        vectorDimensions: stats.vector?.dimension || 90,
+        backend: 'astradb',
+        collection: defaultSpace.collection,
+        embeddingSpace: defaultSpace.name,
+        vectorDimensions: stats.vector?.dimension || defaultSpace.dimension,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,98 @@
+require('dotenv').config();
+
+// Named embedding spaces.
+//
+// Each space has its own vector dimension and similarity metric and is stored in its own
+// collection, so a new feature extractor can be adopted next to the vectors already
+// stored. Spaces are configured as a comma-separated list of
+// name:dimension:metric[:collection], e.g.
+//
+//   EMBEDDING_SPACES=features_v1:90:cosine:memory_embeddings,text_v2:384:dot_product
+//   DEFAULT_EMBEDDING_SPACE=features_v1
+//
+// The collection defaults to memory_embeddings_<name>. The default space is the one
+// returned by storage.connect(); requests use it unless they select another space.
+
+const SUPPORTED_METRICS = ['cosine', 'dot_product', 'euclidean'];
+
+const MAX_VECTOR_DIMENSIONS = parseInt(process.env.MAX_VECTOR_DIMENSIONS) || 4096;
+
+const DEFAULT_SPACES = 'features_v1:90:cosine:memory_embeddings';
+
+const SPACE_NAME_PATTERN = /^[a-z][a-z0-9_]{0,47}$/;
+
+const parseSpace = (entry) => {
+  const [name, dimension, metric = 'cosine', collection = `memory_embeddings_${name}`] = entry.trim().split(':');
+
+  if (!SPACE_NAME_PATTERN.test(name || '')) {
+    throw new Error(`Invalid embedding space name '${name}': use lowercase letters, digits and underscores`);
+  }
+
+  const parsedDimension = Number(dimension);
+  if (!Number.isInteger(parsedDimension) || parsedDimension < 1 || parsedDimension > MAX_VECTOR_DIMENSIONS) {
+    throw new Error(`Invalid dimension for embedding space '${name}': expected an integer between 1 and ${MAX_VECTOR_DIMENSIONS}`);
+  }
+
+  if (!SUPPORTED_METRICS.includes(metric)) {
+    throw new Error(`Invalid metric for embedding space '${name}': expected one of ${SUPPORTED_METRICS.join(', ')}`);
+  }
+
+  return { name, dimension: parsedDimension, metric, collection };
+};
+
+const loadSpaces = () => {
+  const spaces = new Map();
+
+  (process.env.EMBEDDING_SPACES || DEFAULT_SPACES)
+    .split(',')
+    .filter(entry => entry.trim())
+    .forEach(entry => {
+      const space = parseSpace(entry);
+      if (spaces.has(space.name)) {
+        throw new Error(`Embedding space '${space.name}' is configured twice`);
+      }
+      if (Array.from(spaces.values()).some(other => other.collection === space.collection)) {
+        throw new Error(`Embedding spaces cannot share the collection '${space.collection}'`);
+      }
+      spaces.set(space.name, space);
+    });
+
+  const defaultName = process.env.DEFAULT_EMBEDDING_SPACE || spaces.keys().next().value;
+  if (!spaces.has(defaultName)) {
+    throw new Error(`DEFAULT_EMBEDDING_SPACE '${defaultName}' is not a configured embedding space`);
+  }
+
+  spaces.forEach(space => {
+    space.default = space.name === defaultName;
+    Object.freeze(space);
+  });
+
+  return { spaces, defaultSpace: spaces.get(defaultName) };
+};
+
+const { spaces, defaultSpace } = loadSpaces();
+
+// Configuration of a space by name; the default space when no name is given
+const getSpace = (name) => {
+  if (name === undefined || name === null || name === '') {
+    return defaultSpace;
+  }
+
+  const space = spaces.get(name);
+  if (!space) {
+    const error = new Error(`Unknown embedding space '${name}'. Expected one of: ${Array.from(spaces.keys()).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return space;
+};
+
+const listSpaces = () => Array.from(spaces.values());
+
+module.exports = {
+  SUPPORTED_METRICS,
+  MAX_VECTOR_DIMENSIONS,
+  defaultSpace,
+  getSpace,
+  listSpaces
+};
@@ -0,0 +1,453 @@
+const { randomUUID } = require('crypto');
+const { cosineSimilarity, similarityFor } = require('../utils/vectorMath');
+const { defaultSpace } = require('./embeddingSpaces');
+
+// In-process implementation of the collection subset MemoryEmbeddingService relies on.
+// Mirrors the AstraDB Data API semantics closely enough that the service can run
+// offline: equality / $gt / $gte / $lt / $lte / $in / $nin / $ne / $exists filters,
+// $and / $or / $not, array-contains matching, and brute-force cosine vector sort.
+
+// Resolve a dotted path (e.g. 'gate_scores.forget_score') against a document
+const getPath = (doc, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (target[keys[i]] == null || typeof target[keys[i]] !== 'object') {
+      target[keys[i]] = {};
+    }
+    target = target[keys[i]];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const valuesEqual = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (Array.isArray(a) || isPlainObject(a)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+const compare = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Arrays match a scalar condition when any element matches, as in the Data API
+const matchesValue = (fieldValue, predicate, matchWholeArray = false) => {
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.some(item => predicate(item)) || (matchWholeArray && predicate(fieldValue));
+  }
+  return predicate(fieldValue);
+};
+
+const matchesCondition = (fieldValue, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    return matchesValue(fieldValue, value => valuesEqual(value, condition), true);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesValue(fieldValue, value => valuesEqual(value, operand), true);
+      case '$ne':
+        return !matchesValue(fieldValue, value => valuesEqual(value, operand), true);
+      case '$gt':
+        return matchesValue(fieldValue, value => value !== undefined && value !== null && compare(value, operand) > 0);
+      case '$gte':
+        return matchesValue(fieldValue, value => value !== undefined && value !== null && compare(value, operand) >= 0);
+      case '$lt':
+        return matchesValue(fieldValue, value => value !== undefined && value !== null && compare(value, operand) < 0);
+      case '$lte':
+        return matchesValue(fieldValue, value => value !== undefined && value !== null && compare(value, operand) <= 0);
+      case '$in':
+        return operand.some(candidate => matchesValue(fieldValue, value => valuesEqual(value, candidate), true));
+      case '$nin':
+        return !operand.some(candidate => matchesValue(fieldValue, value => valuesEqual(value, candidate), true));
+      case '$exists':
+        return (fieldValue !== undefined) === Boolean(operand);
+      case '$size':
+        return Array.isArray(fieldValue) && fieldValue.length === operand;
+      case '$all':
+        return Array.isArray(fieldValue) && operand.every(candidate => fieldValue.some(value => valuesEqual(value, candidate)));
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+};
+
+const matchesFilter = (doc, filter = {}) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+    if (key === '$not') return !matchesFilter(doc, condition);
+    return matchesCondition(getPath(doc, key), condition);
+  });
+};
+
+const applyUpdate = (doc, update, isInsert = false) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, structuredClone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, path, structuredClone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$mul':
+          setPath(doc, path, (current || 0) * value);
+          break;
+        case '$min':
+          if (current === undefined || compare(value, current) < 0) setPath(doc, path, value);
+          break;
+        case '$max':
+          if (current === undefined || compare(value, current) > 0) setPath(doc, path, value);
+          break;
+        case '$push': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...structuredClone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          items.forEach(item => {
+            if (!next.some(existing => valuesEqual(existing, item))) next.push(structuredClone(item));
+          });
+          setPath(doc, path, next);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    });
+  });
+  return doc;
+};
+
+// Seed an upserted document from the equality clauses of its filter
+const seedFromFilter = (filter) => {
+  const doc = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key.startsWith('$')) return;
+    if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+      if (condition.$eq !== undefined) setPath(doc, key, structuredClone(condition.$eq));
+      return;
+    }
+    setPath(doc, key, structuredClone(condition));
+  });
+  return doc;
+};
+
+const project = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const includes = Object.entries(projection).filter(([, flag]) => flag);
+  if (includes.length > 0) {
+    const result = { _id: doc._id };
+    includes.forEach(([path]) => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(result, path, value);
+    });
+    if (projection._id === 0 || projection._id === false) delete result._id;
+    return result;
+  }
+  Object.keys(projection).forEach(path => unsetPath(doc, path));
+  return doc;
+};
+
+class InMemoryCursor {
+  constructor(loader) {
+    this.loader = loader;
+  }
+
+  async toArray() {
+    return this.loader();
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const docs = await this.loader();
+    for (const doc of docs) {
+      yield doc;
+    }
+  }
+}
+
+class InMemoryCollection {
+  constructor(name, options = {}) {
+    this.collectionName = name;
+    this.collectionOptions = options;
+    this.documents = new Map();
+  }
+
+  async options() {
+    return this.collectionOptions;
+  }
+
+  // Returns matching documents (by reference) after sort/skip/limit
+  select(filter = {}, options = {}) {
+    let docs = Array.from(this.documents.values()).filter(doc => matchesFilter(doc, filter));
+    const sort = options.sort || {};
+    const queryVector = sort.$vector;
+    let scored = docs.map(doc => ({ doc }));
+
+    if (queryVector) {
+      const similarity = similarityFor(this.collectionOptions.vector?.metric);
+      scored = scored
+        .filter(entry => Array.isArray(entry.doc.$vector))
+        .map(entry => ({ doc: entry.doc, similarity: similarity(queryVector, entry.doc.$vector) }))
+        .sort((a, b) => b.similarity - a.similarity);
+    } else if (Object.keys(sort).length > 0) {
+      const sortEntries = Object.entries(sort);
+      scored.sort((a, b) => {
+        for (const [path, direction] of sortEntries) {
+          const order = compare(getPath(a.doc, path), getPath(b.doc, path));
+          if (order !== 0) return order * direction;
+        }
+        return 0;
+      });
+    }
+
+    const skip = Number(options.skip) || 0;
+    const end = options.limit ? skip + Number(options.limit) : undefined;
+    return scored.slice(skip, end);
+  }
+
+  materialize(entry, options = {}) {
+    const doc = project(structuredClone(entry.doc), options.projection);
+    if (options.includeSimilarity && entry.similarity !== undefined) {
+      doc.$similarity = entry.similarity;
+    }
+    return doc;
+  }
+
+  async insertOne(document) {
+    const doc = structuredClone(document);
+    if (doc._id === undefined) doc._id = randomUUID();
+    if (this.documents.has(doc._id)) {
+      throw new Error(`Document already exists with the given _id: ${doc._id}`);
+    }
+    this.documents.set(doc._id, doc);
+    return { insertedId: doc._id };
+  }
+
+  async insertMany(documents, options = {}) {
+    const insertedIds = [];
+    const errors = [];
+    for (const document of documents) {
+      try {
+        const { insertedId } = await this.insertOne(document);
+        insertedIds.push(insertedId);
+      } catch (error) {
+        errors.push(error);
+        if (options.ordered) break;
+      }
+    }
+    if (errors.length > 0) {
+      const error = new Error(errors[0].message);
+      error.name = 'InsertManyError';
+      error.partialResult = { insertedCount: insertedIds.length, insertedIds };
+      error.errors = errors;
+      throw error;
+    }
+    return { insertedCount: insertedIds.length, insertedIds };
+  }
+
+  find(filter = {}, options = {}) {
+    return new InMemoryCursor(async () => this.select(filter, options).map(entry => this.materialize(entry, options)));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [entry] = this.select(filter, { ...options, limit: 1 });
+    return entry ? this.materialize(entry, options) : null;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [entry] = this.select(filter, { sort: options.sort, limit: 1 });
+
+    if (!entry) {
+      if (!options.upsert) return null;
+      const doc = applyUpdate(seedFromFilter(filter), update, true);
+      if (doc._id === undefined) doc._id = randomUUID();
+      this.documents.set(doc._id, doc);
+      return options.returnDocument === 'after' ? this.materialize({ doc }, options) : null;
+    }
+
+    const before = this.materialize(entry, options);
+    applyUpdate(entry.doc, update);
+    return options.returnDocument === 'after' ? this.materialize(entry, options) : before;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [entry] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!entry) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const doc = applyUpdate(seedFromFilter(filter), update, true);
+      if (doc._id === undefined) doc._id = randomUUID();
+      this.documents.set(doc._id, doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    applyUpdate(entry.doc, update);
+    return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const entries = this.select(filter);
+    entries.forEach(entry => applyUpdate(entry.doc, update));
+    return { matchedCount: entries.length, modifiedCount: entries.length, upsertedCount: 0 };
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    const [entry] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!entry) return { deletedCount: 0 };
+    this.documents.delete(entry.doc._id);
+    return { deletedCount: 1 };
+  }
+
+  async findOneAndDelete(filter = {}, options = {}) {
+    const [entry] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!entry) return null;
+    this.documents.delete(entry.doc._id);
+    return this.materialize(entry, options);
+  }
+
+  async deleteMany(filter = {}) {
+    const entries = this.select(filter);
+    entries.forEach(entry => this.documents.delete(entry.doc._id));
+    return { deletedCount: entries.length };
+  }
+
+  async countDocuments(filter = {}, upperBound) {
+    const count = this.select(filter).length;
+    if (upperBound !== undefined && count > upperBound) {
+      const error = new Error(`Too many documents to count (upper bound: ${upperBound})`);
+      error.name = 'TooManyDocumentsToCountError';
+      error.count = upperBound;
+      error.hitServerLimit = false;
+      throw error;
+    }
+    return count;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.size;
+  }
+
+  async drop() {
+    this.documents.clear();
+    return true;
+  }
+}
+
+class InMemoryDBConnection {
+  constructor() {
+    this.collections = new Map();
+    this.collection = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    if (this.isConnected) {
+      return this.collection;
+    }
+
+    this.collection = this.getOrCreateCollection(defaultSpace.collection, {
+      vector: {
+        dimension: defaultSpace.dimension,
+        metric: defaultSpace.metric
+      }
+    });
+
+    this.isConnected = true;
+    console.log('✅ Connected to in-memory Memory Embeddings store');
+    return this.collection;
+  }
+
+  // Create or access an auxiliary collection (statistics, jobs, ...)
+  async getCollection(name, options = {}) {
+    return this.getOrCreateCollection(name, options);
+  }
+
+  getOrCreateCollection(name, options = {}) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new InMemoryCollection(name, options));
+    }
+    return this.collections.get(name);
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    this.collection = null;
+    console.log('✅ Disconnected from in-memory Memory Embeddings store');
+  }
+
+  // Drop every collection; used by tests to start from a clean slate
+  async reset() {
+    this.collections.clear();
+    this.collection = null;
+    this.isConnected = false;
+  }
+
+  async healthCheck() {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      const stats = await this.collection.options();
+
+      return {
+        status: 'healthy',
+        connected: this.isConnected,
+        backend: 'memory',
+        collection: defaultSpace.collection,
+        embeddingSpace: defaultSpace.name,
+        vectorDimensions: stats.vector?.dimension || defaultSpace.dimension,
+        documentCount: this.collection.documents.size,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        connected: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// Export singleton instance
+const inMemoryDB = new InMemoryDBConnection();
+module.exports = inMemoryDB;
+module.exports.InMemoryCollection = InMemoryCollection;
+module.exports.matchesFilter = matchesFilter;
+module.exports.cosineSimilarity = cosineSimilarity;
@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+// Storage backend selection.
+//
+// Every backend exposes the same connection shape (connect / getCollection / disconnect /
+// healthCheck). connect() resolves to the collection of the default embedding space
+// (memory_embeddings unless configured otherwise, see config/embeddingSpaces.js),
+// implementing the Data API subset used by the services: insertOne, insertMany, find
+// (filter, sort, skip, limit, projection, $vector sort with includeSimilarity), findOne,
+// findOneAndUpdate, findOneAndDelete, updateOne, updateMany, deleteOne, deleteMany and
+// countDocuments. getCollection(name, options) resolves to an auxiliary collection (or
+// the collection of another embedding space) with the same API.
+//
+//   STORAGE_BACKEND=astradb  (default) - AstraDB collection via @datastax/astra-db-ts
+//   STORAGE_BACKEND=memory             - in-process store with brute-force vector search
+
+const SUPPORTED_BACKENDS = ['astradb', 'memory'];
+
+const resolveBackend = () => {
+  const backend = (process.env.STORAGE_BACKEND || 'astradb').toLowerCase();
+
+  if (!SUPPORTED_BACKENDS.includes(backend)) {
+    throw new Error(`Unsupported STORAGE_BACKEND '${backend}'. Expected one of: ${SUPPORTED_BACKENDS.join(', ')}`);
+  }
+
+  return backend;
+};
+
+const backend = resolveBackend();
+const storage = backend === 'memory' ? require('./inMemoryDB') : require('./astradb');
+
+storage.backend = backend;
+module.exports = storage;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Authentication and per-user authorization.
+//
+// Callers authenticate with either:
+//   - an API key in the X-API-Key header. Keys are compared by SHA-256 hash:
+//       API_KEY          plain admin key (hashed at comparison time)
+//       API_KEY_HASHES   comma-separated `sha256hex` (admin) or `sha256hex:user_id` (user-bound)
+//   - a JWT bearer token (Authorization: Bearer <token>) signed with JWT_SECRET (HS256).
+//     The `user_id` (or `sub`) claim binds the caller to a user; `role: 'admin'` grants
+//     unscoped access.
+//
+// Authenticated requests get `req.auth = { type, user_id, admin }`. A caller bound to a
+// user_id can only read, search, update or delete that user's memories.
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const parseApiKeyHashes = () => {
+  const entries = (process.env.API_KEY_HASHES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [hash, userId] = entry.split(':');
+      return { hash: hash.toLowerCase(), user_id: userId || null };
+    });
+
+  if (process.env.API_KEY) {
+    entries.push({ hash: hashApiKey(process.env.API_KEY), user_id: null });
+  }
+
+  return entries;
+};
+
+const hashesMatch = (a, b) => {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const authError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const authenticateApiKey = (apiKey) => {
+  const presentedHash = hashApiKey(apiKey);
+  const match = parseApiKeyHashes().find(entry => hashesMatch(entry.hash, presentedHash));
+
+  if (!match) {
+    throw authError('Invalid API key');
+  }
+
+  return { type: 'api_key', user_id: match.user_id, admin: !match.user_id };
+};
+
+// `typ` claim of signed user deletion receipts, which are never access tokens
+const DELETION_RECEIPT_TYPE = 'deletion_receipt';
+
+// jwt.verify throws JsonWebTokenError / TokenExpiredError, mapped to 401 by errorHandler
+const authenticateBearerToken = (token) => {
+  if (!process.env.JWT_SECRET) {
+    throw authError('Bearer tokens are not accepted by this service');
+  }
+
+  const claims = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  if (claims.typ === DELETION_RECEIPT_TYPE) {
+    throw authError('Deletion receipts are not access tokens');
+  }
+  const userId = claims.user_id || claims.sub || null;
+  const admin = claims.role === 'admin';
+
+  if (!userId && !admin) {
+    throw authError('Token is not bound to a user');
+  }
+
+  return { type: 'jwt', user_id: admin ? null : userId, admin };
+};
+
+// Authenticate every /api request
+const authenticate = (req, res, next) => {
+  try {
+    if (process.env.AUTH_DISABLED === 'true') {
+      req.auth = { type: 'none', user_id: null, admin: true };
+      return next();
+    }
+
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+
+    if (apiKey) {
+      req.auth = authenticateApiKey(apiKey);
+    } else if (authorization.startsWith('Bearer ')) {
+      req.auth = authenticateBearerToken(authorization.slice('Bearer '.length).trim());
+    } else {
+      throw authError('Missing API key or bearer token');
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(authError('Token expired'));
+    }
+    next(error);
+  }
+};
+
+// Restrict a route to unscoped (admin) callers
+const requireAdmin = (req, res, next) => {
+  if (!req.auth || !req.auth.admin) {
+    return next(authError('Admin access required', 403));
+  }
+  next();
+};
+
+// Resolve the user a request may act on. Bound callers get their own user_id (and a
+// 403 when they ask for someone else's); unscoped callers get what they asked for.
+const resolveUserScope = (req, requestedUserId) => {
+  const boundUserId = req.auth && req.auth.user_id;
+
+  if (!boundUserId) {
+    return requestedUserId;
+  }
+
+  if (requestedUserId && requestedUserId !== boundUserId) {
+    throw authError('Access denied to this user\'s memories', 403);
+  }
+
+  return boundUserId;
+};
+
+// router.param handler enforcing scope on :userId route parameters
+const authorizeUserParam = (req, res, next, userId) => {
+  try {
+    resolveUserScope(req, userId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  resolveUserScope,
+  authorizeUserParam,
+  hashApiKey,
+  DELETION_RECEIPT_TYPE
+};
@@ -0,0 +1,32 @@
+const { getSpace } = require('../config/embeddingSpaces');
+
+// Embedding space selection (see config/embeddingSpaces.js).
+//
+// A request picks its space with the X-Embedding-Space header or the `space` query
+// parameter and gets the default space otherwise. The resolved configuration is set as
+// `req.embeddingSpace`; an unknown name is a 400.
+
+const resolveEmbeddingSpace = (req, res, next) => {
+  try {
+    req.embeddingSpace = getSpace(req.get('X-Embedding-Space') || req.query.space);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to the default space, for features whose data (relationships,
+// statistics, consolidation, export and import) is only kept for that space
+const requireDefaultSpace = (req, res, next) => {
+  if (req.embeddingSpace && !req.embeddingSpace.default) {
+    const error = new Error(`This endpoint is only available in the default embedding space, not '${req.embeddingSpace.name}'`);
+    error.statusCode = 400;
+    return next(error);
+  }
+  next();
+};
+
+module.exports = {
+  resolveEmbeddingSpace,
+  requireDefaultSpace
+};
@@ -0,0 +1,46 @@
+const idempotencyService = require('../services/idempotencyService');
+
+// Replay support for requests carrying an Idempotency-Key header (see
+// services/idempotencyService.js). Requests without the header pass straight through.
+//
+// The response is captured where the handler (or the error handler) calls res.json.
+// Responses below 500 are stored for replay; a server error releases the key so the
+// client can retry.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  try {
+    const { id, replay } = await idempotencyService.claim(req, key.trim());
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      if (replay.etag) res.set('ETag', replay.etag);
+      return res.status(replay.status_code).json(replay.body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+
+      const settle = res.statusCode < 500
+        ? idempotencyService.complete(id, { status_code: res.statusCode, body, etag: res.get('ETag') || null })
+        : idempotencyService.release(id);
+
+      settle
+        .catch(error => console.error('❌ Failed to store idempotent response:', error.message))
+        .finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotent
+};
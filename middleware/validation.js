@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { defaultSpace } = require('../config/embeddingSpaces');
+const { CIPHERTEXT_PREFIX } = require('../services/fieldEncryptionService');
 
 // Gate scores schema
 const gateScoresSchema = Joi.object({
@@ -8,83 +10,210 @@ const gateScoresSchema = Joi.object({
   confidence: Joi.number().min(0).max(1).required()
 });
 
+// Auto-linking options (mode 'suggest' proposes neighbours, 'link' writes edges)
+const autoLinkOptionsSchema = Joi.object({
+  mode: Joi.string().valid('off', 'suggest', 'link').optional(),
+  top_k: Joi.number().integer().min(1).max(50).optional(),
+  min_similarity: Joi.number().min(0).max(1).optional()
+});
+
+// Feature vectors must have the dimension of the request's embedding space, passed to
+// Joi as the `dimension` context (see validate below)
+const featureVector = () => Joi.array()
+  .items(Joi.number())
+  .length(Joi.ref('$dimension'));
+
+// Relationships (and auto-linking) are only kept between memories of the default
+// embedding space; the `relationships` context is false for any other space
+const relationshipIds = () => Joi.array()
+  .items(Joi.string().uuid())
+  .when('$relationships', {
+    is: false,
+    then: Joi.array().max(0).messages({
+      'array.max': 'Relationships are only supported in the default embedding space'
+    })
+  });
+
+// Content summaries are encrypted at rest (see services/fieldEncryptionService.js), and a
+// stored value with the ciphertext prefix is read as ciphertext, so clients cannot send one
+const contentSummary = () => Joi.string()
+  .min(1)
+  .max(5000)
+  .pattern(new RegExp(`^${CIPHERTEXT_PREFIX}`), { invert: true })
+  .messages({
+    'string.pattern.invert.base': `Content summary must not start with '${CIPHERTEXT_PREFIX}'`
+  });
+
+// Validation context for a body written to or searched in an embedding space
+const spaceContext = (space = defaultSpace) => ({ dimension: space.dimension, relationships: space.default });
+
 // Memory embedding validation schema
 const memoryEmbeddingSchema = Joi.object({
   user_id: Joi.string().uuid().required(),
   memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').required(),
-  content_summary: Joi.string().min(1).max(5000).required(),
+  content_summary: contentSummary().required(),
   original_entry_id: Joi.string().uuid().required(),
   importance_score: Joi.number().min(0).max(1).required(),
   emotional_significance: Joi.number().min(0).max(1).required(),
   temporal_relevance: Joi.number().min(0).max(1).required(),
   access_frequency: Joi.number().integer().min(0).default(0),
-  feature_vector: Joi.array()
-    .items(Joi.number())
-    .length(90)
+  feature_vector: featureVector()
     .required()
     .messages({
       'array.base': 'Feature vector must be an array of numbers',
-      'array.length': 'Feature vector must have exactly 90 dimensions',
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions',
       'any.required': 'Feature vector is required'
     }),
   gate_scores: gateScoresSchema.required(),
-  relationships: Joi.array().items(Joi.string().uuid()).default([]),
+  relationships: relationshipIds().default([]),
   context_needed: Joi.object().default({}),
-  retrieval_triggers: Joi.array().items(Joi.string()).default([])
+  retrieval_triggers: Joi.array().items(Joi.string()).default([]),
+  auto_link: autoLinkOptionsSchema.optional().when('$relationships', {
+    is: false,
+    then: Joi.forbidden().messages({
+      'any.unknown': 'Auto-linking is only supported in the default embedding space'
+    })
+  })
 });
 
 // Update memory embedding schema (partial)
 const updateMemoryEmbeddingSchema = Joi.object({
-  content_summary: Joi.string().min(1).max(5000).optional(),
+  content_summary: contentSummary().optional(),
   importance_score: Joi.number().min(0).max(1).optional(),
   emotional_significance: Joi.number().min(0).max(1).optional(),
   temporal_relevance: Joi.number().min(0).max(1).optional(),
   access_frequency: Joi.number().integer().min(0).optional(),
-  feature_vector: Joi.array()
-    .items(Joi.number())
-    .length(90)
-    .optional(),
+  feature_vector: featureVector()
+    .optional()
+    .messages({
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions'
+    }),
   gate_scores: gateScoresSchema.optional(),
-  relationships: Joi.array().items(Joi.string().uuid()).optional(),
+  relationships: relationshipIds().optional(),
   context_needed: Joi.object().optional(),
   retrieval_triggers: Joi.array().items(Joi.string()).optional()
 });
 
+// Filters shared by the similarity searches
+const similarityFiltersSchema = Joi.object({
+  user_id: Joi.string().uuid().optional(),
+  memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
+  min_importance_score: Joi.number().min(0).max(1).optional(),
+  min_emotional_significance: Joi.number().min(0).max(1).optional(),
+  min_temporal_relevance: Joi.number().min(0).max(1).optional(),
+  date_range: Joi.object({
+    start: Joi.date().iso().optional(),
+    end: Joi.date().iso().optional()
+  }).optional(),
+  retrieval_triggers: Joi.array().items(Joi.string()).optional()
+});
+
+// Maximal marginal relevance re-ranking: lambda 1 ranks purely by similarity, lower
+// values trade relevance for diversity; candidates are drawn from the nearest
+// candidate_pool memories
+const similarityRerankSchema = Joi.object({
+  strategy: Joi.string().valid('mmr').required(),
+  lambda: Joi.number().min(0).max(1).optional(),
+  candidate_pool: Joi.number().integer().min(1).max(1000).optional()
+});
+
 // Similarity search schema
 const similaritySearchSchema = Joi.object({
-  feature_vector: Joi.array()
-    .items(Joi.number())
-    .length(90)
+  feature_vector: featureVector()
     .required()
     .messages({
-      'array.length': 'Feature vector must have exactly 90 dimensions for similarity search'
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions for similarity search'
     }),
   limit: Joi.number().integer().min(1).max(100).default(10),
-  filters: Joi.object({
-    user_id: Joi.string().uuid().optional(),
-    memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
-    min_importance_score: Joi.number().min(0).max(1).optional(),
-    min_emotional_significance: Joi.number().min(0).max(1).optional(),
-    min_temporal_relevance: Joi.number().min(0).max(1).optional(),
-    date_range: Joi.object({
-      start: Joi.date().iso().optional(),
-      end: Joi.date().iso().optional()
-    }).optional(),
-    retrieval_triggers: Joi.array().items(Joi.string()).optional()
-  }).optional().default({})
+  filters: similarityFiltersSchema.optional().default({}),
+  min_similarity: Joi.number().min(0).max(1).optional(),
+  rerank: similarityRerankSchema.optional()
 });
 
-// Batch schema for multiple memory embeddings
-const batchSchema = Joi.object({
-  embeddings: Joi.array()
-    .items(memoryEmbeddingSchema)
+// Query string for GET /:id/similar: the similarity filters and options flattened into
+// the query (retrieval_triggers may be comma-separated)
+const similarToMemoryQuerySchema = similarityFiltersSchema.keys({
+  retrieval_triggers: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  min_similarity: Joi.number().min(0).max(1).optional(),
+  rerank: Joi.string().valid('mmr').optional(),
+  lambda: Joi.number().min(0).max(1).optional(),
+  candidate_pool: Joi.number().integer().min(1).max(1000).optional()
+});
+
+// Maximum number of example memories on each side of a "more like these" search
+const MAX_EXAMPLE_IDS = 20;
+
+// "More like these, less like those": the query vector is the centroid of the positive
+// examples minus negative_weight times the centroid of the negative ones
+const similarToExamplesSchema = Joi.object({
+  positive_ids: Joi.array().items(Joi.string().uuid()).min(1).max(MAX_EXAMPLE_IDS).unique().required(),
+  negative_ids: Joi.array().items(Joi.string().uuid()).max(MAX_EXAMPLE_IDS).unique().optional(),
+  negative_weight: Joi.number().min(0).max(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  filters: similarityFiltersSchema.optional(),
+  min_similarity: Joi.number().min(0).max(1).optional(),
+  rerank: similarityRerankSchema.optional()
+});
+
+// Maximum number of query vectors in a batch similarity search
+const SIMILARITY_BATCH_MAX_QUERIES = 20;
+
+// Batch similarity search: each query has its own vector, limit and filters and an
+// optional `id` its results are keyed by
+const similarityBatchSchema = Joi.object({
+  queries: Joi.array()
+    .items(similaritySearchSchema.keys({
+      id: Joi.string().max(100).optional()
+    }))
     .min(1)
-    .max(50)
+    .max(SIMILARITY_BATCH_MAX_QUERIES)
+    .unique('id', { ignoreUndefined: true })
     .required()
     .messages({
-      'array.min': 'At least one embedding is required',
-      'array.max': 'Maximum 50 embeddings allowed per batch'
-    })
+      'array.max': `Maximum ${SIMILARITY_BATCH_MAX_QUERIES} queries allowed per batch`,
+      'array.unique': 'Query ids must be unique'
+    }),
+  dedupe: Joi.boolean().optional()
+});
+
+// Maximum number of items in a batch create, update or delete
+const BATCH_MAX_ITEMS = 5000;
+
+// Batch schemas only check the envelope; items are validated one by one so a bad item
+// is reported in the batch results instead of rejecting the whole batch
+const batchItems = (name) => Joi.array()
+  .items(Joi.any())
+  .min(1)
+  .max(BATCH_MAX_ITEMS)
+  .required()
+  .messages({
+    'array.min': `At least one ${name} is required`,
+    'array.max': `Maximum ${BATCH_MAX_ITEMS} ${name}s allowed per batch`
+  });
+
+// Batch schema for multiple memory embeddings
+const batchSchema = Joi.object({
+  embeddings: batchItems('embedding'),
+  ordered: Joi.boolean().optional()
+});
+
+// Batch update item: a partial update for one memory, optionally conditional on its
+// current version (as If-Match does for a single update)
+const batchUpdateItemSchema = updateMemoryEmbeddingSchema.keys({
+  id: Joi.string().uuid().required(),
+  expected_version: Joi.number().integer().min(1).optional()
+});
+
+const batchUpdateSchema = Joi.object({
+  updates: batchItems('update'),
+  ordered: Joi.boolean().optional()
+});
+
+const batchDeleteSchema = Joi.object({
+  ids: batchItems('id'),
+  ordered: Joi.boolean().optional(),
+  permanent: Joi.boolean().optional()
 });
 
 // Query validation schema
@@ -100,26 +229,222 @@ const querySchema = Joi.object({
   }).optional(),
   limit: Joi.number().integer().min(1).max(100).default(20),
   offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string().max(2048).optional(),
+  include_total: Joi.boolean().default(false),
   sort_by: Joi.string().valid('created_at', 'last_accessed', 'importance_score', 'emotional_significance', 'temporal_relevance', 'access_frequency').default('created_at'),
   sort_order: Joi.string().valid('asc', 'desc').default('desc')
 });
 
+// Retrieval weights schema (each component's share of the blended relevance score)
+const retrievalWeightsSchema = Joi.object({
+  similarity: Joi.number().min(0).optional(),
+  importance: Joi.number().min(0).optional(),
+  emotional: Joi.number().min(0).optional(),
+  temporal: Joi.number().min(0).optional(),
+  recency: Joi.number().min(0).optional(),
+  access: Joi.number().min(0).optional(),
+  keyword: Joi.number().min(0).optional()
+});
+
 // Memory retrieval schema
 const memoryRetrievalSchema = Joi.object({
   query_text: Joi.string().min(1).max(1000).required(),
   user_id: Joi.string().uuid().required(),
-  context: Joi.object().optional().default({}),
+  feature_vector: featureVector()
+    .optional()
+    .messages({
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions for memory retrieval'
+    }),
+  context: Joi.object({
+    memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
+    keywords: Joi.array().items(Joi.string()).optional()
+  }).unknown(true).optional().default({}),
+  weights: retrievalWeightsSchema.optional(),
   limit: Joi.number().integer().min(1).max(50).default(10),
   min_relevance_score: Joi.number().min(0).max(1).default(0.3)
 });
 
-// Validation middleware
+// Full-text search schemas. In a query string the feature vector is a comma-separated
+// list; its dimension is checked by the search service.
+const searchFields = {
+  q: Joi.string().min(1).max(500).required(),
+  user_id: Joi.string().uuid().optional(),
+  memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  rrf_k: Joi.number().integer().min(1).max(1000).default(60)
+};
+
+const searchSchema = Joi.object({
+  ...searchFields,
+  feature_vector: featureVector()
+    .optional()
+    .messages({
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions for search'
+    })
+});
+
+const searchQuerySchema = Joi.object({
+  ...searchFields,
+  feature_vector: Joi.string().max(100000).pattern(/^[-+.\deE]+(,[-+.\deE]+)*$/).optional()
+});
+
+// Context packing schema (a character and/or token budget is required)
+const contextPackSchema = Joi.object({
+  feature_vector: featureVector()
+    .required()
+    .messages({
+      'array.length': 'Feature vector must have exactly {{$dimension}} dimensions for context packing'
+    }),
+  query_text: Joi.string().min(1).max(1000).optional(),
+  memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
+  weights: retrievalWeightsSchema.optional(),
+  max_tokens: Joi.number().integer().min(1).max(200000).optional(),
+  max_chars: Joi.number().integer().min(1).max(800000).optional(),
+  order: Joi.string().valid('score', 'chronological').default('score'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  min_relevance_score: Joi.number().min(0).max(1).default(0.3),
+  include_related: Joi.boolean().default(true),
+  max_related_per_memory: Joi.number().integer().min(0).max(10).default(3),
+  record_access: Joi.boolean().default(true)
+}).or('max_tokens', 'max_chars');
+
+// Trigger recall schema
+const triggerRecallSchema = Joi.object({
+  user_id: Joi.string().uuid().required(),
+  triggers: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(50).required(),
+  memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional(),
+  min_matches: Joi.number().integer().min(1).max(50).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Trigger listing query schema
+const triggerListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  min_count: Joi.number().integer().min(1).default(1),
+  memory_type: Joi.string().valid('conversation', 'event', 'emotion', 'insight').optional()
+});
+
+// Decay run schema
+const decayRunSchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+  user_id: Joi.string().uuid().optional(),
+  action: Joi.string().valid('archive', 'delete').optional(),
+  thresholds: Joi.object({
+    conversation: Joi.number().min(0).max(1).optional(),
+    event: Joi.number().min(0).max(1).optional(),
+    emotion: Joi.number().min(0).max(1).optional(),
+    insight: Joi.number().min(0).max(1).optional()
+  }).optional()
+});
+
+// Trash purge job schema
+const trashPurgeSchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+  user_id: Joi.string().uuid().optional(),
+  retention_days: Joi.number().min(0).optional()
+});
+
+// Trash listing query schema
+const trashQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(2048).optional()
+});
+
+// Emotional timeline query schema
+const emotionalTimelineQuerySchema = Joi.object({
+  interval: Joi.string().valid('day', 'week', 'month').default('week'),
+  start: Joi.string().isoDate().optional(),
+  end: Joi.string().isoDate().optional(),
+  window: Joi.number().integer().min(2).max(12).default(3),
+  spike_threshold: Joi.number().min(0.5).max(10).default(2)
+});
+
+// Key rotation job schema
+const keyRotationSchema = Joi.object({
+  user_id: Joi.string().uuid().optional(),
+  rotate_data_keys: Joi.boolean().default(false)
+});
+
+// Auto-link backfill job schema
+const autoLinkRunSchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+  user_id: Joi.string().uuid().optional(),
+  top_k: Joi.number().integer().min(1).max(50).optional(),
+  min_similarity: Joi.number().min(0).max(1).optional()
+});
+
+// Relationship suggestion query schema
+const relationshipSuggestionQuerySchema = Joi.object({
+  top_k: Joi.number().integer().min(1).max(50).optional(),
+  min_similarity: Joi.number().min(0).max(1).optional()
+});
+
+// Consolidation job schema
+const consolidationRunSchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+  memory_types: Joi.array().items(Joi.string().valid('conversation', 'event', 'emotion', 'insight')).min(1).optional(),
+  min_similarity: Joi.number().min(0).max(1).optional(),
+  min_trigger_overlap: Joi.number().min(0).max(1).optional(),
+  min_cluster_size: Joi.number().integer().min(2).max(100).optional(),
+  source_action: Joi.string().valid('link', 'archive').optional()
+});
+
+// Relationship types (each has an inverse written as the reverse edge)
+const relationshipTypes = ['related_to', 'causes', 'caused_by', 'follows', 'precedes', 'contradicts', 'elaborates', 'elaborated_by'];
+
+// Relationship edge schema
+const relationshipSchema = Joi.object({
+  target_id: Joi.string().uuid().required(),
+  type: Joi.string().valid(...relationshipTypes).default('related_to'),
+  weight: Joi.number().min(0).max(1).default(1)
+});
+
+// Relationship graph traversal query schema
+const graphQuerySchema = Joi.object({
+  depth: Joi.number().integer().min(1).max(5).default(2),
+  types: Joi.string().pattern(new RegExp(`^(${relationshipTypes.join('|')})(,(${relationshipTypes.join('|')}))*$`)).optional()
+    .messages({ 'string.pattern.base': `types must be a comma-separated list of: ${relationshipTypes.join(', ')}` }),
+  min_weight: Joi.number().min(0).max(1).optional(),
+  max_nodes: Joi.number().integer().min(1).max(500).default(100)
+});
+
+// Exported relationship edge (source is the memory on the same line)
+const importedEdgeSchema = Joi.object({
+  target_id: Joi.string().uuid().required(),
+  type: Joi.string().valid(...relationshipTypes).required(),
+  weight: Joi.number().min(0).max(1).optional(),
+  similarity: Joi.number().min(0).max(1).optional(),
+  origin: Joi.string().max(50).optional(),
+  created_at: Joi.string().isoDate().optional()
+});
+
+// NDJSON import line: an exported memory with its original ID, timestamps,
+// lifecycle fields and typed edges
+const memoryImportSchema = memoryEmbeddingSchema.keys({
+  id: Joi.string().uuid().required(),
+  created_at: Joi.string().isoDate().optional(),
+  updated_at: Joi.string().isoDate().optional(),
+  last_accessed: Joi.string().isoDate().optional(),
+  archived: Joi.boolean().optional(),
+  archived_at: Joi.string().isoDate().optional(),
+  deleted: Joi.boolean().optional(),
+  deleted_at: Joi.string().isoDate().optional(),
+  decay_baseline: Joi.number().min(0).max(1).optional(),
+  consolidated_into: Joi.string().uuid().optional(),
+  consolidated_from: Joi.array().items(Joi.string().uuid()).optional(),
+  version: Joi.number().integer().min(1).optional(),
+  relationship_edges: Joi.array().items(importedEdgeSchema).optional()
+});
+
+// Validation middleware; feature vectors are checked against the embedding space the
+// request selected (see middleware/embeddingSpace.js)
 const validate = (schema) => {
   return (req, res, next) => {
     const { error } = schema.validate(req.body, { 
       abortEarly: false,
       allowUnknown: false,
-      stripUnknown: true 
+      stripUnknown: true,
+      context: spaceContext(req.embeddingSpace)
     });
     
     if (error) {
@@ -160,10 +485,34 @@ const validateQuery = (schema) => {
 module.exports = {
   validate,
   validateQuery,
+  spaceContext,
   memoryEmbeddingSchema,
   updateMemoryEmbeddingSchema,
   similaritySearchSchema,
+  similarityFiltersSchema,
+  similarityBatchSchema,
+  similarToMemoryQuerySchema,
+  similarToExamplesSchema,
   batchSchema,
+  batchUpdateItemSchema,
+  batchUpdateSchema,
+  batchDeleteSchema,
   querySchema,
-  memoryRetrievalSchema
+  memoryRetrievalSchema,
+  decayRunSchema,
+  relationshipSchema,
+  graphQuerySchema,
+  autoLinkRunSchema,
+  relationshipSuggestionQuerySchema,
+  consolidationRunSchema,
+  memoryImportSchema,
+  trashPurgeSchema,
+  trashQuerySchema,
+  keyRotationSchema,
+  emotionalTimelineQuerySchema,
+  triggerRecallSchema,
+  triggerListQuerySchema,
+  searchSchema,
+  searchQuerySchema,
+  contextPackSchema
 };
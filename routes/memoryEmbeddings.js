@@ -1,21 +1,132 @@
 const express = require('express');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
 const memoryEmbeddingService = require('../services/memoryEmbeddingService');
+const memoryDecayService = require('../services/memoryDecayService');
+const memoryRelationshipService = require('../services/memoryRelationshipService');
+const memoryConsolidationService = require('../services/memoryConsolidationService');
+const memoryTransferService = require('../services/memoryTransferService');
+const userDeletionService = require('../services/userDeletionService');
+const memoryTrashService = require('../services/memoryTrashService');
+const memoryBatchService = require('../services/memoryBatchService');
+const keyRotationService = require('../services/keyRotationService');
+const memoryAnalyticsService = require('../services/memoryAnalyticsService');
+const memoryTriggerService = require('../services/memoryTriggerService');
+const memorySearchService = require('../services/memorySearchService');
+const memoryContextService = require('../services/memoryContextService');
+const { SUCCESS_STATUSES } = require('../services/memoryBatchService');
+const { requireAdmin, resolveUserScope, authorizeUserParam } = require('../middleware/auth');
+const { formatEtag, parseIfMatch } = require('../utils/etag');
+const { idempotent } = require('../middleware/idempotency');
+const { resolveEmbeddingSpace, requireDefaultSpace } = require('../middleware/embeddingSpace');
+const { listSpaces } = require('../config/embeddingSpaces');
 const { 
   validate, 
   validateQuery, 
   memoryEmbeddingSchema, 
   updateMemoryEmbeddingSchema, 
   similaritySearchSchema, 
+  similarityBatchSchema,
+  similarToMemoryQuerySchema,
+  similarToExamplesSchema,
   batchSchema,
+  batchUpdateSchema,
+  batchDeleteSchema,
   querySchema,
-  memoryRetrievalSchema 
+  memoryRetrievalSchema,
+  decayRunSchema,
+  relationshipSchema,
+  graphQuerySchema,
+  autoLinkRunSchema,
+  relationshipSuggestionQuerySchema,
+  consolidationRunSchema,
+  trashPurgeSchema,
+  trashQuerySchema,
+  keyRotationSchema,
+  emotionalTimelineQuerySchema,
+  triggerRecallSchema,
+  triggerListQuerySchema,
+  searchSchema,
+  searchQuerySchema,
+  contextPackSchema
 } = require('../middleware/validation');
 
+// Callers bound to a user_id may only act on that user's memories
+router.param('userId', authorizeUserParam);
+
+// Every route runs in the embedding space picked by X-Embedding-Space or ?space=
+router.use(resolveEmbeddingSpace);
+
+// Scope for single-memory operations: unscoped for admins, the bound user otherwise
+const memoryScope = (req) => ({ user_id: resolveUserScope(req) });
+
+// Memory service of the embedding space the request selected
+const spaceService = (req) => memoryEmbeddingService.forSpace(req.embeddingSpace.name);
+
+// Similarity search options from a query string validated by similarToMemoryQuerySchema
+const similarOptionsFromQuery = (query) => {
+  const filters = {};
+  if (query.user_id) filters.user_id = query.user_id;
+  if (query.memory_type) filters.memory_type = query.memory_type;
+  ['min_importance_score', 'min_emotional_significance', 'min_temporal_relevance'].forEach(field => {
+    if (query[field] !== undefined) filters[field] = parseFloat(query[field]);
+  });
+  if (query.date_range) filters.date_range = query.date_range;
+  if (query.retrieval_triggers) {
+    filters.retrieval_triggers = [].concat(query.retrieval_triggers)
+      .flatMap(value => value.split(','))
+      .map(trigger => trigger.trim())
+      .filter(Boolean);
+  }
+
+  return {
+    filters,
+    limit: query.limit !== undefined ? parseInt(query.limit) : undefined,
+    min_similarity: query.min_similarity !== undefined ? parseFloat(query.min_similarity) : undefined,
+    rerank: query.rerank && {
+      strategy: query.rerank,
+      lambda: query.lambda !== undefined ? parseFloat(query.lambda) : undefined,
+      candidate_pool: query.candidate_pool !== undefined ? parseInt(query.candidate_pool) : undefined
+    }
+  };
+};
+
+// 207 Multi-Status when any item of a batch did not succeed
+const batchStatus = (result, successStatus) => {
+  return result.results.every(item => SUCCESS_STATUSES.has(item.status)) ? successStatus : 207;
+};
+
+// A write that lost to another write: 412 when the client's If-Match no longer holds,
+// 409 when concurrent unconditional writes kept colliding
+const sendVersionConflict = (req, res) => {
+  if (req.get('If-Match') !== undefined) {
+    return res.status(412).json({
+      success: false,
+      error: 'Precondition failed: memory embedding has been modified'
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'Memory embedding was modified concurrently, retry the request'
+  });
+};
+
+// @route   GET /api/memory-embeddings/spaces
+// @desc    List the configured embedding spaces
+// @access  Private
+router.get('/spaces', (req, res) => {
+  res.json({
+    success: true,
+    data: { spaces: listSpaces() }
+  });
+});
+
 // @route   GET /api/memory-embeddings/stats
 // @desc    Get collection statistics
-// @access  Private
-router.get('/stats', async (req, res, next) => {
+// @access  Admin
+router.get('/stats', requireAdmin, requireDefaultSpace, async (req, res, next) => {
   try {
     const stats = await memoryEmbeddingService.getStatistics();
     
@@ -28,213 +139,1031 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
-// @route   POST /api/memory-embeddings/similarity
-// @desc    Find similar memory embeddings using cosine similarity
+// @route   POST /api/memory-embeddings/stats/rebuild
+// @desc    Recompute the maintained statistics with a full collection scan
+// @access  Admin
+router.post('/stats/rebuild', requireAdmin, requireDefaultSpace, async (req, res, next) => {
+  try {
+    const result = await memoryEmbeddingService.rebuildStatistics();
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Rebuilt statistics from ${result.scanned_count} memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/triggers/reindex
+// @desc    Recompute the normalised trigger keys used by trigger recall for every memory
+// @access  Admin
+router.post('/triggers/reindex', requireAdmin, async (req, res, next) => {
+  try {
+    const report = await memoryTriggerService.reindex();
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Reindexed triggers of ${report.updated_count} of ${report.scanned_count} memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/decay/run
+// @desc    Recompute temporal relevance and forget memories below their type's threshold
+// @access  Admin
+router.post('/decay/run', requireAdmin, requireDefaultSpace, validate(decayRunSchema), async (req, res, next) => {
+  try {
+    const report = await memoryDecayService.runDecay(req.body);
+    
+    res.json({
+      success: true,
+      data: report,
+      message: report.dry_run
+        ? `${report.forgotten_count} of ${report.scanned_count} memories would be forgotten`
+        : `Forgot ${report.forgotten_count} of ${report.scanned_count} memories`
+    });
+  } catch (error) {
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Decay run already in progress'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/decay/status
+// @desc    Get decay schedule, configuration and the last applied report
+// @access  Admin
+router.get('/decay/status', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: memoryDecayService.getStatus()
+  });
+});
+
+// @route   POST /api/memory-embeddings/relationships/auto-link/run
+// @desc    Backfill relationships to each memory's nearest vector neighbours (supports dry-run)
+// @access  Admin
+router.post('/relationships/auto-link/run', requireAdmin, requireDefaultSpace, validate(autoLinkRunSchema), async (req, res, next) => {
+  try {
+    const report = await memoryRelationshipService.runAutoLinkBackfill(req.body);
+    
+    res.json({
+      success: true,
+      data: report,
+      message: report.dry_run
+        ? `${report.link_count} links proposed for ${report.linked_memory_count} of ${report.scanned_count} memories`
+        : `Added ${report.link_count} links for ${report.linked_memory_count} of ${report.scanned_count} memories`
+    });
+  } catch (error) {
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Auto-link backfill already in progress'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/trash/purge
+// @desc    Hard-delete memories that have been in the trash longer than the retention period
+// @access  Admin
+router.post('/trash/purge', requireAdmin, validate(trashPurgeSchema), async (req, res, next) => {
+  try {
+    const report = await memoryTrashService.runPurge(req.body);
+    
+    res.json({
+      success: true,
+      data: report,
+      message: report.dry_run
+        ? `${report.purged_count} memories would be purged`
+        : `Purged ${report.purged_count} memories from the trash`
+    });
+  } catch (error) {
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Trash purge already in progress'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/trash/status
+// @desc    Get trash purge schedule, retention and the last applied report
+// @access  Admin
+router.get('/trash/status', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: memoryTrashService.getStatus()
+  });
+});
+
+// @route   POST /api/memory-embeddings/encryption/rotate
+// @desc    Start a background run re-encrypting memory content under current keys (optionally new data keys)
+// @access  Admin
+router.post('/encryption/rotate', requireAdmin, validate(keyRotationSchema), (req, res, next) => {
+  try {
+    const report = keyRotationService.startRotation(req.body);
+    const statusUrl = `${req.baseUrl}/encryption/status`;
+
+    res.status(202).location(statusUrl).json({
+      success: true,
+      data: { ...report, status_url: statusUrl },
+      message: 'Key rotation started'
+    });
+  } catch (error) {
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Key rotation already in progress'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/encryption/status
+// @desc    Get field encryption configuration, rotation schedule and the current or last run
+// @access  Admin
+router.get('/encryption/status', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: keyRotationService.getStatus()
+  });
+});
+
+// @route   POST /api/memory-embeddings/import
+// @desc    Import memories from an NDJSON stream (optionally gzip), keeping IDs and timestamps
+// @access  Private
+router.post('/import', requireDefaultSpace, async (req, res, next) => {
+  try {
+    if (!req.is(['application/x-ndjson', 'application/ndjson'])) {
+      return res.status(415).json({
+        success: false,
+        error: 'Import expects an application/x-ndjson request body'
+      });
+    }
+
+    const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+    if (!['identity', 'gzip'].includes(encoding)) {
+      return res.status(415).json({
+        success: false,
+        error: `Unsupported content encoding: ${encoding}`
+      });
+    }
+
+    let body = req;
+    if (encoding === 'gzip') {
+      body = zlib.createGunzip();
+      pipeline(req, body).catch(() => {
+        // Surfaced to the importer through the gunzip stream
+      });
+    }
+
+    const report = await memoryTransferService.importMemories(body, { user_id: resolveUserScope(req) });
+    
+    res.json({
+      success: true,
+      data: report,
+      message: `Imported ${report.imported_count} of ${report.line_count} memories (${report.error_count} errors)`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/similarity
+// @desc    Find similar memory embeddings using the embedding space's similarity metric
+// @access  Private
+router.post('/similarity', validate(similaritySearchSchema), async (req, res, next) => {
+  try {
+    const { feature_vector, limit, filters = {}, min_similarity, rerank } = req.body;
+    const scopedFilters = { ...filters, user_id: resolveUserScope(req, filters.user_id) };
+    const result = await spaceService(req).findSimilarMemoryEmbeddings(feature_vector, {
+      limit,
+      filters: scopedFilters,
+      min_similarity,
+      rerank
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.results.length} similar memory embeddings`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/similarity/batch
+// @desc    Run several similarity searches concurrently, results keyed per query
+// @access  Private
+router.post('/similarity/batch', validate(similarityBatchSchema), async (req, res, next) => {
+  try {
+    const queries = req.body.queries.map(query => {
+      const filters = query.filters || {};
+      return { ...query, filters: { ...filters, user_id: resolveUserScope(req, filters.user_id) } };
+    });
+    const result = await spaceService(req).findSimilarMemoryEmbeddingsBatch(queries, { dedupe: req.body.dedupe === true });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Ran ${result.query_count} similarity searches`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/similar
+// @desc    "More like these, less like those" search from positive and negative memory IDs
+// @access  Private
+router.post('/similar', validate(similarToExamplesSchema), async (req, res, next) => {
+  try {
+    const { positive_ids, negative_ids = [], filters = {}, ...options } = req.body;
+    const scopedFilters = { ...filters, user_id: resolveUserScope(req, filters.user_id) };
+
+    const result = await spaceService(req).findSimilarToExamples(positive_ids, negative_ids, memoryScope(req), {
+      ...options,
+      filters: scopedFilters
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.results.length} similar memory embeddings`
+    });
+  } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message.slice(error.message.indexOf('Memory embedding not found'))
+      });
+    }
+    if (error.message.includes('Invalid examples')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message.slice(error.message.indexOf('Invalid examples'))
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/retrieve
+// @desc    Hybrid memory retrieval blending similarity, scores, recency and trigger keywords
+// @access  Private
+router.post('/retrieve', validate(memoryRetrievalSchema), async (req, res, next) => {
+  try {
+    const user_id = resolveUserScope(req, req.body.user_id);
+    const result = await spaceService(req).retrieveMemories({ ...req.body, user_id });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Retrieved ${result.results.length} relevant memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/recall/triggers
+// @desc    Recall memories by normalised retrieval trigger matches, ranked by matches then importance
+// @access  Private
+router.post('/recall/triggers', validate(triggerRecallSchema), async (req, res, next) => {
+  try {
+    const { triggers, memory_type, min_matches = 1, limit = 10 } = req.body;
+    const result = await memoryTriggerService.recallByTriggers({
+      user_id: resolveUserScope(req, req.body.user_id),
+      triggers,
+      memory_type,
+      min_matches,
+      limit,
+      space: req.embeddingSpace.name
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Recalled ${result.results_count} memories by trigger`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/batch
+// @desc    Create memory embeddings in batch with per-item results (?upsert=true supported)
+// @access  Private
+router.post('/batch', validate(batchSchema), idempotent, async (req, res, next) => {
+  try {
+    const result = await memoryBatchService.createBatch(req.body.embeddings, {
+      ordered: req.body.ordered !== false,
+      upsert: req.query.upsert === 'true',
+      scope: memoryScope(req),
+      space: req.embeddingSpace.name,
+      actor: req.auth
+    });
+
+    res.status(batchStatus(result, 201)).json({
+      success: true,
+      data: result,
+      message: `Created ${result.counts.created || 0} of ${result.total} memory embeddings`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/memory-embeddings/batch
+// @desc    Update memory embeddings in batch with per-item results
+// @access  Private
+router.put('/batch', validate(batchUpdateSchema), async (req, res, next) => {
+  try {
+    const result = await memoryBatchService.updateBatch(req.body.updates, {
+      ordered: req.body.ordered !== false,
+      scope: memoryScope(req),
+      space: req.embeddingSpace.name,
+      actor: req.auth
+    });
+
+    res.status(batchStatus(result, 200)).json({
+      success: true,
+      data: result,
+      message: `Updated ${result.counts.updated || 0} of ${result.total} memory embeddings`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/batch/delete
+// @desc    Delete memory embeddings in batch with per-item results (to the trash unless permanent)
+// @access  Private
+router.post('/batch/delete', validate(batchDeleteSchema), async (req, res, next) => {
+  try {
+    const result = await memoryBatchService.deleteBatch(req.body.ids, {
+      ordered: req.body.ordered !== false,
+      permanent: req.body.permanent === true,
+      scope: memoryScope(req),
+      space: req.embeddingSpace.name
+    });
+
+    res.status(batchStatus(result, 200)).json({
+      success: true,
+      data: result,
+      message: `Deleted ${result.counts.deleted || 0} of ${result.total} memory embeddings`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/query
+// @desc    Query memory embeddings with filters and pagination
+// @access  Private
+router.get('/query', validateQuery(querySchema), async (req, res, next) => {
+  try {
+    const user_id = resolveUserScope(req, req.query.user_id);
+    const result = await spaceService(req).queryMemoryEmbeddings({ ...req.query, user_id });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.results.length} memory embeddings`
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/search
+// @desc    Full-text search of a user's memories (BM25 over content and triggers, quoted
+//          phrases, highlighted snippets), fused with vector similarity when a
+//          comma-separated feature_vector is given
+// @access  Private
+router.get('/search', validateQuery(searchQuerySchema), async (req, res, next) => {
+  try {
+    const { q, memory_type, feature_vector, limit = 10, rrf_k = 60 } = req.query;
+    const result = await memorySearchService.search({
+      user_id: resolveUserScope(req, req.query.user_id),
+      q,
+      memory_type,
+      feature_vector: feature_vector ? feature_vector.split(',').map(Number) : undefined,
+      limit: parseInt(limit),
+      rrf_k: parseInt(rrf_k),
+      space: req.embeddingSpace.name
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.total_matches} matching memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/search
+// @desc    Full-text search with the query in the body, for feature vectors too long for a URL
+// @access  Private
+router.post('/search', validate(searchSchema), async (req, res, next) => {
+  try {
+    const { q, memory_type, feature_vector, limit = 10, rrf_k = 60 } = req.body;
+    const result = await memorySearchService.search({
+      user_id: resolveUserScope(req, req.body.user_id),
+      q,
+      memory_type,
+      feature_vector,
+      limit,
+      rrf_k,
+      space: req.embeddingSpace.name
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.total_matches} matching memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings
+// @desc    Create a new memory embedding (?upsert=true updates the memory stored for the
+//          same user_id, original_entry_id and memory_type instead of duplicating it)
+// @access  Private
+router.post('/', validate(memoryEmbeddingSchema), idempotent, async (req, res, next) => {
+  try {
+    resolveUserScope(req, req.body.user_id);
+
+    if (req.query.upsert === 'true') {
+      const { created, memory } = await spaceService(req).upsertMemoryEmbedding(req.body, { actor: req.auth });
+
+      res.set('ETag', formatEtag(memory.version));
+      return res.status(created ? 201 : 200).json({
+        success: true,
+        data: memory,
+        message: created ? 'Memory embedding created successfully' : 'Existing memory embedding updated'
+      });
+    }
+
+    const memoryEmbedding = await spaceService(req).createMemoryEmbedding(req.body);
+    
+    res.set('ETag', formatEtag(memoryEmbedding.version));
+    res.status(201).json({
+      success: true,
+      data: memoryEmbedding,
+      message: 'Memory embedding created successfully'
+    });
+  } catch (error) {
+    if (error.message.includes('is in the trash')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message.slice(error.message.indexOf('Memory embedding for'))
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/:id
+// @desc    Get memory embedding by ID
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const memoryEmbedding = await spaceService(req).getMemoryEmbeddingById(req.params.id, memoryScope(req));
+    
+    res.set('ETag', formatEtag(memoryEmbedding.version));
+    res.json({
+      success: true,
+      data: memoryEmbedding
+    });
+  } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/memory-embeddings/:id
+// @desc    Update memory embedding by ID
+// @access  Private
+router.put('/:id', validate(updateMemoryEmbeddingSchema), async (req, res, next) => {
+  try {
+    const memoryEmbedding = await spaceService(req).updateMemoryEmbedding(
+      req.params.id,
+      req.body,
+      memoryScope(req),
+      { actor: req.auth, expected_version: parseIfMatch(req.get('If-Match')) }
+    );
+    
+    res.set('ETag', formatEtag(memoryEmbedding.version));
+    res.json({
+      success: true,
+      data: memoryEmbedding,
+      message: 'Memory embedding updated successfully'
+    });
+  } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found'
+      });
+    }
+    if (error.message.includes('Version conflict')) {
+      return sendVersionConflict(req, res);
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/memory-embeddings/:id
+// @desc    Move a memory to the trash (?permanent=true deletes it outright)
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+    const result = await spaceService(req).deleteMemoryEmbedding(req.params.id, memoryScope(req), {
+      permanent,
+      expected_version: parseIfMatch(req.get('If-Match'))
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: permanent ? 'Memory embedding deleted permanently' : 'Memory embedding moved to trash'
+    });
+  } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found'
+      });
+    }
+    if (error.message.includes('Version conflict')) {
+      return sendVersionConflict(req, res);
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/user/:userId
+// @desc    Get all memory embeddings for a specific user
+// @access  Private
+router.get('/user/:userId', async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 20, offset = 0, cursor, include_total, sort_by = 'created_at', sort_order = 'desc' } = req.query;
+    
+    const result = await spaceService(req).queryMemoryEmbeddings({
+      user_id: userId,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      cursor,
+      include_total,
+      sort_by,
+      sort_order
+    });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.results.length} memory embeddings for user ${userId}`
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/type/:memoryType
+// @desc    Get all memory embeddings of a specific type
 // @access  Private
-router.post('/similarity', validate(similaritySearchSchema), async (req, res, next) => {
+router.get('/type/:memoryType', async (req, res, next) => {
   try {
-    const { feature_vector, limit, filters } = req.body;
-    const result = await memoryEmbeddingService.findSimilarMemoryEmbeddings(feature_vector, { limit, filters });
+    const { memoryType } = req.params;
+    const { limit = 20, offset = 0, cursor, include_total, sort_by = 'importance_score', sort_order = 'desc' } = req.query;
+    
+    const result = await spaceService(req).queryMemoryEmbeddings({
+      user_id: resolveUserScope(req),
+      memory_type: memoryType,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      cursor,
+      include_total,
+      sort_by,
+      sort_order
+    });
     
     res.json({
       success: true,
       data: result,
-      message: `Found ${result.results.length} similar memory embeddings`
+      message: `Found ${result.results.length} ${memoryType} memory embeddings`
     });
   } catch (error) {
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
     next(error);
   }
 });
 
-// @route   POST /api/memory-embeddings/batch
-// @desc    Create multiple memory embeddings in batch
+// @route   POST /api/memory-embeddings/:id/restore
+// @desc    Restore a memory from the trash
 // @access  Private
-router.post('/batch', validate(batchSchema), async (req, res, next) => {
+router.post('/:id/restore', async (req, res, next) => {
   try {
-    const { embeddings } = req.body;
-    const result = await memoryEmbeddingService.createMemoryEmbeddingsBatch(embeddings);
+    const result = await memoryTrashService.restoreMemory(req.params.id, memoryScope(req), { space: req.embeddingSpace.name });
     
-    res.status(201).json({
+    res.set('ETag', formatEtag(result.version));
+    res.json({
       success: true,
       data: result,
-      message: `Successfully created ${result.inserted_count} memory embeddings`
+      message: 'Memory embedding restored successfully'
     });
   } catch (error) {
+    if (error.message.includes('not found in trash')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found in trash'
+      });
+    }
     next(error);
   }
 });
 
-// @route   GET /api/memory-embeddings/query
-// @desc    Query memory embeddings with filters and pagination
+// @route   GET /api/memory-embeddings/:id/similar
+// @desc    Find memories similar to a stored memory (same user unless user_id is given)
 // @access  Private
-router.get('/query', validateQuery(querySchema), async (req, res, next) => {
+router.get('/:id/similar', validateQuery(similarToMemoryQuerySchema), async (req, res, next) => {
   try {
-    const result = await memoryEmbeddingService.queryMemoryEmbeddings(req.query);
-    
+    const options = similarOptionsFromQuery(req.query);
+    options.filters.user_id = resolveUserScope(req, options.filters.user_id);
+
+    const result = await spaceService(req).findSimilarToMemory(req.params.id, memoryScope(req), options);
+
     res.json({
       success: true,
       data: result,
-      message: `Found ${result.results.length} memory embeddings`
+      message: `Found ${result.results.length} similar memory embeddings`
     });
   } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found'
+      });
+    }
     next(error);
   }
 });
 
-// @route   POST /api/memory-embeddings
-// @desc    Create a new memory embedding
+// @route   GET /api/memory-embeddings/:id/history
+// @desc    List the recorded versions of a memory, newest first
 // @access  Private
-router.post('/', validate(memoryEmbeddingSchema), async (req, res, next) => {
+router.get('/:id/history', async (req, res, next) => {
   try {
-    const memoryEmbedding = await memoryEmbeddingService.createMemoryEmbedding(req.body);
-    
-    res.status(201).json({
+    const includeVectors = req.query.include_vectors === 'true';
+    const history = await spaceService(req).getMemoryHistory(req.params.id, memoryScope(req), {
+      include_vectors: includeVectors
+    });
+
+    res.json({
       success: true,
-      data: memoryEmbedding,
-      message: 'Memory embedding created successfully'
+      data: history
     });
   } catch (error) {
+    if (error.message.includes('Memory embedding not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory embedding not found'
+      });
+    }
     next(error);
   }
 });
 
-// @route   GET /api/memory-embeddings/:id
-// @desc    Get memory embedding by ID
+// @route   POST /api/memory-embeddings/:id/revert/:version
+// @desc    Roll a memory back to an earlier version (recorded as a new version)
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.post('/:id/revert/:version', async (req, res, next) => {
   try {
-    const memoryEmbedding = await memoryEmbeddingService.getMemoryEmbeddingById(req.params.id);
-    
+    const version = Number(req.params.version);
+    const memoryEmbedding = await spaceService(req).revertMemoryEmbedding(
+      req.params.id,
+      version,
+      memoryScope(req),
+      { actor: req.auth, expected_version: parseIfMatch(req.get('If-Match')) }
+    );
+
+    res.set('ETag', formatEtag(memoryEmbedding.version));
     res.json({
       success: true,
-      data: memoryEmbedding
+      data: memoryEmbedding,
+      message: `Memory embedding reverted to version ${version}`
     });
   } catch (error) {
-    if (error.message === 'Memory embedding not found') {
+    if (error.message.includes('Memory embedding not found') || error.message.includes('Version not found')) {
       return res.status(404).json({
         success: false,
-        error: 'Memory embedding not found'
+        error: error.message.includes('Version not found') ? 'Version not found' : 'Memory embedding not found'
+      });
+    }
+    if (error.message.includes('Invalid version')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message.slice(error.message.indexOf('Invalid version'))
       });
     }
+    if (error.message.includes('Version conflict')) {
+      return sendVersionConflict(req, res);
+    }
     next(error);
   }
 });
 
-// @route   PUT /api/memory-embeddings/:id
-// @desc    Update memory embedding by ID
+// @route   POST /api/memory-embeddings/:id/access
+// @desc    Record access to a memory (updates access frequency and last accessed)
 // @access  Private
-router.put('/:id', validate(updateMemoryEmbeddingSchema), async (req, res, next) => {
+router.post('/:id/access', async (req, res, next) => {
   try {
-    const memoryEmbedding = await memoryEmbeddingService.updateMemoryEmbedding(req.params.id, req.body);
+    const result = await spaceService(req).recordMemoryAccess(req.params.id, memoryScope(req), {
+      expected_version: parseIfMatch(req.get('If-Match'))
+    });
     
+    res.set('ETag', formatEtag(result.version));
     res.json({
       success: true,
-      data: memoryEmbedding,
-      message: 'Memory embedding updated successfully'
+      data: result,
+      message: 'Memory access recorded successfully'
     });
   } catch (error) {
-    if (error.message === 'Memory embedding not found') {
+    if (error.message.includes('Memory embedding not found')) {
       return res.status(404).json({
         success: false,
         error: 'Memory embedding not found'
       });
     }
+    if (error.message.includes('Version conflict')) {
+      return sendVersionConflict(req, res);
+    }
     next(error);
   }
 });
 
-// @route   DELETE /api/memory-embeddings/:id
-// @desc    Delete memory embedding by ID
+// @route   GET /api/memory-embeddings/user/:userId/stats
+// @desc    Get statistics for a user (score histograms, access distribution, activity)
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.get('/user/:userId/stats', requireDefaultSpace, async (req, res, next) => {
   try {
-    const result = await memoryEmbeddingService.deleteMemoryEmbedding(req.params.id);
+    const stats = await memoryEmbeddingService.getUserStatistics(req.params.userId);
     
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/memory-embeddings/user/:userId/context
+// @desc    Pack the most relevant memories (and the context they need) into a token or
+//          character budget as a formatted block for an LLM prompt; records access
+// @access  Private
+router.post('/user/:userId/context', validate(contextPackSchema), async (req, res, next) => {
+  try {
+    const result = await memoryContextService.buildContext({
+      ...req.body,
+      user_id: req.params.userId,
+      space: req.embeddingSpace.name
+    });
+
     res.json({
       success: true,
       data: result,
-      message: 'Memory embedding deleted successfully'
+      message: `Packed ${result.memory_ids.length} memories into ${result.used.chars} characters`
     });
   } catch (error) {
-    if (error.message === 'Memory embedding not found') {
-      return res.status(404).json({
-        success: false,
-        error: 'Memory embedding not found'
-      });
-    }
     next(error);
   }
 });
 
-// @route   GET /api/memory-embeddings/user/:userId
-// @desc    Get all memory embeddings for a specific user
+// @route   GET /api/memory-embeddings/user/:userId/triggers
+// @desc    List a user's retrieval triggers with frequencies, spellings and co-occurrence
 // @access  Private
-router.get('/user/:userId', async (req, res, next) => {
+router.get('/user/:userId/triggers', validateQuery(triggerListQuerySchema), async (req, res, next) => {
   try {
-    const { userId } = req.params;
-    const { limit = 20, offset = 0, sort_by = 'created_at', sort_order = 'desc' } = req.query;
-    
-    const result = await memoryEmbeddingService.queryMemoryEmbeddings({
-      user_id: userId,
+    const { limit = 50, min_count = 1, memory_type } = req.query;
+    const result = await memoryTriggerService.getUserTriggers(req.params.userId, {
       limit: parseInt(limit),
-      offset: parseInt(offset),
-      sort_by,
-      sort_order
+      min_count: parseInt(min_count),
+      memory_type,
+      space: req.embeddingSpace.name
     });
-    
+
     res.json({
       success: true,
       data: result,
-      message: `Found ${result.results.length} memory embeddings for user ${userId}`
+      message: `Found ${result.trigger_count} distinct triggers in ${result.memory_count} memories`
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/memory-embeddings/type/:memoryType
-// @desc    Get all memory embeddings of a specific type
+// @route   GET /api/memory-embeddings/user/:userId/analytics/emotional-timeline
+// @desc    Day/week/month buckets of emotional significance, importance and type counts with trends and spikes
 // @access  Private
-router.get('/type/:memoryType', async (req, res, next) => {
+router.get('/user/:userId/analytics/emotional-timeline', validateQuery(emotionalTimelineQuerySchema), async (req, res, next) => {
   try {
-    const { memoryType } = req.params;
-    const { limit = 20, offset = 0, sort_by = 'importance_score', sort_order = 'desc' } = req.query;
+    const { interval = 'week', start, end, window = 3, spike_threshold = 2 } = req.query;
+    const timeline = await memoryAnalyticsService.getEmotionalTimeline(req.params.userId, {
+      interval,
+      start,
+      end,
+      window: parseInt(window),
+      spike_threshold: parseFloat(spike_threshold),
+      space: req.embeddingSpace.name
+    });
+
+    res.json({
+      success: true,
+      data: timeline,
+      message: `Built ${timeline.buckets.length} ${interval} buckets from ${timeline.memory_count} memories`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/memory-embeddings/user/:userId
+// @desc    Delete all data for a user (async job; poll the returned status_url for the receipt).
+//          ?shred=true destroys the user's encryption keys first, making their data unreadable at once
+// @access  Private
+router.delete('/user/:userId', async (req, res, next) => {
+  try {
+    const job = await userDeletionService.startDeletion(req.params.userId, req.auth, {
+      shred: req.query.shred === 'true'
+    });
+    const statusUrl = `${req.baseUrl}/user/${job.user_id}/deletion-jobs/${job.job_id}`;
     
-    const result = await memoryEmbeddingService.queryMemoryEmbeddings({
-      memory_type: memoryType,
+    res.status(202).location(statusUrl).json({
+      success: true,
+      data: { ...job, status_url: statusUrl },
+      message: job.shredded_at ? 'User data keys destroyed; deletion started' : 'User deletion started'
+    });
+  } catch (error) {
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Deletion already in progress for this user',
+        data: error.job
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/user/:userId/deletion-jobs/:jobId
+// @desc    Get progress of a user deletion job and, once completed, its signed receipt
+// @access  Private
+router.get('/user/:userId/deletion-jobs/:jobId', async (req, res, next) => {
+  try {
+    const job = await userDeletionService.getJob(req.params.jobId, req.params.userId);
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    if (error.message.includes('Deletion job not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deletion job not found'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/memory-embeddings/user/:userId/trash
+// @desc    List a user's trashed memories, most recently deleted first
+// @access  Private
+router.get('/user/:userId/trash', validateQuery(trashQuerySchema), async (req, res, next) => {
+  try {
+    const { limit = 20, cursor } = req.query;
+    const result = await memoryTrashService.listTrash(req.params.userId, {
       limit: parseInt(limit),
-      offset: parseInt(offset),
-      sort_by,
-      sort_order
+      cursor,
+      space: req.embeddingSpace.name
     });
     
     res.json({
       success: true,
       data: result,
-      message: `Found ${result.results.length} ${memoryType} memory embeddings`
+      message: `Found ${result.results.length} memories in the trash`
     });
   } catch (error) {
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
     next(error);
   }
 });
 
-// @route   POST /api/memory-embeddings/:id/access
-// @desc    Record access to a memory (updates access frequency and last accessed)
+// @route   GET /api/memory-embeddings/user/:userId/export
+// @desc    Stream every memory of a user as NDJSON (?gzip=true for a .ndjson.gz download)
 // @access  Private
-router.post('/:id/access', async (req, res, next) => {
+router.get('/user/:userId/export', requireDefaultSpace, async (req, res, next) => {
+  const { userId } = req.params;
+  const gzip = req.query.gzip === 'true';
+
+  // Read the first memory before responding so a storage failure can still be reported
+  // as a JSON error; after that the status line has been sent
+  const memories = memoryTransferService.exportUserMemories(userId);
+  let first;
+  try {
+    first = await memories.next();
+  } catch (error) {
+    return next(error);
+  }
+
+  const lines = Readable.from((async function* () {
+    if (first.done) return;
+    yield `${JSON.stringify(first.value)}\n`;
+    for await (const line of memories) {
+      yield `${JSON.stringify(line)}\n`;
+    }
+  })());
+
+  res.setHeader('Content-Type', gzip ? 'application/gzip' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="memories-${userId}.ndjson${gzip ? '.gz' : ''}"`);
+
+  try {
+    await (gzip ? pipeline(lines, zlib.createGzip(), res) : pipeline(lines, res));
+  } catch (error) {
+    // The response is torn down by pipeline, so the client sees a truncated download
+    console.error('❌ Memory export failed:', error.message);
+  }
+});
+
+// @route   POST /api/memory-embeddings/user/:userId/consolidate
+// @desc    Merge clusters of near-duplicate memories into insight memories (supports dry-run)
+// @access  Private
+router.post('/user/:userId/consolidate', requireDefaultSpace, validate(consolidationRunSchema), async (req, res, next) => {
   try {
-    const result = await memoryEmbeddingService.recordMemoryAccess(req.params.id);
+    const report = await memoryConsolidationService.runConsolidation({ ...req.body, user_id: req.params.userId });
     
     res.json({
       success: true,
-      data: result,
-      message: 'Memory access recorded successfully'
+      data: report,
+      message: report.dry_run
+        ? `${report.cluster_count} clusters (${report.consolidated_memory_count} memories) would be consolidated`
+        : `Consolidated ${report.consolidated_memory_count} memories into ${report.cluster_count} insights`
     });
   } catch (error) {
-    if (error.message === 'Memory embedding not found') {
-      return res.status(404).json({
+    if (error.message.includes('already in progress')) {
+      return res.status(409).json({
         success: false,
-        error: 'Memory embedding not found'
+        error: 'Consolidation already in progress for this user'
       });
     }
     next(error);
@@ -249,7 +1178,7 @@ router.get('/user/:userId/important', async (req, res, next) => {
     const { userId } = req.params;
     const { limit = 10, min_score = 0.7 } = req.query;
     
-    const result = await memoryEmbeddingService.queryMemoryEmbeddings({
+    const result = await spaceService(req).queryMemoryEmbeddings({
       user_id: userId,
       min_importance_score: parseFloat(min_score),
       limit: parseInt(limit),
@@ -275,7 +1204,7 @@ router.get('/user/:userId/recent', async (req, res, next) => {
     const { userId } = req.params;
     const { limit = 10 } = req.query;
     
-    const result = await memoryEmbeddingService.queryMemoryEmbeddings({
+    const result = await spaceService(req).queryMemoryEmbeddings({
       user_id: userId,
       limit: parseInt(limit),
       sort_by: 'last_accessed',
@@ -295,45 +1224,34 @@ router.get('/user/:userId/recent', async (req, res, next) => {
 // @route   GET /api/memory-embeddings/user/:userId/relationships/:memoryId
 // @desc    Get related memories for a specific memory
 // @access  Private
-router.get('/user/:userId/relationships/:memoryId', async (req, res, next) => {
+router.get('/user/:userId/relationships/:memoryId', requireDefaultSpace, async (req, res, next) => {
   try {
     const { userId, memoryId } = req.params;
+    const { memory, related, missing_ids } = await memoryRelationshipService.getRelatedMemories(memoryId, userId);
     
-    // First get the memory to find its relationships
-    const memory = await memoryEmbeddingService.getMemoryEmbeddingById(memoryId);
-    
-    if (memory.user_id !== userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied to this memory'
-      });
-    }
-    
-    // Get related memories
-    const relatedMemories = [];
-    for (const relatedId of memory.relationships) {
-      try {
-        const relatedMemory = await memoryEmbeddingService.getMemoryEmbeddingById(relatedId);
-        if (relatedMemory.user_id === userId) {
-          relatedMemories.push(relatedMemory);
-        }
-      } catch (error) {
-        // Skip memories that don't exist or can't be accessed
-        continue;
-      }
-    }
+    const relatedMemories = related.map(({ doc, edges }) => ({
+      ...memoryEmbeddingService.formatMemoryEmbedding(doc),
+      relationship_edges: edges
+    }));
     
     res.json({
       success: true,
       data: {
-        source_memory: memory,
+        source_memory: memoryEmbeddingService.formatMemoryEmbedding(memory),
         related_memories: relatedMemories,
-        relationship_count: relatedMemories.length
+        relationship_count: relatedMemories.length,
+        missing_relationship_ids: missing_ids
       },
       message: `Found ${relatedMemories.length} related memories`
     });
   } catch (error) {
-    if (error.message === 'Memory embedding not found') {
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this memory'
+      });
+    }
+    if (error.message.includes('Memory embedding not found')) {
       return res.status(404).json({
         success: false,
         error: 'Memory embedding not found'
@@ -343,4 +1261,125 @@ router.get('/user/:userId/relationships/:memoryId', async (req, res, next) => {
   }
 });
 
+// Map relationship service errors to 404 / 400 responses
+const handleRelationshipError = (error, res, next) => {
+  if (error.message.includes('Memory embedding not found') || error.message.includes('Relationship not found')) {
+    return res.status(404).json({
+      success: false,
+      error: error.message.includes('Relationship not found') ? 'Relationship not found' : 'Memory embedding not found'
+    });
+  }
+  if (error.message.includes('Invalid relationship')) {
+    return res.status(400).json({
+      success: false,
+      error: error.message.replace(/^.*?Invalid relationship/, 'Invalid relationship')
+    });
+  }
+  next(error);
+};
+
+// @route   GET /api/memory-embeddings/:id/relationships
+// @desc    List typed relationship edges of a memory
+// @access  Private
+router.get('/:id/relationships', requireDefaultSpace, async (req, res, next) => {
+  try {
+    const edges = await memoryRelationshipService.getRelationships(req.params.id, { type: req.query.type }, memoryScope(req));
+    
+    res.json({
+      success: true,
+      data: {
+        memory_id: req.params.id,
+        relationships: edges,
+        relationship_count: edges.length
+      }
+    });
+  } catch (error) {
+    handleRelationshipError(error, res, next);
+  }
+});
+
+// @route   GET /api/memory-embeddings/:id/relationships/suggestions
+// @desc    Propose relationships to the memory's nearest same-user vector neighbours
+// @access  Private
+router.get('/:id/relationships/suggestions', requireDefaultSpace, validateQuery(relationshipSuggestionQuerySchema), async (req, res, next) => {
+  try {
+    const { top_k, min_similarity } = req.query;
+    const result = await memoryRelationshipService.suggestRelationships(req.params.id, {
+      top_k: top_k !== undefined ? parseInt(top_k) : undefined,
+      min_similarity: min_similarity !== undefined ? parseFloat(min_similarity) : undefined
+    }, memoryScope(req));
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Found ${result.suggestions.length} relationship suggestions`
+    });
+  } catch (error) {
+    handleRelationshipError(error, res, next);
+  }
+});
+
+// @route   POST /api/memory-embeddings/:id/relationships
+// @desc    Add a typed, weighted relationship (the reverse edge is created automatically)
+// @access  Private
+router.post('/:id/relationships', requireDefaultSpace, validate(relationshipSchema), async (req, res, next) => {
+  try {
+    const { target_id, type, weight } = req.body;
+    const edge = await memoryRelationshipService.addRelationship(req.params.id, target_id, { type, weight }, memoryScope(req));
+    
+    res.status(201).json({
+      success: true,
+      data: edge,
+      message: 'Relationship added successfully'
+    });
+  } catch (error) {
+    handleRelationshipError(error, res, next);
+  }
+});
+
+// @route   DELETE /api/memory-embeddings/:id/relationships/:targetId
+// @desc    Remove relationships between two memories (optionally only ?type=)
+// @access  Private
+router.delete('/:id/relationships/:targetId', requireDefaultSpace, async (req, res, next) => {
+  try {
+    const result = await memoryRelationshipService.removeRelationship(
+      req.params.id,
+      req.params.targetId,
+      { type: req.query.type },
+      memoryScope(req)
+    );
+    
+    res.json({
+      success: true,
+      data: result,
+      message: 'Relationship removed successfully'
+    });
+  } catch (error) {
+    handleRelationshipError(error, res, next);
+  }
+});
+
+// @route   GET /api/memory-embeddings/:id/graph
+// @desc    Traverse the relationship graph from a memory up to a depth limit
+// @access  Private
+router.get('/:id/graph', requireDefaultSpace, validateQuery(graphQuerySchema), async (req, res, next) => {
+  try {
+    const { depth = 2, types, min_weight, max_nodes = 100 } = req.query;
+    const graph = await memoryRelationshipService.traverse(req.params.id, {
+      depth: parseInt(depth),
+      types: types ? types.split(',') : undefined,
+      min_weight: min_weight !== undefined ? parseFloat(min_weight) : undefined,
+      max_nodes: parseInt(max_nodes)
+    }, memoryScope(req));
+    
+    res.json({
+      success: true,
+      data: graph,
+      message: `Found ${graph.node_count} memories within ${graph.depth} hops`
+    });
+  } catch (error) {
+    handleRelationshipError(error, res, next);
+  }
+});
+
 module.exports = router;
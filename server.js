@@ -8,8 +8,12 @@ require('dotenv').config();
 
 // Import middleware and routes
 const errorHandler = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
 const memoryEmbeddingRoutes = require('./routes/memoryEmbeddings');
-const astraDB = require('./config/astradb');
+const storage = require('./config/storage');
+const memoryDecayService = require('./services/memoryDecayService');
+const memoryTrashService = require('./services/memoryTrashService');
+const keyRotationService = require('./services/keyRotationService');
 
 const app = express();
 
@@ -34,7 +38,8 @@ app.use(cors({
     ? ['https://yourdomain.com'] 
     : ['http://localhost:3000', 'http://localhost:3001'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'Idempotency-Key', 'X-Embedding-Space'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed'],
   credentials: true
 }));
 
@@ -55,23 +60,19 @@ app.use(limiter);
 // General middleware
 app.use(compression());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+// Large enough for a batch of 5000 memories with 90-d vectors; batches in wider embedding
+// spaces need fewer memories per request
+app.use(express.json({ limit: '25mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// API Key validation middleware (disabled for deployment)
-const validateApiKey = (req, res, next) => {
-  // Skip API key validation for deployment
-  next();
-};
-
-// Apply API key validation to all routes except health check
-app.use('/api', validateApiKey);
+// Apply API key / bearer token authentication to all routes except health check
+app.use('/api', authenticate);
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
     // Test database connection
-    await astraDB.connect();
+    await storage.connect();
     
     res.json({
       success: true,
@@ -80,6 +81,7 @@ app.get('/health', async (req, res) => {
       service: 'memory-embedding-service <3',
       version: '1.0.0',
       database: 'connected',
+      storage_backend: storage.backend,
       uptime: process.uptime()
     });
   } catch (error) {
@@ -90,6 +92,7 @@ app.get('/health', async (req, res) => {
       service: 'mymindspace-semantic-search-service',
       version: '1.0.0',
       database: 'disconnected',
+      storage_backend: storage.backend,
       error: error.message,
       uptime: process.uptime()
     });
@@ -135,8 +138,11 @@ process.on('SIGTERM', async () => {
   console.log('🔄 SIGTERM received, shutting down gracefully...');
   
   try {
-    if (astraDB) {
-      await astraDB.disconnect();
+    memoryDecayService.stop();
+    memoryTrashService.stop();
+    keyRotationService.stop();
+    if (storage) {
+      await storage.disconnect();
     }
     console.log('✅ Database connections closed');
   } catch (error) {
@@ -158,17 +164,24 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+// Start server (only when run directly, so tests can import the app without binding a port)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
 🚀 MyMindSpace Semantic Search Service Started
 🌍 Environment: ${process.env.NODE_ENV || 'development'}
+💾 Storage Backend: ${storage.backend}
 🔗 Server: http://0.0.0.0:${PORT}
 📊 Health Check: http://0.0.0.0:${PORT}/health
 🧠 Memory Embeddings API: http://0.0.0.0:${PORT}/api/memory-embeddings
 ⏰ Started at: ${new Date().toISOString()}
-  `);
-});
+    `);
+  });
+
+  memoryDecayService.start();
+  memoryTrashService.start();
+  keyRotationService.start();
+}
 
 module.exports = app;
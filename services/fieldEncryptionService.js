@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const storage = require('../config/storage');
+
+// Envelope encryption of the sensitive memory fields.
+//
+// content_summary and context_needed are encrypted with AES-256-GCM under a per-user
+// data key. Data keys live in the user_data_keys collection wrapped (encrypted) by a
+// master key from FIELD_ENCRYPTION_KEYS, so the database on its own cannot decrypt
+// anything. A user's data keys are versioned: writes use the newest version and older
+// versions are kept until the rotation job (services/keyRotationService.js) has
+// re-encrypted everything written with them. Destroying a user's data keys
+// (crypto-shredding) makes their encrypted fields unreadable at once.
+//
+// Encrypted values are stored as strings (context_needed is JSON-encoded first):
+//   enc:v1:<data key version>:<iv>:<auth tag>:<ciphertext>
+// Values without the prefix are plaintext written before encryption was enabled; they
+// are read as they are and encrypted by the next rotation run.
+//
+//   FIELD_ENCRYPTION_KEYS=<id>:<base64 32-byte key>[,<id>:<key>...]
+// The first master key wraps new data keys; the others are only used to unwrap keys
+// until a rotation run has re-wrapped them. Without master keys fields are stored in
+// plaintext.
+
+const DATA_KEYS_COLLECTION = 'user_data_keys';
+
+const ENCRYPTED_FIELDS = ['content_summary', 'context_needed'];
+
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Unwrapped data keys are cached this long, so a key destroyed or retired by another
+// instance stops being used within this window
+const DATA_KEY_CACHE_TTL_MS = process.env.FIELD_ENCRYPTION_KEY_CACHE_TTL_MS !== undefined
+  ? parseInt(process.env.FIELD_ENCRYPTION_KEY_CACHE_TTL_MS)
+  : 5 * 60 * 1000;
+const DATA_KEY_CACHE_MAX_USERS = 10000;
+
+const parseMasterKeys = () => {
+  const keys = new Map();
+
+  (process.env.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (separator < 1 || key.length !== KEY_LENGTH) {
+        throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry '${id || entry.slice(0, 8)}': expected <id>:<base64 of a ${KEY_LENGTH}-byte key>`);
+      }
+      keys.set(id, key);
+    });
+
+  return { keys, activeId: keys.keys().next().value || null };
+};
+
+const masterKeys = parseMasterKeys();
+
+// AES-256-GCM with additional authenticated data binding the value to where it belongs
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+const unseal = (key, sealed, aad) => {
+  const [iv, tag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+
+// Data key version an encrypted value was written with
+const keyVersionOf = (value) => parseInt(value.slice(CIPHERTEXT_PREFIX.length));
+
+const dataKeyId = (userId, version) => `${userId}:${version}`;
+
+class FieldEncryptionService {
+  constructor() {
+    this.collection = null;
+    this.cache = new Map();
+    this.loading = new Map();
+  }
+
+  get enabled() {
+    return masterKeys.activeId !== null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.collection = await storage.getCollection(DATA_KEYS_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  unwrap(doc) {
+    const masterKey = masterKeys.keys.get(doc.master_key_id);
+    if (!masterKey) {
+      throw new Error(`Master key '${doc.master_key_id}' is not configured in FIELD_ENCRYPTION_KEYS`);
+    }
+    return unseal(masterKey, doc.wrapped_key, doc._id);
+  }
+
+  wrap(id, key) {
+    return {
+      wrapped_key: seal(masterKeys.keys.get(masterKeys.activeId), key, id),
+      master_key_id: masterKeys.activeId
+    };
+  }
+
+  // All data keys of a user, newest version first; cached for DATA_KEY_CACHE_TTL_MS
+  async userKeys(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.loaded_at < DATA_KEY_CACHE_TTL_MS) {
+      return cached;
+    }
+
+    // Concurrent reads of a user's keys share one load. A load the user's keys were
+    // evicted during (a key created, destroyed or shredded meanwhile) is not cached, so
+    // keys read before a shred are never cached after it.
+    if (!this.loading.has(userId)) {
+      const load = this.loadKeys(userId)
+        .then(entry => {
+          if (this.loading.get(userId) === load) this.cacheKeys(userId, entry);
+          return entry;
+        })
+        .finally(() => {
+          if (this.loading.get(userId) === load) this.loading.delete(userId);
+        });
+      this.loading.set(userId, load);
+    }
+    return this.loading.get(userId);
+  }
+
+  async loadKeys(userId) {
+    await this.initialize();
+
+    const keys = new Map();
+    let active = null;
+    for await (const doc of this.collection.find({ user_id: userId }, { sort: { version: -1 } })) {
+      keys.set(doc.version, this.unwrap(doc));
+      if (!active) active = { version: doc.version, key: keys.get(doc.version) };
+    }
+
+    return { loaded_at: Date.now(), active, keys };
+  }
+
+  cacheKeys(userId, entry) {
+    if (DATA_KEY_CACHE_TTL_MS > 0) {
+      this.cache.delete(userId);
+      this.cache.set(userId, entry);
+      if (this.cache.size > DATA_KEY_CACHE_MAX_USERS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+  }
+
+  evict(userId) {
+    this.cache.delete(userId);
+    this.loading.delete(userId);
+  }
+
+  // Store a new data key version for a user. Returns false when another writer created
+  // that version first.
+  async createDataKey(userId, version) {
+    await this.initialize();
+
+    const _id = dataKeyId(userId, version);
+    try {
+      await this.collection.insertOne({
+        _id,
+        user_id: userId,
+        version,
+        ...this.wrap(_id, crypto.randomBytes(KEY_LENGTH)),
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      if (!/already exists/i.test(error.message)) throw error;
+      return false;
+    } finally {
+      this.evict(userId);
+    }
+
+    // Older versions are only kept until the data written with them is re-encrypted
+    await this.collection.updateMany(
+      { user_id: userId, version: { $lt: version }, retired_at: { $exists: false } },
+      { $set: { retired_at: new Date().toISOString() } }
+    );
+    return true;
+  }
+
+  // Key new data is encrypted with, created on a user's first encrypted write
+  async activeKey(userId) {
+    const { active } = await this.userKeys(userId);
+    if (active) return active;
+
+    await this.createDataKey(userId, 1);
+    return (await this.userKeys(userId)).active;
+  }
+
+  // Copy of `fields` with the encrypted fields it contains encrypted for the user;
+  // values that are already encrypted are kept
+  async encryptFields(userId, fields) {
+    const pending = ENCRYPTED_FIELDS.filter(field => fields[field] !== undefined && fields[field] !== null && !isEncrypted(fields[field]));
+    if (!this.enabled || pending.length === 0) {
+      return { ...fields };
+    }
+
+    const { version, key } = await this.activeKey(userId);
+    const encrypted = { ...fields };
+    pending.forEach(field => {
+      const plaintext = field === 'content_summary' ? fields[field] : JSON.stringify(fields[field]);
+      encrypted[field] = `${CIPHERTEXT_PREFIX}${version}:${seal(key, plaintext, `${userId}:${field}`)}`;
+    });
+    return encrypted;
+  }
+
+  // Copy of `fields` with its encrypted fields decrypted. A field whose data key has
+  // been destroyed (crypto-shredded) reads as null.
+  async decryptFields(userId, fields) {
+    const pending = ENCRYPTED_FIELDS.filter(field => isEncrypted(fields[field]));
+    if (pending.length === 0) {
+      return { ...fields };
+    }
+    if (!this.enabled) {
+      throw new Error('Encrypted fields found but FIELD_ENCRYPTION_KEYS is not configured');
+    }
+
+    const { keys } = await this.userKeys(userId);
+    const decrypted = { ...fields };
+    pending.forEach(field => {
+      const value = fields[field];
+      const key = keys.get(keyVersionOf(value));
+      if (!key) {
+        decrypted[field] = null;
+        return;
+      }
+      const sealed = value.slice(value.indexOf(':', CIPHERTEXT_PREFIX.length) + 1);
+      const plaintext = unseal(key, sealed, `${userId}:${field}`).toString('utf8');
+      decrypted[field] = field === 'content_summary' ? plaintext : JSON.parse(plaintext);
+    });
+    return decrypted;
+  }
+
+  async decryptDocument(doc) {
+    return doc ? this.decryptFields(doc.user_id, doc) : doc;
+  }
+
+  async decryptDocuments(docs) {
+    const decrypted = [];
+    for (const doc of docs) {
+      decrypted.push(await this.decryptDocument(doc));
+    }
+    return decrypted;
+  }
+
+  // Whether any encrypted field is plaintext or was written with an older data key
+  async needsReencryption(userId, fields) {
+    const values = ENCRYPTED_FIELDS.map(field => fields[field]).filter(value => value !== undefined && value !== null);
+    if (values.length === 0) return false;
+    if (values.some(value => !isEncrypted(value))) return true;
+
+    const { active } = await this.userKeys(userId);
+    return !active || values.some(value => keyVersionOf(value) !== active.version);
+  }
+
+  // Start a new data key version for a user; data written with the previous version is
+  // re-encrypted by the next rotation run
+  async rotateDataKey(userId) {
+    const { active } = await this.userKeys(userId);
+    const version = (active ? active.version : 0) + 1;
+    if (!await this.createDataKey(userId, version)) {
+      throw new Error(`Data key version ${version} was created concurrently`);
+    }
+    return version;
+  }
+
+  // Re-wrap data keys still wrapped by an older master key (all users, or one)
+  async rewrapDataKeys(userId) {
+    await this.initialize();
+
+    const filter = { master_key_id: { $ne: masterKeys.activeId } };
+    if (userId) filter.user_id = userId;
+
+    let rewrapped = 0;
+    for await (const doc of this.collection.find(filter)) {
+      const { matchedCount } = await this.collection.updateOne(
+        { _id: doc._id, master_key_id: doc.master_key_id },
+        { $set: { ...this.wrap(doc._id, this.unwrap(doc)), rewrapped_at: new Date().toISOString() } }
+      );
+      rewrapped += matchedCount;
+    }
+    return rewrapped;
+  }
+
+  // Users that have data keys (optionally only those with retired versions)
+  async listUsers(options = {}) {
+    await this.initialize();
+
+    const filter = options.retired ? { retired_at: { $exists: true } } : {};
+    const users = new Set();
+    for await (const doc of this.collection.find(filter, { projection: { user_id: 1 } })) {
+      users.add(doc.user_id);
+    }
+    return Array.from(users);
+  }
+
+  // Destroy a user's data key versions retired at or before `retiredBefore`
+  async destroyRetiredKeys(userId, retiredBefore) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({
+      user_id: userId,
+      retired_at: { $lte: retiredBefore }
+    });
+    this.evict(userId);
+    return deletedCount;
+  }
+
+  // Crypto-shredding: destroy every data key of a user, leaving their encrypted fields
+  // (memories, version history) unreadable
+  async shredUser(userId) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({ user_id: userId });
+    this.evict(userId);
+    return deletedCount;
+  }
+}
+
+// Export singleton instance
+const fieldEncryptionService = new FieldEncryptionService();
+module.exports = fieldEncryptionService;
+module.exports.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+module.exports.CIPHERTEXT_PREFIX = CIPHERTEXT_PREFIX;
+module.exports.DATA_KEY_CACHE_TTL_MS = DATA_KEY_CACHE_TTL_MS;
+module.exports.isEncrypted = isEncrypted;
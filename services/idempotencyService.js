@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const storage = require('../config/storage');
+
+// Stored responses for requests sent with an Idempotency-Key header.
+//
+// The first request with a key claims it by inserting a `processing` record (the insert
+// fails for a concurrent duplicate). Once the handler responds, the status code and body
+// are stored on the record and any retry with the same key and the same request within
+// IDEMPOTENCY_TTL_HOURS gets that response replayed instead of being executed again.
+// Keys are scoped to the caller and the endpoint, so clients cannot replay each other's
+// responses.
+
+const IDEMPOTENCY_COLLECTION = 'idempotency_keys';
+
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// A claim older than this whose response was never stored (e.g. the instance handling
+// it restarted) no longer blocks retries
+const PROCESSING_LOCK_MS = 60 * 1000;
+
+// Expired records are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Users whose data a request (and so its stored response) concerns
+const requestUserIds = (req) => {
+  const ids = new Set();
+  if (req.auth?.user_id) ids.add(req.auth.user_id);
+  if (req.body?.user_id) ids.add(req.body.user_id);
+  (req.body?.embeddings || []).forEach(embedding => embedding?.user_id && ids.add(embedding.user_id));
+  return Array.from(ids);
+};
+
+class IdempotencyService {
+  constructor() {
+    this.collection = null;
+    this.lastSweep = 0;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.collection = await storage.getCollection(IDEMPOTENCY_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  // Claim a key for a request. Returns the stored response when the request is a retry
+  // of one that already completed.
+  async claim(req, key) {
+    await this.initialize();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw httpError(`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`, 400);
+    }
+
+    const caller = `${req.auth?.type || 'none'}:${req.auth?.user_id || ''}`;
+    const id = sha256(`${caller}|${req.method}|${req.baseUrl}${req.path}|${key}`);
+    const fingerprint = sha256(JSON.stringify({ space: req.embeddingSpace?.name, query: req.query, body: req.body }));
+    const now = Date.now();
+
+    this.sweepExpired(now);
+
+    const existing = await this.collection.findOne({ _id: id });
+    if (existing && new Date(existing.expires_at).getTime() > now) {
+      if (existing.fingerprint !== fingerprint) {
+        throw httpError('Idempotency-Key has already been used for a different request', 422);
+      }
+      if (existing.status === 'completed') {
+        return { id, replay: existing.response };
+      }
+      if (now - new Date(existing.locked_at).getTime() < PROCESSING_LOCK_MS) {
+        throw httpError('A request with this Idempotency-Key is still being processed', 409);
+      }
+    }
+    if (existing) {
+      await this.collection.deleteOne({ _id: id, locked_at: existing.locked_at });
+    }
+
+    try {
+      await this.collection.insertOne({
+        _id: id,
+        status: 'processing',
+        fingerprint,
+        user_ids: requestUserIds(req),
+        locked_at: new Date(now).toISOString(),
+        expires_at: new Date(now + IDEMPOTENCY_TTL_HOURS * MS_PER_HOUR).toISOString()
+      });
+    } catch (error) {
+      if (/already exists/i.test(error.message)) {
+        throw httpError('A request with this Idempotency-Key is still being processed', 409);
+      }
+      throw error;
+    }
+
+    return { id, replay: null };
+  }
+
+  // Store the response of a claimed request for replay
+  async complete(id, response) {
+    await this.initialize();
+    await this.collection.updateOne({ _id: id }, { $set: { status: 'completed', response } });
+  }
+
+  // Give up a claim so the request can be retried (used when it failed server-side)
+  async release(id) {
+    await this.initialize();
+    await this.collection.deleteOne({ _id: id, status: 'processing' });
+  }
+
+  // Not awaited by callers; a failed sweep is retried on a later request
+  sweepExpired(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    this.collection.deleteMany({ expires_at: { $lte: new Date(now).toISOString() } }).catch(error => {
+      console.error('❌ Idempotency key sweep failed:', error.message);
+    });
+  }
+
+  // Stored responses may contain a user's memories
+  async removeForUser(userId) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({ user_ids: userId });
+    return deletedCount;
+  }
+}
+
+// Export singleton instance
+const idempotencyService = new IdempotencyService();
+module.exports = idempotencyService;
@@ -0,0 +1,217 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryVersionService = require('./memoryVersionService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { ENCRYPTED_FIELDS, DATA_KEY_CACHE_TTL_MS, isEncrypted } = require('./fieldEncryptionService');
+const { listSpaces } = require('../config/embeddingSpaces');
+const { versionFilter } = require('../utils/etag');
+
+// Background key rotation for field encryption (see services/fieldEncryptionService.js).
+//
+// A run:
+//   1. re-wraps data keys still wrapped by an older master key, so a retired master key
+//      can be removed from FIELD_ENCRYPTION_KEYS afterwards
+//   2. with `rotate_data_keys`, starts a new data key version for every user
+//   3. re-encrypts memories (every embedding space) and version history written with an
+//      older data key version, or still in plaintext, under the user's current key
+//   4. destroys retired data key versions nothing is encrypted with any more
+// Memories are rewritten only if their version is unchanged since they were read; a
+// memory updated meanwhile is counted as skipped and its user's retired keys are kept
+// for the next run. Values whose key has been destroyed are left as they are.
+
+const KEY_ROTATION_INTERVAL_MS = parseInt(process.env.FIELD_ENCRYPTION_ROTATION_INTERVAL_MS) || 0;
+
+const ENCRYPTED_PROJECTION = Object.fromEntries(
+  ['user_id', 'version', ...ENCRYPTED_FIELDS].map(field => [field, 1])
+);
+
+class KeyRotationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.currentReport = null;
+    this.lastReport = null;
+  }
+
+  // Start a rotation run in the background and return its (live) report
+  startRotation(options = {}) {
+    const { user_id, rotate_data_keys = false } = options;
+
+    if (!fieldEncryptionService.enabled) {
+      const error = new Error('Field encryption is not configured (FIELD_ENCRYPTION_KEYS)');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (this.running) {
+      throw new Error('Key rotation already in progress');
+    }
+
+    this.running = true;
+    this.currentReport = {
+      user_id: user_id || null,
+      rotate_data_keys,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      rewrapped_data_keys: 0,
+      rotated_data_keys: 0,
+      reencrypted_memories: 0,
+      reencrypted_versions: 0,
+      skipped_memories: 0,
+      unreadable_records: 0,
+      destroyed_data_keys: 0
+    };
+
+    // Not awaited: progress and the outcome are kept on the report
+    this.runRotation(this.currentReport);
+
+    return this.currentReport;
+  }
+
+  // Never rejects; a failure is recorded on the report
+  async runRotation(report) {
+    try {
+      report.rewrapped_data_keys = await fieldEncryptionService.rewrapDataKeys(report.user_id);
+
+      if (report.rotate_data_keys) {
+        const users = report.user_id ? [report.user_id] : await fieldEncryptionService.listUsers();
+        for (const userId of users) {
+          await fieldEncryptionService.rotateDataKey(userId);
+          report.rotated_data_keys++;
+        }
+      }
+
+      // Keys retired before this point (less the key cache lifetime) can no longer be
+      // used by any writer once the scan below has started
+      const scanStartedAt = Date.now();
+      const skippedUsers = new Set();
+
+      for (const space of listSpaces()) {
+        const collection = await memoryEmbeddingService.forSpace(space.name).initialize();
+        await this.reencryptMemories(collection, report, skippedUsers);
+      }
+      await this.reencryptVersions(report);
+
+      const retiredBefore = new Date(scanStartedAt - DATA_KEY_CACHE_TTL_MS).toISOString();
+      const users = report.user_id ? [report.user_id] : await fieldEncryptionService.listUsers({ retired: true });
+      for (const userId of users) {
+        if (skippedUsers.has(userId)) continue;
+        report.destroyed_data_keys += await fieldEncryptionService.destroyRetiredKeys(userId, retiredBefore);
+      }
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('❌ Key rotation failed:', error.message);
+      report.status = 'failed';
+      report.error = error.message;
+    } finally {
+      report.finished_at = new Date().toISOString();
+      this.lastReport = report;
+      this.currentReport = null;
+      this.running = false;
+    }
+  }
+
+  // Decrypt the encrypted fields of a record for re-encryption; null when a value can no
+  // longer be decrypted because its data key has been destroyed
+  async readableFields(userId, fields) {
+    const decrypted = await fieldEncryptionService.decryptFields(userId, fields);
+    const shredded = ENCRYPTED_FIELDS.some(field => isEncrypted(fields[field]) && decrypted[field] === null);
+    return shredded ? null : decrypted;
+  }
+
+  async reencryptMemories(collection, report, skippedUsers) {
+    const query = report.user_id ? { user_id: report.user_id } : {};
+
+    for await (const doc of collection.find(query, { projection: ENCRYPTED_PROJECTION })) {
+      if (!await fieldEncryptionService.needsReencryption(doc.user_id, doc)) continue;
+
+      const fields = await this.readableFields(doc.user_id, doc);
+      if (!fields) {
+        report.unreadable_records++;
+        continue;
+      }
+
+      const set = await fieldEncryptionService.encryptFields(
+        doc.user_id,
+        Object.fromEntries(ENCRYPTED_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]]))
+      );
+
+      // Not a content change, so neither version nor updated_at moves
+      const { matchedCount } = await collection.updateOne(
+        { _id: doc._id, version: versionFilter(doc) },
+        { $set: set }
+      );
+
+      if (matchedCount > 0) {
+        report.reencrypted_memories++;
+      } else {
+        report.skipped_memories++;
+        skippedUsers.add(doc.user_id);
+      }
+    }
+  }
+
+  // History records are never updated otherwise, so they are rewritten unconditionally
+  async reencryptVersions(report) {
+    const versions = await memoryVersionService.initialize();
+    const query = report.user_id ? { user_id: report.user_id } : {};
+
+    for await (const doc of versions.find(query, { projection: { user_id: 1, previous_values: 1 } })) {
+      if (!await fieldEncryptionService.needsReencryption(doc.user_id, doc.previous_values)) continue;
+
+      const previousValues = await this.readableFields(doc.user_id, doc.previous_values);
+      if (!previousValues) {
+        report.unreadable_records++;
+        continue;
+      }
+
+      await versions.updateOne(
+        { _id: doc._id },
+        { $set: { previous_values: await fieldEncryptionService.encryptFields(doc.user_id, previousValues) } }
+      );
+      report.reencrypted_versions++;
+    }
+  }
+
+  // Schedule periodic rotation runs (FIELD_ENCRYPTION_ROTATION_INTERVAL_MS, disabled
+  // when 0). Scheduled runs re-encrypt and clean up; they do not start new data keys.
+  start(intervalMs = KEY_ROTATION_INTERVAL_MS) {
+    if (this.timer || !intervalMs || !fieldEncryptionService.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      try {
+        this.startRotation();
+      } catch (error) {
+        console.error('❌ Scheduled key rotation failed:', error.message);
+      }
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🔑 Key rotation scheduled every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: fieldEncryptionService.enabled,
+      encrypted_fields: ENCRYPTED_FIELDS,
+      scheduled: Boolean(this.timer),
+      interval_ms: KEY_ROTATION_INTERVAL_MS,
+      running: this.running,
+      current_report: this.currentReport,
+      last_report: this.lastReport
+    };
+  }
+}
+
+// Export singleton instance
+const keyRotationService = new KeyRotationService();
+module.exports = keyRotationService;
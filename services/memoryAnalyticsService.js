@@ -0,0 +1,227 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const {
+  bucketStart,
+  nextBucket,
+  bucketRange,
+  movingAverage,
+  linearSlope,
+  detectSpikes
+} = require('../utils/timeSeries');
+
+// Per-user analytics over stored memories.
+//
+// The emotional timeline buckets a user's memories by created_at (day, week or month,
+// UTC) and aggregates emotional significance, importance and counts per memory type.
+// On top of the buckets it reports trailing moving averages, the overall trend, spikes
+// against the preceding buckets and flags for patterns a dashboard may want to surface.
+// Flags are signals for a human to look at, not assessments. Archived memories count
+// (they are still part of the user's history); memories in the trash do not.
+
+const MEMORY_TYPES = ['conversation', 'event', 'emotion', 'insight'];
+
+// Cap on the memories scanned for one timeline
+const ANALYTICS_MAX_MEMORIES = parseInt(process.env.ANALYTICS_MAX_MEMORIES) || 10000;
+const MAX_TIMELINE_BUCKETS = 400;
+
+// Range covered when no start is given
+const DEFAULT_RANGE_BUCKETS = { day: 30, week: 26, month: 12 };
+
+const DEFAULT_MOVING_AVERAGE_WINDOW = 3;
+const DEFAULT_SPIKE_THRESHOLD = 2;
+
+// Smallest change counted as a spike, so a flat baseline does not flag small moves
+const MIN_SCORE_SPIKE = 0.15;
+const MIN_COUNT_SPIKE = 3;
+
+// Slope per bucket below which a score trend is reported as stable
+const TREND_STABLE_SLOPE = 0.01;
+
+// Moving average of emotional significance at which it counts as elevated
+const ELEVATED_EMOTIONAL_SIGNIFICANCE = parseFloat(process.env.ANALYTICS_ELEVATED_EMOTIONAL_SIGNIFICANCE) || 0.7;
+
+const invalidRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const average = (sum, count) => (count > 0 ? sum / count : null);
+
+const emptyBucket = (start, interval) => ({
+  start,
+  end: nextBucket(start, interval),
+  memory_count: 0,
+  memory_types: Object.fromEntries(MEMORY_TYPES.map(type => [type, 0])),
+  sums: { emotional_significance: 0, importance_score: 0, emotion_memories: 0 },
+  max: { emotional_significance: null, importance_score: null }
+});
+
+const addToBucket = (bucket, doc) => {
+  bucket.memory_count++;
+  bucket.memory_types[doc.memory_type] = (bucket.memory_types[doc.memory_type] || 0) + 1;
+
+  ['emotional_significance', 'importance_score'].forEach(field => {
+    const value = doc[field] || 0;
+    bucket.sums[field] += value;
+    bucket.max[field] = bucket.max[field] === null ? value : Math.max(bucket.max[field], value);
+  });
+  if (doc.memory_type === 'emotion') {
+    bucket.sums.emotion_memories += doc.emotional_significance || 0;
+  }
+};
+
+const trend = (series) => {
+  const slope = linearSlope(series);
+  let direction = null;
+  if (slope !== null) {
+    direction = Math.abs(slope) < TREND_STABLE_SLOPE ? 'stable' : slope > 0 ? 'rising' : 'falling';
+  }
+  return { slope_per_bucket: slope, direction };
+};
+
+class MemoryAnalyticsService {
+  // Bucketed emotional trajectory of a user with moving averages, trends, spikes and flags
+  async getEmotionalTimeline(userId, options = {}) {
+    try {
+      const {
+        interval = 'week',
+        window = DEFAULT_MOVING_AVERAGE_WINDOW,
+        spike_threshold = DEFAULT_SPIKE_THRESHOLD
+      } = options;
+
+      // The range is widened to whole buckets
+      const end = options.end ? new Date(options.end) : new Date();
+      let start = options.start ? new Date(options.start) : bucketStart(end, interval);
+      if (!options.start) {
+        for (let i = 1; i < DEFAULT_RANGE_BUCKETS[interval]; i++) {
+          start = bucketStart(new Date(start.getTime() - 1), interval);
+        }
+      }
+      if (start > end) {
+        throw invalidRequest('Invalid range: start must not be after end');
+      }
+
+      const starts = bucketRange(start, end, interval);
+      if (starts.length > MAX_TIMELINE_BUCKETS) {
+        throw invalidRequest(`Invalid range: at most ${MAX_TIMELINE_BUCKETS} ${interval} buckets per timeline`);
+      }
+
+      const buckets = starts.map(bucket => emptyBucket(bucket, interval));
+      const bucketIndex = new Map(starts.map((bucket, index) => [bucket.getTime(), index]));
+      const rangeStart = starts[0].toISOString();
+      const rangeEnd = buckets[buckets.length - 1].end.toISOString();
+
+      // Newest first, so a truncated scan loses the oldest buckets rather than the recent
+      // ones the spike and activity flags look at
+      const collection = await memoryEmbeddingService.forSpace(options.space).initialize();
+      const cursor = collection.find(
+        { user_id: userId, deleted: { $ne: true }, created_at: { $gte: rangeStart, $lt: rangeEnd } },
+        {
+          sort: { created_at: -1 },
+          limit: ANALYTICS_MAX_MEMORIES,
+          projection: { memory_type: 1, emotional_significance: 1, importance_score: 1, created_at: 1 }
+        }
+      );
+
+      let scanned = 0;
+      for await (const doc of cursor) {
+        scanned++;
+        const index = bucketIndex.get(bucketStart(new Date(doc.created_at), interval).getTime());
+        if (index !== undefined) addToBucket(buckets[index], doc);
+      }
+
+      const series = {
+        emotional_significance: buckets.map(bucket => average(bucket.sums.emotional_significance, bucket.memory_count)),
+        importance_score: buckets.map(bucket => average(bucket.sums.importance_score, bucket.memory_count)),
+        memory_count: buckets.map(bucket => bucket.memory_count)
+      };
+      const movingAverages = Object.fromEntries(
+        Object.entries(series).map(([metric, values]) => [metric, movingAverage(values, window)])
+      );
+
+      const spikes = [
+        ...detectSpikes(series.emotional_significance, { window, threshold: spike_threshold, minDelta: MIN_SCORE_SPIKE })
+          .map(spike => ({ metric: 'emotional_significance', ...spike })),
+        ...detectSpikes(series.memory_count, { window, threshold: spike_threshold, minDelta: MIN_COUNT_SPIKE })
+          .map(spike => ({ metric: 'memory_count', ...spike }))
+      ]
+        .sort((a, b) => a.index - b.index)
+        .map(({ index, ...spike }) => ({ bucket_start: starts[index].toISOString(), ...spike }));
+
+      const trends = {
+        emotional_significance: trend(series.emotional_significance),
+        importance_score: trend(series.importance_score)
+      };
+
+      return {
+        user_id: userId,
+        interval,
+        start: rangeStart,
+        end: rangeEnd,
+        moving_average_window: window,
+        spike_threshold,
+        memory_count: scanned,
+        scan_truncated: scanned >= ANALYTICS_MAX_MEMORIES,
+        buckets: buckets.map((bucket, index) => ({
+          start: bucket.start.toISOString(),
+          end: bucket.end.toISOString(),
+          memory_count: bucket.memory_count,
+          memory_types: bucket.memory_types,
+          emotional_significance: {
+            average: series.emotional_significance[index],
+            max: bucket.max.emotional_significance,
+            emotion_memories_average: average(bucket.sums.emotion_memories, bucket.memory_types.emotion)
+          },
+          importance_score: {
+            average: series.importance_score[index],
+            max: bucket.max.importance_score
+          },
+          moving_average: {
+            emotional_significance: movingAverages.emotional_significance[index],
+            importance_score: movingAverages.importance_score[index],
+            memory_count: movingAverages.memory_count[index]
+          }
+        })),
+        trends,
+        spikes,
+        flags: this.flagPatterns({ starts, window, movingAverages, spikes, trends })
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to build emotional timeline: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  // Patterns in the most recent `window` buckets worth surfacing on a dashboard
+  flagPatterns({ starts, window, movingAverages, spikes, trends }) {
+    const recentFrom = starts[Math.max(0, starts.length - window)].toISOString();
+    const flags = [];
+
+    spikes
+      .filter(spike => spike.bucket_start >= recentFrom)
+      .forEach(spike => {
+        if (spike.metric === 'emotional_significance' && spike.direction === 'up') {
+          flags.push({ type: 'emotional_spike', bucket_start: spike.bucket_start, value: spike.value });
+        }
+        if (spike.metric === 'memory_count' && spike.direction === 'down') {
+          flags.push({ type: 'activity_drop', bucket_start: spike.bucket_start, value: spike.value });
+        }
+      });
+
+    const latest = movingAverages.emotional_significance.at(-1);
+    if (latest !== null && latest >= ELEVATED_EMOTIONAL_SIGNIFICANCE) {
+      flags.push({ type: 'sustained_elevated_emotional_significance', bucket_start: starts.at(-1).toISOString(), value: latest });
+    }
+
+    if (trends.emotional_significance.direction === 'rising') {
+      flags.push({ type: 'rising_emotional_significance', value: trends.emotional_significance.slope_per_bucket });
+    }
+
+    return flags;
+  }
+}
+
+// Export singleton instance
+const memoryAnalyticsService = new MemoryAnalyticsService();
+module.exports = memoryAnalyticsService;
@@ -0,0 +1,226 @@
+const Joi = require('joi');
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const { memoryEmbeddingSchema, batchUpdateItemSchema, spaceContext } = require('../middleware/validation');
+const { mapWithConcurrency, chunk } = require('../utils/concurrency');
+
+// Partial-success batch create, update and delete.
+//
+// Every item is validated on its own and gets a result with its `index` in the request
+// and a `status`. Valid items are written in chunks of BATCH_CHUNK_SIZE:
+//   - ordered (default): chunks run one after another and the batch stops at the first
+//     item that is invalid or fails; the items after it are reported as `skipped`
+//   - unordered: up to BATCH_CONCURRENCY chunks run at once and every item is attempted
+// A batch is written to a single embedding space (`space`, the default space if unset).
+
+// Chunks are inserted with a single insertMany, and the Data API accepts at most 100
+// values in the $in filter used to check which documents of a failed insert landed
+const BATCH_CHUNK_SIZE = Math.min(parseInt(process.env.BATCH_CHUNK_SIZE) || 100, 100);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+const SUCCESS_STATUSES = new Set(['created', 'updated', 'deleted']);
+
+const ITEM_VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+const idSchema = Joi.string().uuid().required();
+
+// Error message without the "Failed to ...: " prefixes added by each service layer
+const failureReason = (error) => error.message.replace(/^(Failed to [^:]+: )+/, '');
+
+const forbidden = (index) => ({ index, status: 'forbidden', error: 'Access denied to this user\'s memories' });
+
+// Result for an update or delete that threw
+const writeFailure = (index, id, error) => {
+  const reason = failureReason(error);
+  if (reason.includes('Memory embedding not found')) return { index, id, status: 'not_found' };
+  if (reason.includes('Version conflict')) return { index, id, status: 'conflict', error: 'Memory embedding has been modified' };
+  return { index, id, status: 'failed', error: reason };
+};
+
+const summarise = (results, ordered, extra = {}) => {
+  const counts = {};
+  results.forEach(result => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+
+  return {
+    ordered,
+    total: results.length,
+    counts,
+    ...extra,
+    results
+  };
+};
+
+class MemoryBatchService {
+  // Validate items into `results` (for rejected items) and the entries to write
+  validateItems(items, schema, service, authorize) {
+    const results = new Array(items.length);
+    const entries = [];
+    const options = { ...ITEM_VALIDATION_OPTIONS, context: spaceContext(service.space) };
+
+    items.forEach((item, index) => {
+      const { error, value } = schema.validate(item, options);
+      if (error) {
+        results[index] = { index, status: 'invalid', errors: error.details.map(detail => detail.message) };
+      } else if (authorize && !authorize(value)) {
+        results[index] = forbidden(index);
+      } else {
+        entries.push({ index, data: value });
+      }
+    });
+
+    return { results, entries };
+  }
+
+  // Write the entries chunk by chunk and fill in their results. `processChunk` returns a
+  // result per entry it attempted; in ordered mode it stops at its first failure.
+  async runChunks(results, entries, ordered, processChunk) {
+    if (!ordered) {
+      const chunkResults = await mapWithConcurrency(chunk(entries, BATCH_CHUNK_SIZE), BATCH_CONCURRENCY, processChunk);
+      chunkResults.flat().forEach(result => {
+        results[result.index] = result;
+      });
+      return;
+    }
+
+    // Items before the first rejected one are still written
+    let stop = results.findIndex(result => result !== undefined);
+    if (stop === -1) stop = results.length;
+
+    for (const group of chunk(entries.filter(entry => entry.index < stop), BATCH_CHUNK_SIZE)) {
+      const chunkResults = await processChunk(group);
+      chunkResults.forEach(result => {
+        results[result.index] = result;
+      });
+
+      const failed = chunkResults.find(result => !SUCCESS_STATUSES.has(result.status));
+      if (failed) {
+        stop = failed.index;
+        break;
+      }
+    }
+
+    // Invalid items keep their validation errors; anything else after the stop was not
+    // attempted (an ordered insert does not write past its first failing document)
+    for (let index = stop + 1; index < results.length; index++) {
+      if (!results[index] || results[index].status === 'failed') {
+        results[index] = { index, status: 'skipped' };
+      }
+    }
+  }
+
+  // Create (or with `upsert`, create-or-update) memories
+  async createBatch(items, options = {}) {
+    const { ordered = true, upsert = false, scope = {}, actor } = options;
+
+    try {
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const { results, entries } = this.validateItems(
+        items,
+        memoryEmbeddingSchema,
+        service,
+        scope.user_id && (value => value.user_id === scope.user_id)
+      );
+
+      await this.runChunks(results, entries, ordered, async (group) => {
+        if (upsert) {
+          const chunkResults = [];
+          for (const { index, data } of group) {
+            try {
+              const { created, memory } = await service.upsertMemoryEmbedding(data, { actor });
+              chunkResults.push({ index, id: memory.id, status: created ? 'created' : 'updated', version: memory.version });
+            } catch (error) {
+              chunkResults.push({ index, status: 'failed', error: failureReason(error) });
+              if (ordered) break;
+            }
+          }
+          return chunkResults;
+        }
+
+        try {
+          const outcomes = await service.createMemoryEmbeddingsBatch(group.map(entry => entry.data), { ordered });
+          return outcomes.map((outcome, i) => (outcome.error
+            ? { index: group[i].index, status: 'failed', error: outcome.error }
+            : {
+              index: group[i].index,
+              id: outcome.document._id,
+              status: 'created',
+              ...(outcome.warning && { warning: outcome.warning })
+            }));
+        } catch (error) {
+          return group.map(({ index }) => ({ index, status: 'failed', error: failureReason(error) }));
+        }
+      });
+
+      const created = results.filter(result => result.status === 'created');
+      return summarise(results, ordered, {
+        inserted_count: created.length,
+        inserted_ids: created.map(result => result.id)
+      });
+    } catch (error) {
+      throw new Error(`Failed to create memory embeddings batch: ${error.message}`);
+    }
+  }
+
+  // Apply partial updates, each optionally conditional on an expected_version
+  async updateBatch(items, options = {}) {
+    const { ordered = true, scope = {}, actor } = options;
+
+    try {
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const { results, entries } = this.validateItems(items, batchUpdateItemSchema, service);
+
+      await this.runChunks(results, entries, ordered, async (group) => {
+        const chunkResults = [];
+        for (const { index, data } of group) {
+          const { id, expected_version, ...fields } = data;
+          try {
+            const memory = await service.updateMemoryEmbedding(id, fields, scope, { actor, expected_version });
+            chunkResults.push({ index, id, status: 'updated', version: memory.version });
+          } catch (error) {
+            chunkResults.push(writeFailure(index, id, error));
+            if (ordered) break;
+          }
+        }
+        return chunkResults;
+      });
+
+      return summarise(results, ordered);
+    } catch (error) {
+      throw new Error(`Failed to update memory embeddings batch: ${error.message}`);
+    }
+  }
+
+  // Move memories to the trash, or delete them outright with `permanent`
+  async deleteBatch(ids, options = {}) {
+    const { ordered = true, permanent = false, scope = {} } = options;
+
+    try {
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const { results, entries } = this.validateItems(ids, idSchema, service);
+
+      await this.runChunks(results, entries, ordered, async (group) => {
+        const chunkResults = [];
+        for (const { index, data: id } of group) {
+          try {
+            await service.deleteMemoryEmbedding(id, scope, { permanent });
+            chunkResults.push({ index, id, status: 'deleted' });
+          } catch (error) {
+            chunkResults.push(writeFailure(index, id, error));
+            if (ordered) break;
+          }
+        }
+        return chunkResults;
+      });
+
+      return summarise(results, ordered, { permanent });
+    } catch (error) {
+      throw new Error(`Failed to delete memory embeddings batch: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const memoryBatchService = new MemoryBatchService();
+module.exports = memoryBatchService;
+module.exports.SUCCESS_STATUSES = SUCCESS_STATUSES;
@@ -0,0 +1,256 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const memoryStatisticsService = require('./memoryStatisticsService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const memoryVersionService = require('./memoryVersionService');
+const { tokenize, keywordOverlapScore } = require('../utils/retrievalScoring');
+const { similarityFor, centroid } = require('../utils/vectorMath');
+const { versionFilter } = require('../utils/etag');
+
+// Consolidation merges clusters of near-duplicate memories into a single `insight`.
+//
+// Clusters are grown greedily around a seed memory (oldest first): a memory joins the
+// seed's cluster when its vector similarity to the seed and the overlap of their
+// retrieval_triggers both reach the configured thresholds. Comparing against the seed
+// rather than any member keeps clusters from chaining into loosely related groups.
+
+const CONSOLIDATION_MIN_SIMILARITY = parseFloat(process.env.CONSOLIDATION_MIN_SIMILARITY) || 0.95;
+const CONSOLIDATION_MIN_TRIGGER_OVERLAP = parseFloat(process.env.CONSOLIDATION_MIN_TRIGGER_OVERLAP) || 0.5;
+const CONSOLIDATION_MAX_MEMORIES = parseInt(process.env.CONSOLIDATION_MAX_MEMORIES) || 1000;
+const CONSOLIDATION_SOURCE_ACTION = process.env.CONSOLIDATION_SOURCE_ACTION || 'link';
+
+// Maximum content_summary length accepted by the memory schema
+const MAX_SUMMARY_LENGTH = 5000;
+
+const triggerOverlap = (a, b) => {
+  return keywordOverlapScore((a.retrieval_triggers || []).flatMap(tokenize), b.retrieval_triggers || []);
+};
+
+const maxOf = (docs, field) => Math.max(...docs.map(doc => doc[field] || 0));
+
+const averageOf = (docs, read) => docs.reduce((sum, doc) => sum + read(doc), 0) / docs.length;
+
+// Distinct source summaries, oldest first, truncated to the schema limit
+const combineSummaries = (docs) => {
+  const summaries = Array.from(new Set(docs.map(doc => (doc.content_summary || '').trim()).filter(Boolean)));
+  const combined = summaries.join('\n');
+  return combined.length > MAX_SUMMARY_LENGTH ? `${combined.slice(0, MAX_SUMMARY_LENGTH - 3)}...` : combined;
+};
+
+// Union of triggers, compared case-insensitively, keeping first-seen spelling
+const unionTriggers = (docs) => {
+  const triggers = new Map();
+  docs.forEach(doc => {
+    (doc.retrieval_triggers || []).forEach(trigger => {
+      const key = trigger.trim().toLowerCase();
+      if (key && !triggers.has(key)) triggers.set(key, trigger.trim());
+    });
+  });
+  return Array.from(triggers.values());
+};
+
+// Merged memory fields for a cluster; the most important source provides the
+// original_entry_id the insight is traced back to
+const buildInsight = (docs) => {
+  const primary = docs.reduce((best, doc) => ((doc.importance_score || 0) > (best.importance_score || 0) ? doc : best));
+
+  return {
+    user_id: primary.user_id,
+    memory_type: 'insight',
+    content_summary: combineSummaries(docs),
+    original_entry_id: primary.original_entry_id,
+    importance_score: maxOf(docs, 'importance_score'),
+    emotional_significance: maxOf(docs, 'emotional_significance'),
+    temporal_relevance: maxOf(docs, 'temporal_relevance'),
+    feature_vector: centroid(docs.map(doc => doc.$vector)),
+    gate_scores: {
+      forget_score: averageOf(docs, doc => doc.gate_scores?.forget_score || 0),
+      input_score: averageOf(docs, doc => doc.gate_scores?.input_score || 0),
+      output_score: averageOf(docs, doc => doc.gate_scores?.output_score || 0),
+      confidence: averageOf(docs, doc => doc.gate_scores?.confidence || 0)
+    },
+    context_needed: Object.assign({}, ...docs.map(doc => doc.context_needed || {})),
+    retrieval_triggers: unionTriggers(docs)
+  };
+};
+
+class MemoryConsolidationService {
+  constructor() {
+    this.runningUsers = new Set();
+  }
+
+  // Greedy seed clustering; returns clusters of at least min_cluster_size memories
+  clusterMemories(docs, { min_similarity, min_trigger_overlap, min_cluster_size }) {
+    const assigned = new Set();
+    const clusters = [];
+    // Measured like /similarity, so min_similarity means the same in both
+    const similarityOf = similarityFor(memoryEmbeddingService.space.metric);
+
+    docs.forEach((seed, seedIndex) => {
+      if (assigned.has(seedIndex)) return;
+
+      const members = [{ doc: seed, similarity: 1 }];
+      for (let i = seedIndex + 1; i < docs.length; i++) {
+        if (assigned.has(i)) continue;
+
+        const similarity = similarityOf(seed.$vector, docs[i].$vector);
+        if (similarity >= min_similarity && triggerOverlap(seed, docs[i]) >= min_trigger_overlap) {
+          members.push({ doc: docs[i], similarity, index: i });
+        }
+      }
+
+      if (members.length >= min_cluster_size) {
+        assigned.add(seedIndex);
+        members.slice(1).forEach(member => assigned.add(member.index));
+        clusters.push(members);
+      }
+    });
+
+    return clusters;
+  }
+
+  // Set fields on a memory only if it is still at the version it was read at, bumping
+  // the version and recording it in the history like an update. Returns the updated
+  // document, or null when the memory was updated, archived or trashed since.
+  async applyToReadVersion(collection, doc, fields, updatedAt) {
+    const set = { ...fields, version: (doc.version || 1) + 1, updated_at: updatedAt };
+    const { matchedCount } = await collection.updateOne(
+      { _id: doc._id, version: versionFilter(doc), archived: { $ne: true }, deleted: { $ne: true } },
+      { $set: set }
+    );
+    if (matchedCount === 0) return null;
+
+    const after = { ...doc, ...set };
+    await memoryVersionService.recordVersion(doc, after, { action: 'consolidate' });
+    return after;
+  }
+
+  // Mark the sources as consolidated (and archive them when requested), linking each
+  // to the insight with an `elaborates` edge. Sources changed since they were clustered
+  // are left alone; returns the IDs of those that were settled.
+  async settleSources(collection, insightId, docs, sourceAction, consolidatedAt) {
+    const statisticsChanges = [];
+    const settled = [];
+
+    for (const doc of docs) {
+      const updateDoc = { consolidated_into: insightId, consolidated_at: consolidatedAt };
+      if (sourceAction === 'archive') {
+        updateDoc.archived = true;
+        updateDoc.archived_at = consolidatedAt;
+      }
+
+      const after = await this.applyToReadVersion(collection, doc, updateDoc, consolidatedAt);
+      if (!after) continue;
+      statisticsChanges.push({ before: doc, after });
+      settled.push(doc._id);
+
+      await memoryRelationshipService.addRelationship(doc._id, insightId, {
+        type: 'elaborates',
+        origin: 'consolidation'
+      });
+    }
+
+    await memoryStatisticsService.recordChanges(statisticsChanges);
+    return settled;
+  }
+
+  // Cluster a user's active memories and merge each cluster into an insight
+  async runConsolidation(options = {}) {
+    const {
+      user_id,
+      dry_run = false,
+      memory_types = ['conversation'],
+      min_similarity = CONSOLIDATION_MIN_SIMILARITY,
+      min_trigger_overlap = CONSOLIDATION_MIN_TRIGGER_OVERLAP,
+      min_cluster_size = 2,
+      source_action = CONSOLIDATION_SOURCE_ACTION
+    } = options;
+
+    if (!user_id) {
+      throw new Error('Consolidation requires a user_id');
+    }
+    if (!['link', 'archive'].includes(source_action)) {
+      throw new Error(`Invalid consolidation source action: ${source_action}`);
+    }
+    if (this.runningUsers.has(user_id)) {
+      throw new Error('Consolidation already in progress for this user');
+    }
+
+    this.runningUsers.add(user_id);
+    try {
+      const collection = await memoryEmbeddingService.initialize();
+      const startedAt = new Date().toISOString();
+
+      // Memories already merged into an insight are not consolidated again
+      const query = {
+        user_id,
+        memory_type: { $in: memory_types },
+        archived: { $ne: true },
+        deleted: { $ne: true },
+        consolidated_into: { $exists: false }
+      };
+
+      const docs = [];
+      const cursor = collection.find(query, { sort: { created_at: 1 }, limit: CONSOLIDATION_MAX_MEMORIES });
+      for await (const doc of cursor) {
+        if (Array.isArray(doc.$vector)) docs.push(await fieldEncryptionService.decryptDocument(doc));
+      }
+
+      const settings = { memory_types, min_similarity, min_trigger_overlap, min_cluster_size, source_action };
+      const clusters = this.clusterMemories(docs, settings);
+
+      const report = {
+        dry_run,
+        user_id,
+        settings,
+        started_at: startedAt,
+        finished_at: null,
+        scanned_count: docs.length,
+        scan_truncated: docs.length >= CONSOLIDATION_MAX_MEMORIES,
+        cluster_count: clusters.length,
+        consolidated_memory_count: 0,
+        clusters: []
+      };
+
+      for (const members of clusters) {
+        const sources = members.map(member => member.doc);
+        const insight = buildInsight(sources);
+
+        const sourceIds = sources.map(doc => doc._id);
+        let insightId = null;
+        let settledIds = sourceIds;
+        if (!dry_run) {
+          // consolidated_from lists every memory the insight was built from, including
+          // any source skipped because it changed in the meantime
+          const created = await memoryEmbeddingService.createMemoryEmbedding(insight);
+          insightId = created.id;
+          await this.applyToReadVersion(collection, created, { consolidated_from: sourceIds }, startedAt);
+          settledIds = await this.settleSources(collection, insightId, sources, source_action, startedAt);
+        }
+
+        report.consolidated_memory_count += settledIds.length;
+        report.clusters.push({
+          insight_id: insightId,
+          source_ids: sourceIds,
+          skipped_source_ids: sourceIds.filter(id => !settledIds.includes(id)),
+          size: sources.length,
+          avg_similarity: averageOf(members.slice(1), member => member.similarity),
+          content_summary: insight.content_summary,
+          importance_score: insight.importance_score,
+          retrieval_triggers: insight.retrieval_triggers
+        });
+      }
+
+      report.finished_at = new Date().toISOString();
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to consolidate memories: ${error.message}`);
+    } finally {
+      this.runningUsers.delete(user_id);
+    }
+  }
+}
+
+// Export singleton instance
+const memoryConsolidationService = new MemoryConsolidationService();
+module.exports = memoryConsolidationService;
@@ -0,0 +1,225 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { triggerKeys } = require('../utils/textAnalysis');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Context-window packing for LLM prompts.
+//
+// Memories are ranked with hybrid retrieval (see memoryEmbeddingService.retrieveMemories)
+// and packed greedily, most relevant first, into a character and/or token budget. A
+// memory whose context_needed is not empty brings its context along: its neighbours in
+// the relationship graph (default embedding space only) and memories whose retrieval
+// triggers name a key or string value of context_needed ({ support_system: 'family' }
+// looks for "support system" and "family"). Context memories are packed right after the
+// memory that needs them and only if it was packed. Each memory appears once, and a
+// memory repeating the content of one already packed is left out.
+
+// Rough characters per token, used to turn a token budget into characters
+const CHARS_PER_TOKEN = parseFloat(process.env.CONTEXT_CHARS_PER_TOKEN) || 4;
+
+// Access recordings run at once
+const ACCESS_RECORDING_CONCURRENCY = 5;
+
+// The Data API accepts at most 100 values in an $in filter
+const IN_FILTER_CHUNK_SIZE = 100;
+
+const estimateTokens = (chars) => Math.ceil(chars / CHARS_PER_TOKEN);
+
+// Line of the context block for a memory
+const formatLine = (memory) => {
+  const date = memory.created_at ? `[${String(memory.created_at).slice(0, 10)}] ` : '';
+  return `${date}${memory.memory_type}: ${String(memory.content_summary).replace(/\s+/g, ' ').trim()}`;
+};
+
+const normalizeContent = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Trigger phrases named by a context_needed object: its keys (underscores read as spaces)
+// unless their value is false or empty, and its string values
+const contextTerms = (contextNeeded) => {
+  if (!contextNeeded || typeof contextNeeded !== 'object') return [];
+  return Object.entries(contextNeeded).flatMap(([key, value]) => {
+    if (value === false || value === null || value === undefined || value === '') return [];
+    const values = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+    return [key.replace(/_/g, ' '), ...values];
+  });
+};
+
+class MemoryContextService {
+  // A formatted context block of the most relevant memories of a user (and the context
+  // they need) that fits the budget, with the IDs of the memories used
+  async buildContext(options = {}) {
+    try {
+      const {
+        user_id,
+        feature_vector,
+        query_text,
+        memory_type,
+        weights,
+        max_tokens,
+        max_chars,
+        order = 'score',
+        limit = 20,
+        min_relevance_score = 0.3,
+        include_related = true,
+        max_related_per_memory = 3,
+        record_access = true
+      } = options;
+
+      if (!max_tokens && !max_chars) {
+        const error = new Error('A budget is required: max_tokens or max_chars');
+        error.statusCode = 400;
+        throw error;
+      }
+      const charBudget = Math.min(
+        max_chars || Infinity,
+        max_tokens ? Math.floor(max_tokens * CHARS_PER_TOKEN) : Infinity
+      );
+
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const retrieval = await service.retrieveMemories({
+        query_text,
+        user_id,
+        feature_vector,
+        context: { memory_type },
+        weights,
+        limit,
+        min_relevance_score
+      });
+
+      const packed = [];
+      const seenIds = new Set();
+      const seenContent = new Set();
+      const skipped = { budget: 0, duplicate: 0 };
+      let usedChars = 0;
+
+      // Adds a memory when it is new and fits; the separating newline counts too
+      const tryPack = (memory, entry) => {
+        if (seenIds.has(memory.id)) return false;
+        seenIds.add(memory.id);
+
+        if (typeof memory.content_summary !== 'string' || seenContent.has(normalizeContent(memory.content_summary))) {
+          skipped.duplicate++;
+          return false;
+        }
+
+        const line = formatLine(memory);
+        const cost = line.length + (packed.length > 0 ? 1 : 0);
+        if (usedChars + cost > charBudget) {
+          skipped.budget++;
+          return false;
+        }
+
+        usedChars += cost;
+        seenContent.add(normalizeContent(memory.content_summary));
+        packed.push({ memory, line, ...entry });
+        return true;
+      };
+
+      // Candidates are reserved up front, so a memory that is relevant in its own right
+      // is packed in its own place rather than as another memory's context
+      const candidateIds = new Set(retrieval.results.map(memory => memory.id));
+      for (const memory of retrieval.results) {
+        const wasPacked = tryPack(memory, { reason: 'relevant', relevance_score: memory.relevance_score });
+        if (!wasPacked || !include_related || max_related_per_memory === 0) continue;
+
+        const related = await this.findContextMemories(service, memory, max_related_per_memory, candidateIds);
+        related.forEach(contextMemory => tryPack(contextMemory, { reason: 'context', required_by: memory.id }));
+      }
+
+      if (order === 'chronological') {
+        packed.sort((a, b) => String(a.memory.created_at).localeCompare(String(b.memory.created_at)));
+      }
+
+      let accessRecorded = 0;
+      if (record_access) {
+        const recorded = await mapWithConcurrency(packed, ACCESS_RECORDING_CONCURRENCY, async ({ memory }) => {
+          try {
+            await service.recordMemoryAccess(memory.id, { user_id });
+            return true;
+          } catch (error) {
+            // A memory deleted since it was read stays in this context
+            return false;
+          }
+        });
+        accessRecorded = recorded.filter(Boolean).length;
+      }
+
+      const context = packed.map(entry => entry.line).join('\n');
+      return {
+        user_id,
+        order,
+        budget: {
+          ...(max_tokens && { max_tokens }),
+          ...(max_chars && { max_chars }),
+          chars: charBudget
+        },
+        used: { chars: context.length, estimated_tokens: estimateTokens(context.length) },
+        context,
+        memory_ids: packed.map(entry => entry.memory.id),
+        memories: packed.map(({ memory, line, reason, relevance_score, required_by }) => ({
+          id: memory.id,
+          memory_type: memory.memory_type,
+          created_at: memory.created_at,
+          reason,
+          ...(relevance_score !== undefined && { relevance_score }),
+          ...(required_by && { required_by }),
+          chars: line.length,
+          estimated_tokens: estimateTokens(line.length)
+        })),
+        candidates_considered: retrieval.results.length,
+        skipped,
+        access_recorded: accessRecorded
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to build context: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  // Memories a memory's context_needed asks for: graph neighbours first (strongest edge,
+  // then importance), then memories whose triggers match context_needed by importance.
+  // Memories in `exclude` and archived or trashed memories are left out.
+  async findContextMemories(service, memory, maxRelated, exclude) {
+    const terms = contextTerms(memory.context_needed);
+    if (terms.length === 0) return [];
+
+    const found = new Map();
+    const isEligible = (doc) => doc._id !== memory.id && !exclude.has(doc._id) && !found.has(doc._id) && !doc.archived;
+
+    if (service.space.default) {
+      const { related } = await memoryRelationshipService.getRelatedMemories(memory.id, memory.user_id);
+      const weight = ({ edges }) => Math.max(0, ...edges.map(edge => edge.weight || 0));
+      related
+        .filter(({ doc }) => isEligible(doc))
+        .sort((a, b) => weight(b) - weight(a) || (b.doc.importance_score || 0) - (a.doc.importance_score || 0))
+        .slice(0, maxRelated)
+        .forEach(({ doc }) => found.set(doc._id, doc));
+    }
+
+    const keys = triggerKeys(terms).slice(0, IN_FILTER_CHUNK_SIZE);
+    if (found.size < maxRelated && keys.length > 0) {
+      const collection = await service.initialize();
+      const cursor = collection.find(
+        {
+          user_id: memory.user_id,
+          archived: { $ne: true },
+          deleted: { $ne: true },
+          trigger_keys: { $in: keys }
+        },
+        { sort: { importance_score: -1 }, limit: maxRelated + exclude.size + 1, projection: { $vector: 0 } }
+      );
+      for await (const doc of cursor) {
+        if (found.size >= maxRelated) break;
+        if (isEligible(doc)) found.set(doc._id, await fieldEncryptionService.decryptDocument(doc));
+      }
+    }
+
+    return Array.from(found.values()).map(doc => service.formatMemoryEmbedding(doc));
+  }
+}
+
+// Export singleton instance
+const memoryContextService = new MemoryContextService();
+module.exports = memoryContextService;
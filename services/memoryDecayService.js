@@ -0,0 +1,255 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryStatisticsService = require('./memoryStatisticsService');
+const memoryVersionService = require('./memoryVersionService');
+const { versionFilter } = require('../utils/etag');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Forget thresholds on the recomputed temporal_relevance, per memory type.
+// Insights and events are kept longer than day-to-day conversation.
+const DEFAULT_FORGET_THRESHOLDS = {
+  conversation: parseFloat(process.env.DECAY_THRESHOLD_CONVERSATION) || 0.1,
+  event: parseFloat(process.env.DECAY_THRESHOLD_EVENT) || 0.05,
+  emotion: parseFloat(process.env.DECAY_THRESHOLD_EMOTION) || 0.05,
+  insight: parseFloat(process.env.DECAY_THRESHOLD_INSIGHT) || 0.02
+};
+
+const DECAY_HALF_LIFE_DAYS = parseFloat(process.env.DECAY_HALF_LIFE_DAYS) || 30;
+const DECAY_ACTION = process.env.DECAY_ACTION || 'archive';
+const DECAY_INTERVAL_MS = parseInt(process.env.DECAY_INTERVAL_MS) || 0;
+
+// Input and output gate value that leaves the half-life unchanged; memories stored
+// without the score are treated as neutral
+const NEUTRAL_GATE_SCORE = 0.5;
+
+// Cap on the number of forgotten memories listed in a report
+const MAX_REPORTED_MEMORIES = 1000;
+
+// Number of decayed memories whose statistics changes are written together
+const STATISTICS_FLUSH_SIZE = 500;
+
+class MemoryDecayService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  // Recompute temporal relevance for a stored document.
+  //
+  // Relevance halves every `half-life` days since the memory was last accessed. The
+  // gates set the half-life: the forget gate shrinks it, so a memory the model marked as
+  // forgettable fades quickly unless it keeps being recalled; the input gate (how
+  // strongly the memory was written) stretches it; and the output gate (how much the
+  // memory is meant to be surfaced) sets how much each access extends it. The result is
+  // scaled by the relevance the memory was stored with (decay_baseline), so decay never
+  // raises a memory above its original value.
+  computeTemporalRelevance(doc, now = Date.now()) {
+    const baseline = doc.decay_baseline !== undefined ? doc.decay_baseline : doc.temporal_relevance || 0;
+    const forgetScore = doc.gate_scores?.forget_score || 0;
+    const inputScore = doc.gate_scores?.input_score ?? NEUTRAL_GATE_SCORE;
+    const outputScore = doc.gate_scores?.output_score ?? NEUTRAL_GATE_SCORE;
+    const lastTouched = new Date(doc.last_accessed || doc.created_at || now).getTime();
+    const ageDays = Math.max(0, (now - lastTouched) / MS_PER_DAY);
+
+    const halfLife = Math.max(
+      1,
+      DECAY_HALF_LIFE_DAYS
+        * (NEUTRAL_GATE_SCORE + inputScore)
+        * (1 + (NEUTRAL_GATE_SCORE + outputScore) * Math.log1p(doc.access_frequency || 0))
+        * (1 - forgetScore)
+    );
+
+    return baseline * Math.pow(0.5, ageDays / halfLife);
+  }
+
+  // Run one decay pass over active memories
+  async runDecay(options = {}) {
+    const {
+      dry_run = false,
+      user_id,
+      action = DECAY_ACTION,
+      thresholds: thresholdOverrides = {}
+    } = options;
+
+    if (!['archive', 'delete'].includes(action)) {
+      throw new Error(`Invalid decay action: ${action}`);
+    }
+
+    if (this.running) {
+      throw new Error('Decay run already in progress');
+    }
+
+    this.running = true;
+    try {
+      const collection = await memoryEmbeddingService.initialize();
+      const thresholds = { ...DEFAULT_FORGET_THRESHOLDS, ...thresholdOverrides };
+      const startedAt = new Date();
+      const now = startedAt.getTime();
+
+      const query = { archived: { $ne: true }, deleted: { $ne: true } };
+      if (user_id) query.user_id = user_id;
+
+      const report = {
+        dry_run,
+        action,
+        thresholds,
+        user_id: user_id || null,
+        started_at: startedAt.toISOString(),
+        finished_at: null,
+        scanned_count: 0,
+        updated_count: 0,
+        deleted_count: 0,
+        skipped_count: 0,
+        forgotten_count: 0,
+        forgotten_by_memory_type: {},
+        forgotten: []
+      };
+
+      const statisticsChanges = [];
+      const flushStatistics = async () => {
+        await memoryStatisticsService.recordChanges(statisticsChanges.splice(0));
+      };
+
+      for await (const doc of collection.find(query)) {
+        report.scanned_count++;
+
+        const temporalRelevance = this.computeTemporalRelevance(doc, now);
+        const threshold = thresholds[doc.memory_type] !== undefined ? thresholds[doc.memory_type] : 0;
+        const forget = temporalRelevance < threshold;
+
+        if (forget) {
+          report.forgotten_count++;
+          report.forgotten_by_memory_type[doc.memory_type] = (report.forgotten_by_memory_type[doc.memory_type] || 0) + 1;
+          if (report.forgotten.length < MAX_REPORTED_MEMORIES) {
+            report.forgotten.push({
+              id: doc._id,
+              user_id: doc.user_id,
+              memory_type: doc.memory_type,
+              previous_temporal_relevance: doc.temporal_relevance,
+              temporal_relevance: temporalRelevance,
+              threshold,
+              forget_score: doc.gate_scores?.forget_score,
+              input_score: doc.gate_scores?.input_score,
+              output_score: doc.gate_scores?.output_score,
+              last_accessed: doc.last_accessed
+            });
+          }
+        }
+
+        if (dry_run) {
+          continue;
+        }
+
+        if (forget && action === 'delete') {
+          // Deleted memories go to the trash like any other delete (restorable until the
+          // retention purge; statistics are recorded by the delete)
+          try {
+            await memoryEmbeddingService.deleteMemoryEmbedding(doc._id, {}, { expected_version: doc.version || 1 });
+            report.deleted_count++;
+          } catch (error) {
+            // Updated or deleted by someone else since it was read
+            if (!/Memory embedding not found|Version conflict/.test(error.message)) throw error;
+            report.skipped_count++;
+          }
+        } else {
+          const updateDoc = {
+            temporal_relevance: temporalRelevance,
+            last_decayed_at: startedAt.toISOString()
+          };
+          if (doc.decay_baseline === undefined) {
+            updateDoc.decay_baseline = doc.temporal_relevance || 0;
+          }
+          // Recomputing relevance is bookkeeping rather than an edit, so it keeps the
+          // version; archiving changes what the memory is and is versioned like an update
+          if (forget) {
+            updateDoc.archived = true;
+            updateDoc.archived_at = startedAt.toISOString();
+            updateDoc.version = (doc.version || 1) + 1;
+            updateDoc.updated_at = startedAt.toISOString();
+          }
+
+          // Only applied to the memory as it was read: one updated, archived or trashed
+          // since is left for the next run
+          const { matchedCount } = await collection.updateOne(
+            { _id: doc._id, version: versionFilter(doc), archived: { $ne: true }, deleted: { $ne: true } },
+            { $set: updateDoc }
+          );
+          if (matchedCount === 0) {
+            report.skipped_count++;
+            continue;
+          }
+
+          const after = { ...doc, ...updateDoc };
+          statisticsChanges.push({ before: doc, after });
+          if (forget) {
+            await memoryVersionService.recordVersion(doc, after, { action: 'archive' });
+          }
+          report.updated_count++;
+        }
+
+        if (statisticsChanges.length >= STATISTICS_FLUSH_SIZE) {
+          await flushStatistics();
+        }
+      }
+
+      await flushStatistics();
+
+      report.finished_at = new Date().toISOString();
+      if (!dry_run) {
+        this.lastReport = report;
+      }
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to run memory decay: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Schedule periodic decay passes (DECAY_INTERVAL_MS, disabled when 0)
+  start(intervalMs = DECAY_INTERVAL_MS) {
+    if (this.timer || !intervalMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runDecay().catch(error => {
+        console.error('❌ Scheduled memory decay failed:', error.message);
+      });
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🍂 Memory decay scheduled every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Drop a user's memories from the retained decay report
+  forgetUser(userId) {
+    if (this.lastReport) {
+      this.lastReport.forgotten = this.lastReport.forgotten.filter(entry => entry.user_id !== userId);
+    }
+  }
+
+  getStatus() {
+    return {
+      scheduled: Boolean(this.timer),
+      interval_ms: DECAY_INTERVAL_MS,
+      running: this.running,
+      half_life_days: DECAY_HALF_LIFE_DAYS,
+      default_action: DECAY_ACTION,
+      thresholds: DEFAULT_FORGET_THRESHOLDS,
+      last_report: this.lastReport
+    };
+  }
+}
+
+// Export singleton instance
+const memoryDecayService = new MemoryDecayService();
+module.exports = memoryDecayService;
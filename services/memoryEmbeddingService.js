@@ -1,49 +1,198 @@
-const astraDB = require('../config/astradb');
-const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+const { defaultSpace, getSpace } = require('../config/embeddingSpaces');
+const memoryStatisticsService = require('./memoryStatisticsService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const memoryVersionService = require('./memoryVersionService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { storedField } = require('./memoryVersionService');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const {
+  tokenize,
+  recencyScore,
+  accessScore,
+  keywordOverlapScore,
+  resolveWeights,
+  blendScores
+} = require('../utils/retrievalScoring');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/pagination');
+const { versionFilter } = require('../utils/etag');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { maximalMarginalRelevance, centroid, similarityFor } = require('../utils/vectorMath');
+const { triggerKeys } = require('../utils/textAnalysis');
 
+// Number of candidates fetched per requested result before hybrid re-scoring
+const RETRIEVAL_CANDIDATE_MULTIPLIER = 5;
+const MAX_RETRIEVAL_CANDIDATES = 1000;
+
+// Maximal marginal relevance re-ranking: candidates fetched per requested result when no
+// candidate_pool is given, and the default relevance/diversity trade-off
+const MMR_CANDIDATE_MULTIPLIER = 5;
+const MMR_DEFAULT_LAMBDA = 0.5;
+
+// Weight of the negative examples' centroid in a "more like these" search
+const DEFAULT_NEGATIVE_WEIGHT = 0.5;
+
+// Similarity searches of a batch run at once
+const SIMILARITY_BATCH_CONCURRENCY = parseInt(process.env.SIMILARITY_BATCH_CONCURRENCY) || 5;
+
+// Attempts at a version-checked update before reporting a conflict
+const MAX_UPDATE_ATTEMPTS = 3;
+
+// Maximum count the Data API's countDocuments will report
+const COUNT_UPPER_BOUND = 1000;
+
+// The Data API accepts at most 100 values in an $in filter
+const IN_FILTER_CHUNK_SIZE = 100;
+
+// Filter for a single memory, restricted to scope.user_id when the caller is user-bound.
+// Memories in the trash are excluded unless include_deleted is set.
+const scopedIdFilter = (id, scope = {}, options = {}) => {
+  const filter = { _id: id };
+  if (!options.include_deleted) filter.deleted = { $ne: true };
+  if (scope.user_id) filter.user_id = scope.user_id;
+  return filter;
+};
+
+// Namespace for IDs of memories created by upsert, derived from their key
+const UPSERT_ID_NAMESPACE = '6f1c0b52-3a5e-4d8f-9b7a-2c4e8d1f0a93';
+
+// Keys of other spaces than the default are prefixed with the space name, so the same
+// entry upserted into two spaces gets two IDs
+const upsertId = ({ user_id, original_entry_id, memory_type }, space = defaultSpace) => {
+  const key = `${user_id}|${original_entry_id}|${memory_type}`;
+  return uuidv5(space.default ? key : `${space.name}|${key}`, UPSERT_ID_NAMESPACE);
+};
+
+// Stored document for a new memory; relationships are linked after the insert.
+// trigger_keys holds the normalised retrieval_triggers for trigger recall.
+const buildMemoryDocument = (embeddingData, id = uuidv4()) => {
+  const now = new Date().toISOString();
+  return {
+    _id: id,
+    user_id: embeddingData.user_id,
+    memory_type: embeddingData.memory_type,
+    content_summary: embeddingData.content_summary,
+    original_entry_id: embeddingData.original_entry_id,
+    importance_score: embeddingData.importance_score,
+    emotional_significance: embeddingData.emotional_significance,
+    temporal_relevance: embeddingData.temporal_relevance,
+    access_frequency: embeddingData.access_frequency || 0,
+    last_accessed: now,
+    created_at: now,
+    $vector: embeddingData.feature_vector, // AstraDB uses $vector for the main vector
+    gate_scores: embeddingData.gate_scores,
+    relationships: [],
+    context_needed: embeddingData.context_needed || {},
+    retrieval_triggers: embeddingData.retrieval_triggers || [],
+    trigger_keys: triggerKeys(embeddingData.retrieval_triggers),
+    version: 1,
+    updated_at: now
+  };
+};
+
+// Map a stored document to the API representation
+const formatMemoryEmbedding = (doc) => ({
+  id: doc._id,
+  user_id: doc.user_id,
+  memory_type: doc.memory_type,
+  content_summary: doc.content_summary,
+  original_entry_id: doc.original_entry_id,
+  importance_score: doc.importance_score,
+  emotional_significance: doc.emotional_significance,
+  temporal_relevance: doc.temporal_relevance,
+  access_frequency: doc.access_frequency,
+  last_accessed: doc.last_accessed,
+  created_at: doc.created_at,
+  feature_vector: doc.$vector,
+  gate_scores: doc.gate_scores,
+  relationships: doc.relationships,
+  context_needed: doc.context_needed,
+  retrieval_triggers: doc.retrieval_triggers,
+  ...(doc.consolidated_into && { consolidated_into: doc.consolidated_into }),
+  ...(doc.consolidated_from && { consolidated_from: doc.consolidated_from }),
+  version: doc.version || 1,
+  updated_at: doc.updated_at
+});
+
+// Services of the embedding spaces other than the default, created on first use
+const spaceServices = new Map();
+
+// Memories of one embedding space (see config/embeddingSpaces.js). The exported
+// singleton serves the default space; forSpace() returns the service of another one.
+// Statistics, relationships and the lifecycle jobs only cover the default space.
+// content_summary and context_needed are encrypted before they are written and
+// decrypted after they are read (see services/fieldEncryptionService.js).
 class MemoryEmbeddingService {
-  constructor() {
+  constructor(space = defaultSpace) {
+    this.space = space;
     this.collection = null;
   }
 
   async initialize() {
     if (!this.collection) {
-      this.collection = await astraDB.connect();
+      this.collection = this.space.default
+        ? await storage.connect()
+        : await storage.getCollection(this.space.collection, {
+          vector: { dimension: this.space.dimension, metric: this.space.metric }
+        });
     }
     return this.collection;
   }
 
+  // Service of the named embedding space (the default space when no name is given)
+  forSpace(name) {
+    const space = getSpace(name);
+    if (space.default) {
+      return memoryEmbeddingService;
+    }
+    if (!spaceServices.has(space.name)) {
+      spaceServices.set(space.name, new MemoryEmbeddingService(space));
+    }
+    return spaceServices.get(space.name);
+  }
+
+  // Statistics aggregates describe the default space only
+  async recordStatistics(before, after, options) {
+    if (this.space.default) {
+      await memoryStatisticsService.recordChange(before, after, options);
+    }
+  }
+
+  // Map a stored document to the API representation
+  formatMemoryEmbedding(doc) {
+    return formatMemoryEmbedding(doc);
+  }
+
   // Create a new memory embedding
-  async createMemoryEmbedding(embeddingData) {
+  async createMemoryEmbedding(embeddingData, options = {}) {
     try {
       await this.initialize();
 
-      const document = {
-        _id: uuidv4(),
-        user_id: embeddingData.user_id,
-        memory_type: embeddingData.memory_type,
-        content_summary: embeddingData.content_summary,
-        original_entry_id: embeddingData.original_entry_id,
-        importance_score: embeddingData.importance_score,
-        emotional_significance: embeddingData.emotional_significance,
-        temporal_relevance: embeddingData.temporal_relevance,
-        access_frequency: embeddingData.access_frequency || 0,
-        last_accessed: new Date().toISOString(),
-        created_at: new Date().toISOString(),
-        $vector: embeddingData.feature_vector, // AstraDB uses $vector for the main vector
-        gate_scores: embeddingData.gate_scores,
-        relationships: embeddingData.relationships || [],
-        context_needed: embeddingData.context_needed || {},
-        retrieval_triggers: embeddingData.retrieval_triggers || [],
-        updated_at: new Date().toISOString()
-      };
+      const document = buildMemoryDocument(embeddingData, options.id);
+
+      const result = await this.collection.insertOne(
+        await fieldEncryptionService.encryptFields(document.user_id, document)
+      );
+      await this.recordStatistics(null, document);
+
+      // Relationships are rejected by validation outside the default space
+      let autoLink = { mode: 'off', linked_ids: [] };
+      if (this.space.default) {
+        document.relationships = await memoryRelationshipService.linkMemory(
+          document._id,
+          document.user_id,
+          embeddingData.relationships || []
+        );
 
-      const result = await this.collection.insertOne(document);
+        autoLink = await memoryRelationshipService.autoLinkMemory(document, embeddingData.auto_link);
+        document.relationships.push(...autoLink.linked_ids);
+      }
       
       return {
         id: document._id,
         ...document,
         feature_vector: document.$vector,
+        ...(autoLink.mode !== 'off' && { auto_link: autoLink }),
         insertedId: result.insertedId
       };
     } catch (error) {
@@ -51,49 +200,68 @@ class MemoryEmbeddingService {
     }
   }
 
+  // Create a memory, or update the one already stored for the same (user_id,
+  // original_entry_id, memory_type). Memories created this way get an ID derived from that
+  // key, so two concurrent upserts cannot both insert: the loser sees a duplicate ID and
+  // updates the winner's memory instead.
+  async upsertMemoryEmbedding(embeddingData, options = {}) {
+    try {
+      await this.initialize();
+
+      const key = {
+        user_id: embeddingData.user_id,
+        original_entry_id: embeddingData.original_entry_id,
+        memory_type: embeddingData.memory_type
+      };
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const existing = await this.collection.findOne({ ...key, deleted: { $ne: true } }, { projection: { _id: 1 } });
+        if (existing) {
+          const memory = await this.updateMemoryEmbedding(existing._id, embeddingData, {}, {
+            actor: options.actor,
+            action: 'upsert'
+          });
+          return { created: false, memory };
+        }
+
+        try {
+          const memory = await this.createMemoryEmbedding(embeddingData, { id: upsertId(key, this.space) });
+          return { created: true, memory };
+        } catch (error) {
+          if (!/already exists/i.test(error.message)) throw error;
+        }
+      }
+
+      // The key's ID is taken by a memory that is not active, i.e. one in the trash
+      throw new Error('Memory embedding for this original_entry_id is in the trash; restore or permanently delete it first');
+    } catch (error) {
+      throw new Error(`Failed to upsert memory embedding: ${error.message}`);
+    }
+  }
+
   // Get memory embedding by ID
-  async getMemoryEmbeddingById(id) {
+  async getMemoryEmbeddingById(id, scope = {}) {
     try {
       await this.initialize();
 
-      const result = await this.collection.findOne({ _id: id });
+      const result = await this.collection.findOne(scopedIdFilter(id, scope));
       
       if (!result) {
         throw new Error('Memory embedding not found');
       }
 
-      return {
-        id: result._id,
-        user_id: result.user_id,
-        memory_type: result.memory_type,
-        content_summary: result.content_summary,
-        original_entry_id: result.original_entry_id,
-        importance_score: result.importance_score,
-        emotional_significance: result.emotional_significance,
-        temporal_relevance: result.temporal_relevance,
-        access_frequency: result.access_frequency,
-        last_accessed: result.last_accessed,
-        created_at: result.created_at,
-        feature_vector: result.$vector,
-        gate_scores: result.gate_scores,
-        relationships: result.relationships,
-        context_needed: result.context_needed,
-        retrieval_triggers: result.retrieval_triggers,
-        updated_at: result.updated_at
-      };
+      return formatMemoryEmbedding(await fieldEncryptionService.decryptDocument(result));
     } catch (error) {
       throw new Error(`Failed to get memory embedding: ${error.message}`);
     }
   }
 
   // Update memory embedding
-  async updateMemoryEmbedding(id, updateData) {
+  async updateMemoryEmbedding(id, updateData, scope = {}, options = {}) {
     try {
       await this.initialize();
 
-      const updateDoc = {
-        updated_at: new Date().toISOString()
-      };
+      const updateDoc = {};
       
       // Map fields to database structure
       if (updateData.feature_vector) {
@@ -102,62 +270,202 @@ class MemoryEmbeddingService {
       if (updateData.content_summary) updateDoc.content_summary = updateData.content_summary;
       if (updateData.importance_score !== undefined) updateDoc.importance_score = updateData.importance_score;
       if (updateData.emotional_significance !== undefined) updateDoc.emotional_significance = updateData.emotional_significance;
-      if (updateData.temporal_relevance !== undefined) updateDoc.temporal_relevance = updateData.temporal_relevance;
+      if (updateData.temporal_relevance !== undefined) {
+        // A caller-supplied relevance becomes the new baseline for decay
+        updateDoc.temporal_relevance = updateData.temporal_relevance;
+        updateDoc.decay_baseline = updateData.temporal_relevance;
+      }
       if (updateData.access_frequency !== undefined) updateDoc.access_frequency = updateData.access_frequency;
       if (updateData.gate_scores) updateDoc.gate_scores = updateData.gate_scores;
-      if (updateData.relationships) updateDoc.relationships = updateData.relationships;
       if (updateData.context_needed) updateDoc.context_needed = updateData.context_needed;
       if (updateData.retrieval_triggers) updateDoc.retrieval_triggers = updateData.retrieval_triggers;
 
-      const result = await this.collection.findOneAndUpdate(
-        { _id: id },
-        { $set: updateDoc },
-        { returnDocument: 'after' }
-      );
+      return await this.applyVersionedUpdate(id, scope, {
+        set: updateDoc,
+        relationships: updateData.relationships
+      }, { actor: options.actor, action: options.action || 'update', expected_version: options.expected_version });
+    } catch (error) {
+      throw new Error(`Failed to update memory embedding: ${error.message}`);
+    }
+  }
 
-      if (!result) {
+  // Recorded versions of a memory, newest first
+  async getMemoryHistory(id, scope = {}, options = {}) {
+    try {
+      await this.initialize();
+
+      const memory = await this.collection.findOne(scopedIdFilter(id, scope), { projection: { $vector: 0 } });
+      if (!memory) {
         throw new Error('Memory embedding not found');
       }
 
-      return {
-        id: result._id,
-        user_id: result.user_id,
-        memory_type: result.memory_type,
-        content_summary: result.content_summary,
-        original_entry_id: result.original_entry_id,
-        importance_score: result.importance_score,
-        emotional_significance: result.emotional_significance,
-        temporal_relevance: result.temporal_relevance,
-        access_frequency: result.access_frequency,
-        last_accessed: result.last_accessed,
-        created_at: result.created_at,
-        feature_vector: result.$vector,
-        gate_scores: result.gate_scores,
-        relationships: result.relationships,
-        context_needed: result.context_needed,
-        retrieval_triggers: result.retrieval_triggers,
-        updated_at: result.updated_at
-      };
+      return await memoryVersionService.getHistory(memory, options);
     } catch (error) {
-      throw new Error(`Failed to update memory embedding: ${error.message}`);
+      throw new Error(`Failed to get memory history: ${error.message}`);
     }
   }
 
-  // Delete memory embedding
-  async deleteMemoryEmbedding(id) {
+  // Roll a memory back to an earlier version (recorded as a new version)
+  async revertMemoryEmbedding(id, version, scope = {}, options = {}) {
     try {
       await this.initialize();
 
-      const result = await this.collection.deleteOne({ _id: id });
+      const current = await this.collection.findOne(scopedIdFilter(id, scope));
+      if (!current) {
+        throw new Error('Memory embedding not found');
+      }
+
+      // Records written before relationships left the history may still hold them; the
+      // graph is not rolled back
+      const fields = await memoryVersionService.getStateAt(current, version);
+      delete fields.relationships;
+
+      const set = {};
+      const unset = {};
+      Object.entries(fields).forEach(([field, value]) => {
+        if (value === null) {
+          unset[storedField(field)] = '';
+        } else {
+          set[storedField(field)] = value;
+        }
+      });
 
-      if (result.deletedCount === 0) {
+      return await this.applyVersionedUpdate(id, scope, { set, unset }, {
+        actor: options.actor,
+        action: 'revert',
+        reverted_to: version,
+        expected_version: options.expected_version ?? (current.version || 1)
+      });
+    } catch (error) {
+      throw new Error(`Failed to revert memory embedding: ${error.message}`);
+    }
+  }
+
+  // Apply an update conditionally on the version it was computed against, bump the
+  // version and record the replaced values in the history. With an expected_version
+  // (If-Match) a version that has moved on is a conflict; otherwise the current version
+  // is read and the update is retried if another write lands in between.
+  async applyVersionedUpdate(id, scope, { set = {}, unset = {}, relationships }, options = {}) {
+    const attempts = options.expected_version !== undefined ? 1 : MAX_UPDATE_ATTEMPTS;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const stored = await this.collection.findOne(scopedIdFilter(id, scope));
+      if (!stored) {
         throw new Error('Memory embedding not found');
       }
 
+      const currentVersion = stored.version || 1;
+      if (options.expected_version !== undefined && options.expected_version !== currentVersion) {
+        throw new Error('Version conflict');
+      }
+
+      const filter = { ...scopedIdFilter(id, scope), version: versionFilter(stored) };
+      const update = {
+        $set: {
+          ...await fieldEncryptionService.encryptFields(stored.user_id, set),
+          ...(set.retrieval_triggers && { trigger_keys: triggerKeys(set.retrieval_triggers) }),
+          version: currentVersion + 1,
+          updated_at: new Date().toISOString()
+        }
+      };
+      if (Object.keys(unset).length > 0) {
+        update.$unset = 'retrieval_triggers' in unset ? { ...unset, trigger_keys: '' } : unset;
+      }
+
+      const updated = await this.collection.findOneAndUpdate(filter, update, { returnDocument: 'after' });
+      if (!updated) continue;
+
+      const before = await fieldEncryptionService.decryptDocument(stored);
+      const result = await fieldEncryptionService.decryptDocument(updated);
+
+      await this.recordStatistics(before, result);
+
+      // Relationship changes go through the graph so edges and reverse links stay in step
+      if (relationships) {
+        result.relationships = await memoryRelationshipService.replaceRelationshipIds(
+          result._id,
+          result.user_id,
+          before.relationships || [],
+          relationships
+        );
+      }
+
+      await memoryVersionService.recordVersion(before, result, options);
+
+      return formatMemoryEmbedding(result);
+    }
+
+    throw new Error('Version conflict');
+  }
+
+  // Scoped filter that also requires the memory to still be at expectedVersion (If-Match).
+  // Without an expected version this is the plain scoped filter.
+  async conditionalIdFilter(id, scope, expectedVersion, options = {}) {
+    const filter = scopedIdFilter(id, scope, options);
+    if (expectedVersion === undefined) {
+      return filter;
+    }
+
+    const current = await this.collection.findOne(filter, { projection: { version: 1 } });
+    if (!current) {
+      throw new Error('Memory embedding not found');
+    }
+    if ((current.version || 1) !== expectedVersion) {
+      throw new Error('Version conflict');
+    }
+
+    return { ...filter, version: versionFilter(current) };
+  }
+
+  // Delete memory embedding. By default the memory is moved to the trash (kept with its
+  // relationships so it can be restored); `permanent` removes it and its edges outright,
+  // including memories already in the trash.
+  async deleteMemoryEmbedding(id, scope = {}, options = {}) {
+    try {
+      await this.initialize();
+
+      if (options.permanent) {
+        const filter = await this.conditionalIdFilter(id, scope, options.expected_version, { include_deleted: true });
+        const deleted = await this.collection.findOneAndDelete(filter);
+
+        if (!deleted) {
+          throw new Error(options.expected_version !== undefined ? 'Version conflict' : 'Memory embedding not found');
+        }
+
+        await this.recordStatistics(deleted, null);
+        const relationshipCleanup = this.space.default
+          ? await memoryRelationshipService.removeAllForMemory(id, deleted.user_id)
+          : { removed_edges: 0 };
+        await memoryVersionService.removeForMemories([id]);
+
+        return {
+          id,
+          deleted: true,
+          permanent: true,
+          deletedCount: 1,
+          removed_relationships: relationshipCleanup.removed_edges
+        };
+      }
+
+      const deletedAt = new Date().toISOString();
+      const before = await this.collection.findOneAndUpdate(
+        await this.conditionalIdFilter(id, scope, options.expected_version),
+        { $set: { deleted: true, deleted_at: deletedAt } },
+        { returnDocument: 'before' }
+      );
+
+      if (!before) {
+        throw new Error(options.expected_version !== undefined ? 'Version conflict' : 'Memory embedding not found');
+      }
+
+      await this.recordStatistics(before, { ...before, deleted: true, deleted_at: deletedAt });
+
       return {
         id,
         deleted: true,
-        deletedCount: result.deletedCount
+        permanent: false,
+        deletedCount: 1,
+        deleted_at: deletedAt
       };
     } catch (error) {
       throw new Error(`Failed to delete memory embedding: ${error.message}`);
@@ -169,10 +477,11 @@ class MemoryEmbeddingService {
     try {
       await this.initialize();
 
-      const { limit = 10, filters = {} } = options;
+      const { limit = 10, filters = {}, min_similarity, rerank, exclude_ids = [] } = options;
       
-      // Build query with filters
-      let query = {};
+      // Build query with filters (memories archived by decay or in the trash are excluded)
+      let query = { archived: { $ne: true }, deleted: { $ne: true } };
+      if (exclude_ids.length > 0) query._id = { $nin: exclude_ids };
       
       if (filters.user_id) query.user_id = filters.user_id;
       if (filters.memory_type) query.memory_type = filters.memory_type;
@@ -190,26 +499,50 @@ class MemoryEmbeddingService {
         query.retrieval_triggers = { $in: filters.retrieval_triggers };
       }
 
+      // Re-ranking picks from a larger pool of nearest candidates
+      const candidatePool = rerank
+        ? Math.min(Math.max(rerank.candidate_pool || limit * MMR_CANDIDATE_MULTIPLIER, limit), MAX_RETRIEVAL_CANDIDATES)
+        : limit;
+
       // Perform vector similarity search using AstraDB syntax
       const cursor = this.collection.find(
         query,
         {
           sort: { $vector: queryVector },
-          limit,
+          limit: candidatePool,
           includeSimilarity: true
         }
       );
 
-      const results = [];
+      let results = [];
       for await (const doc of cursor) {
+        // Results arrive most similar first, so nothing after the floor can qualify
+        if (min_similarity !== undefined && doc.$similarity < min_similarity) break;
         results.push(doc);
       }
+      results = await fieldEncryptionService.decryptDocuments(results);
+
+      let reranked = null;
+      if (rerank) {
+        const lambda = rerank.lambda ?? MMR_DEFAULT_LAMBDA;
+        const candidates = results.filter(doc => Array.isArray(doc.$vector));
+        results = maximalMarginalRelevance(candidates, {
+          lambda,
+          limit,
+          relevance: doc => doc.$similarity,
+          vector: doc => doc.$vector,
+          similarity: similarityFor(this.space.metric)
+        }).map(({ item, score }) => ({ ...item, rerank_score: score }));
+        reranked = { strategy: 'mmr', lambda, candidate_pool: candidatePool, candidates_considered: candidates.length };
+      }
 
       return {
         query_vector_dimensions: queryVector.length,
         results_count: results.length,
-        max_similarity_score: results.length > 0 ? results[0].$similarity : 0,
-        min_similarity_score: results.length > 0 ? results[results.length - 1].$similarity : 0,
+        max_similarity_score: results.length > 0 ? Math.max(...results.map(result => result.$similarity)) : 0,
+        min_similarity_score: results.length > 0 ? Math.min(...results.map(result => result.$similarity)) : 0,
+        ...(min_similarity !== undefined && { min_similarity }),
+        ...(reranked && { rerank: reranked }),
         results: results.map(result => ({
           id: result._id,
           user_id: result.user_id,
@@ -228,6 +561,7 @@ class MemoryEmbeddingService {
           context_needed: result.context_needed,
           retrieval_triggers: result.retrieval_triggers,
           similarity_score: result.$similarity,
+          ...(result.rerank_score !== undefined && { rerank_score: result.rerank_score }),
           updated_at: result.updated_at
         }))
       };
@@ -236,51 +570,307 @@ class MemoryEmbeddingService {
     }
   }
 
-  // Create multiple memory embeddings in batch
-  async createMemoryEmbeddingsBatch(embeddingsArray) {
+  // Neighbours of a stored memory by its own vector, excluding the memory itself. The
+  // search stays within the memory's user unless filters.user_id says otherwise.
+  async findSimilarToMemory(id, scope = {}, options = {}) {
     try {
       await this.initialize();
 
-      const documents = embeddingsArray.map(embeddingData => ({
-        _id: uuidv4(),
-        user_id: embeddingData.user_id,
-        memory_type: embeddingData.memory_type,
-        content_summary: embeddingData.content_summary,
-        original_entry_id: embeddingData.original_entry_id,
-        importance_score: embeddingData.importance_score,
-        emotional_significance: embeddingData.emotional_significance,
-        temporal_relevance: embeddingData.temporal_relevance,
-        access_frequency: embeddingData.access_frequency || 0,
-        last_accessed: new Date().toISOString(),
-        created_at: new Date().toISOString(),
-        $vector: embeddingData.feature_vector,
-        gate_scores: embeddingData.gate_scores,
-        relationships: embeddingData.relationships || [],
-        context_needed: embeddingData.context_needed || {},
-        retrieval_triggers: embeddingData.retrieval_triggers || [],
-        updated_at: new Date().toISOString()
-      }));
-
-      const result = await this.collection.insertMany(documents);
+      const memory = await this.collection.findOne(scopedIdFilter(id, scope));
+      if (!memory) {
+        throw new Error('Memory embedding not found');
+      }
+
+      const filters = { ...options.filters, user_id: options.filters?.user_id || memory.user_id };
+      const result = await this.findSimilarMemoryEmbeddings(memory.$vector, { ...options, filters, exclude_ids: [memory._id] });
+
+      return { memory_id: memory._id, ...result };
+    } catch (error) {
+      throw new Error(`Failed to find memories similar to memory: ${error.message}`);
+    }
+  }
+
+  // "More like these, less like those": search with the centroid of the positive examples
+  // minus negative_weight times the centroid of the negative ones, excluding the examples.
+  // The search defaults to the examples' user.
+  async findSimilarToExamples(positiveIds, negativeIds = [], scope = {}, options = {}) {
+    try {
+      await this.initialize();
+
+      const { negative_weight = DEFAULT_NEGATIVE_WEIGHT, ...searchOptions } = options;
+      const ids = [...positiveIds, ...negativeIds];
+
+      const examples = new Map();
+      const query = { _id: { $in: ids }, deleted: { $ne: true } };
+      if (scope.user_id) query.user_id = scope.user_id;
+      for await (const doc of this.collection.find(query)) {
+        examples.set(doc._id, doc);
+      }
+
+      const missing = ids.filter(id => !examples.has(id));
+      if (missing.length > 0) {
+        throw new Error(`Memory embedding not found: ${missing.join(', ')}`);
+      }
+
+      let userId = searchOptions.filters?.user_id;
+      if (!userId) {
+        const userIds = new Set(ids.map(id => examples.get(id).user_id));
+        if (userIds.size > 1) {
+          throw new Error('Invalid examples: they belong to different users, pass filters.user_id');
+        }
+        [userId] = userIds;
+      }
+
+      const positive = centroid(positiveIds.map(id => examples.get(id).$vector));
+      const negative = negativeIds.length > 0 ? centroid(negativeIds.map(id => examples.get(id).$vector)) : null;
+      const queryVector = negative ? positive.map((value, i) => value - negative_weight * negative[i]) : positive;
+      if (queryVector.every(value => value === 0)) {
+        throw new Error('Invalid examples: the positive and negative examples cancel out');
+      }
+
+      const result = await this.findSimilarMemoryEmbeddings(queryVector, {
+        ...searchOptions,
+        filters: { ...searchOptions.filters, user_id: userId },
+        exclude_ids: ids
+      });
 
       return {
-        inserted_count: result.insertedCount,
-        inserted_ids: result.insertedIds,
-        documents: documents.map(doc => ({
-          id: doc._id,
-          user_id: doc.user_id,
-          memory_type: doc.memory_type,
-          content_summary: doc.content_summary,
-          original_entry_id: doc.original_entry_id,
-          created_at: doc.created_at
-        }))
+        positive_ids: positiveIds,
+        negative_ids: negativeIds,
+        negative_weight: negativeIds.length > 0 ? negative_weight : 0,
+        ...result
       };
+    } catch (error) {
+      throw new Error(`Failed to find memories similar to examples: ${error.message}`);
+    }
+  }
+
+  // Run several similarity searches concurrently, keyed by each query's `id` (or its
+  // position). With `dedupe`, a memory found by more than one query is kept only in the
+  // query it is most similar to (the earlier query on a tie).
+  async findSimilarMemoryEmbeddingsBatch(queries, options = {}) {
+    try {
+      const { dedupe = false } = options;
+
+      const keys = queries.map((query, index) => query.id ?? String(index));
+      if (new Set(keys).size !== keys.length) {
+        const error = new Error('Query ids must be unique and must not collide with the position of a query without an id');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const searches = await mapWithConcurrency(queries, SIMILARITY_BATCH_CONCURRENCY, query => {
+        const { feature_vector, id, ...searchOptions } = query;
+        return this.findSimilarMemoryEmbeddings(feature_vector, searchOptions);
+      });
+
+      let duplicatesRemoved = 0;
+      if (dedupe) {
+        const best = new Map();
+        searches.forEach((search, queryIndex) => {
+          search.results.forEach(result => {
+            const current = best.get(result.id);
+            if (!current || result.similarity_score > current.similarity_score) {
+              best.set(result.id, { queryIndex, similarity_score: result.similarity_score });
+            }
+          });
+        });
+
+        searches.forEach((search, queryIndex) => {
+          const kept = search.results.filter(result => best.get(result.id).queryIndex === queryIndex);
+          duplicatesRemoved += search.results.length - kept.length;
+          search.results = kept;
+          search.results_count = kept.length;
+          search.max_similarity_score = kept.length > 0 ? Math.max(...kept.map(result => result.similarity_score)) : 0;
+          search.min_similarity_score = kept.length > 0 ? Math.min(...kept.map(result => result.similarity_score)) : 0;
+        });
+      }
+
+      return {
+        query_count: queries.length,
+        deduplicated: dedupe,
+        duplicates_removed: duplicatesRemoved,
+        results: Object.fromEntries(searches.map((search, index) => [keys[index], search]))
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to run batch similarity search: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  // Retrieve memories by blending vector similarity with stored scores, recency,
+  // access frequency and keyword overlap against retrieval_triggers
+  async retrieveMemories(retrievalOptions) {
+    try {
+      await this.initialize();
+
+      const {
+        query_text,
+        user_id,
+        feature_vector,
+        context = {},
+        weights: weightOverrides,
+        limit = 10,
+        min_relevance_score = 0.3
+      } = retrievalOptions;
+
+      const queryTokens = [
+        ...tokenize(query_text),
+        ...(context.keywords || []).flatMap(keyword => tokenize(keyword))
+      ];
+      const hasVector = Array.isArray(feature_vector) && feature_vector.length > 0;
+      const weights = resolveWeights(weightOverrides, { hasVector });
+      const candidateLimit = Math.min(limit * RETRIEVAL_CANDIDATE_MULTIPLIER, MAX_RETRIEVAL_CANDIDATES);
+
+      const query = { user_id, archived: { $ne: true }, deleted: { $ne: true } };
+      if (context.memory_type) query.memory_type = context.memory_type;
+
+      // Gather candidates: vector neighbours when a vector is supplied, otherwise the
+      // most important memories plus any whose triggers mention the query keywords
+      const candidates = new Map();
+      const collect = async (cursor) => {
+        for await (const doc of cursor) {
+          if (!candidates.has(doc._id)) candidates.set(doc._id, doc);
+        }
+      };
+
+      if (hasVector) {
+        await collect(this.collection.find(query, {
+          sort: { $vector: feature_vector },
+          limit: candidateLimit,
+          includeSimilarity: true
+        }));
+      } else {
+        await collect(this.collection.find(query, {
+          sort: { importance_score: -1 },
+          limit: candidateLimit
+        }));
+        if (queryTokens.length > 0) {
+          await collect(this.collection.find(
+            { ...query, retrieval_triggers: { $in: Array.from(new Set(queryTokens)) } },
+            { limit: candidateLimit }
+          ));
+        }
+      }
+
+      const now = Date.now();
+      const decrypted = await fieldEncryptionService.decryptDocuments(Array.from(candidates.values()));
+      const scored = decrypted.map(doc => {
+        const components = {
+          similarity: hasVector ? doc.$similarity || 0 : 0,
+          importance: doc.importance_score || 0,
+          emotional: doc.emotional_significance || 0,
+          temporal: doc.temporal_relevance || 0,
+          recency: recencyScore(doc.last_accessed, now),
+          access: accessScore(doc.access_frequency),
+          keyword: keywordOverlapScore(queryTokens, doc.retrieval_triggers)
+        };
+
+        return {
+          ...formatMemoryEmbedding(doc),
+          ...(hasVector && { similarity_score: doc.$similarity }),
+          relevance_score: blendScores(components, weights),
+          score_breakdown: components
+        };
+      });
+
+      const results = scored
+        .filter(result => result.relevance_score >= min_relevance_score)
+        .sort((a, b) => b.relevance_score - a.relevance_score)
+        .slice(0, limit);
+
+      return {
+        query_text,
+        user_id,
+        used_vector: hasVector,
+        weights,
+        candidates_considered: scored.length,
+        results_count: results.length,
+        results
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve memories: ${error.message}`);
+    }
+  }
+
+  // Insert a chunk of validated memories. When the insert fails part-way, the IDs that
+  // were actually stored are read back so only those are counted and linked; every other
+  // memory is reported with the insert error.
+  async createMemoryEmbeddingsBatch(embeddingsArray, options = {}) {
+    try {
+      await this.initialize();
+
+      const documents = embeddingsArray.map(embeddingData => buildMemoryDocument(embeddingData));
+      const stored = [];
+      for (const document of documents) {
+        stored.push(await fieldEncryptionService.encryptFields(document.user_id, document));
+      }
+
+      let insertError = null;
+      let landed = new Set(documents.map(document => document._id));
+      try {
+        await this.collection.insertMany(stored, { ordered: Boolean(options.ordered) });
+      } catch (error) {
+        insertError = error;
+        landed = await this.findExistingIds(documents.map(document => document._id));
+      }
+
+      const inserted = documents.filter(document => landed.has(document._id));
+      if (this.space.default) {
+        await memoryStatisticsService.recordChanges(inserted.map(document => ({ after: document })));
+      }
+
+      const results = [];
+      for (const [index, document] of documents.entries()) {
+        if (!landed.has(document._id)) {
+          results.push({ error: insertError.message });
+          continue;
+        }
+
+        // The memory is stored at this point, so a linking failure is only a warning
+        const result = { document };
+        if (this.space.default) {
+          try {
+            const relationships = embeddingsArray[index].relationships || [];
+            if (relationships.length > 0) {
+              document.relationships = await memoryRelationshipService.linkMemory(document._id, document.user_id, relationships);
+            }
+            await memoryRelationshipService.autoLinkMemory(document, embeddingsArray[index].auto_link);
+          } catch (error) {
+            result.warning = `Relationships not linked: ${error.message}`;
+          }
+        }
+        results.push(result);
+      }
+
+      return results;
     } catch (error) {
       throw new Error(`Failed to create memory embeddings batch: ${error.message}`);
     }
   }
 
-  // Query memory embeddings with filters and pagination
+  // IDs from the list that are stored (in any state)
+  async findExistingIds(ids) {
+    await this.initialize();
+
+    const existing = new Set();
+    for (let i = 0; i < ids.length; i += IN_FILTER_CHUNK_SIZE) {
+      const cursor = this.collection.find(
+        { _id: { $in: ids.slice(i, i + IN_FILTER_CHUNK_SIZE) } },
+        { projection: { _id: 1 } }
+      );
+      for await (const doc of cursor) {
+        existing.add(doc._id);
+      }
+    }
+    return existing;
+  }
+
+  // Query memory embeddings with filters and pagination.
+  // Pass the previous page's next_cursor as `cursor` for keyset pagination; `offset`
+  // is still honoured for the first-page-by-number style. The total count is only
+  // computed when `include_total` is set.
   async queryMemoryEmbeddings(queryOptions = {}) {
     try {
       await this.initialize();
@@ -292,14 +882,16 @@ class MemoryEmbeddingService {
         min_emotional_significance,
         min_temporal_relevance,
         date_range,
-        limit = 20,
-        offset = 0,
+        cursor,
+        include_total = false,
         sort_by = 'created_at',
         sort_order = 'desc'
       } = queryOptions;
+      const limit = parseInt(queryOptions.limit) || 20;
+      const offset = cursor ? 0 : parseInt(queryOptions.offset) || 0;
 
-      // Build query
-      let query = {};
+      // Build query (memories archived by decay or in the trash are excluded)
+      let query = { archived: { $ne: true }, deleted: { $ne: true } };
       
       if (user_id) query.user_id = user_id;
       if (memory_type) query.memory_type = memory_type;
@@ -313,35 +905,51 @@ class MemoryEmbeddingService {
         if (date_range.end) query.created_at.$lte = date_range.end;
       }
 
-      // Build sort for AstraDB
+      const countQuery = { ...query };
+      if (cursor) {
+        query.$or = cursorFilter(decodeCursor(cursor, sort_by, sort_order)).$or;
+      }
+
+      // Build sort for AstraDB, with _id as tie-breaker so cursors are stable
       const sortOrder = sort_order === 'asc' ? 1 : -1;
-      const sortObj = { [sort_by]: sortOrder };
+      const sortObj = { [sort_by]: sortOrder, _id: sortOrder };
 
-      // Execute query with pagination using AstraDB syntax
+      // Fetch one extra document to learn whether another page exists
       const findOptions = {
         sort: sortObj,
-        limit: limit,
+        limit: limit + 1,
         skip: offset
       };
 
-      const cursor = this.collection.find(query, findOptions);
       const results = [];
-      
-      // Iterate through cursor to get results
-      for await (const doc of cursor) {
+      for await (const doc of this.collection.find(query, findOptions)) {
         results.push(doc);
       }
 
-      // Get total count for pagination using AstraDB estimatedDocumentCount
-      // Note: AstraDB doesn't have countDocuments, using find without limit for count
-      const countCursor = this.collection.find(query);
-      let totalCount = 0;
-      for await (const doc of countCursor) {
-        totalCount++;
+      const hasNext = results.length > limit;
+      const page = await fieldEncryptionService.decryptDocuments(results.slice(0, limit));
+      const lastDoc = page[page.length - 1];
+
+      const pagination = {
+        limit,
+        has_next: hasNext,
+        next_cursor: hasNext && lastDoc ? encodeCursor(lastDoc, sort_by, sort_order) : null
+      };
+
+      if (!cursor) {
+        pagination.current_page = Math.floor(offset / limit) + 1;
+        pagination.has_previous = offset > 0;
+      }
+
+      if (include_total === true || include_total === 'true') {
+        Object.assign(pagination, await this.countWithUpperBound(countQuery));
+        if (!pagination.total_count_is_lower_bound) {
+          pagination.total_pages = Math.ceil(pagination.total_count / limit);
+        }
       }
 
       return {
-        results: results.map(result => ({
+        results: page.map(result => ({
           id: result._id,
           user_id: result.user_id,
           memory_type: result.memory_type,
@@ -359,26 +967,34 @@ class MemoryEmbeddingService {
           retrieval_triggers: result.retrieval_triggers,
           updated_at: result.updated_at
         })),
-        pagination: {
-          total_count: totalCount,
-          current_page: Math.floor(offset / limit) + 1,
-          total_pages: Math.ceil(totalCount / limit),
-          has_next: offset + limit < totalCount,
-          has_previous: offset > 0
-        }
+        pagination
       };
     } catch (error) {
       throw new Error(`Failed to query memory embeddings: ${error.message}`);
     }
   }
 
+  // Count matching documents, stopping at the Data API's countDocuments upper bound
+  async countWithUpperBound(query) {
+    try {
+      const count = await this.collection.countDocuments(query, COUNT_UPPER_BOUND);
+      return { total_count: count, total_count_is_lower_bound: false };
+    } catch (error) {
+      if (error.name === 'TooManyDocumentsToCountError') {
+        return { total_count: COUNT_UPPER_BOUND, total_count_is_lower_bound: true };
+      }
+      throw error;
+    }
+  }
+
   // Update access frequency and last accessed time
-  async recordMemoryAccess(id) {
+  async recordMemoryAccess(id, scope = {}, options = {}) {
     try {
       await this.initialize();
 
+      // Access is bookkeeping rather than an edit, so it does not bump the version
       const result = await this.collection.findOneAndUpdate(
-        { _id: id },
+        await this.conditionalIdFilter(id, scope, options.expected_version),
         { 
           $inc: { access_frequency: 1 },
           $set: { 
@@ -390,76 +1006,58 @@ class MemoryEmbeddingService {
       );
 
       if (!result) {
-        throw new Error('Memory embedding not found');
+        throw new Error(options.expected_version !== undefined ? 'Version conflict' : 'Memory embedding not found');
       }
 
+      await this.recordStatistics(
+        { ...result, access_frequency: result.access_frequency - 1 },
+        result,
+        { accessed: true }
+      );
+
       return {
         id: result._id,
         access_frequency: result.access_frequency,
-        last_accessed: result.last_accessed
+        last_accessed: result.last_accessed,
+        version: result.version || 1
       };
     } catch (error) {
       throw new Error(`Failed to record memory access: ${error.message}`);
     }
   }
 
-  // Get collection statistics
+  // Get collection statistics from the incrementally maintained aggregates
   async getStatistics() {
     try {
       await this.initialize();
 
-      // Get total count using find iterator (AstraDB doesn't have countDocuments)
-      const allDocsCursor = this.collection.find({});
-      let totalCount = 0;
-      const memoryTypes = {};
-      let totalImportanceScore = 0;
-      let totalEmotionalSignificance = 0;
-      let totalTemporalRelevance = 0;
-      let totalAccessFrequency = 0;
-
-      // Get recent activity (last 7 days)
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      let recentCount = 0;
-
-      // Process all documents to gather statistics
-      for await (const doc of allDocsCursor) {
-        totalCount++;
-        
-        // Count by memory type
-        memoryTypes[doc.memory_type] = (memoryTypes[doc.memory_type] || 0) + 1;
-        
-        // Sum for averages
-        totalImportanceScore += doc.importance_score || 0;
-        totalEmotionalSignificance += doc.emotional_significance || 0;
-        totalTemporalRelevance += doc.temporal_relevance || 0;
-        totalAccessFrequency += doc.access_frequency || 0;
-        
-        // Check if recent
-        if (doc.created_at && new Date(doc.created_at) >= sevenDaysAgo) {
-          recentCount++;
-        }
-      }
+      const stats = await memoryStatisticsService.getGlobalStatistics();
+      const options = await this.collection.options();
 
       return {
-        total_memories: totalCount,
-        recent_memories_7_days: recentCount,
-        memory_type_distribution: memoryTypes,
-        score_statistics: {
-          avg_importance_score: totalCount > 0 ? totalImportanceScore / totalCount : 0,
-          avg_emotional_significance: totalCount > 0 ? totalEmotionalSignificance / totalCount : 0,
-          avg_temporal_relevance: totalCount > 0 ? totalTemporalRelevance / totalCount : 0,
-          avg_access_frequency: totalCount > 0 ? totalAccessFrequency / totalCount : 0
-        },
+        ...stats,
         collection_info: {
-          name: 'memory_embeddings',
-          vector_dimensions: 90
+          name: this.space.collection,
+          embedding_space: this.space.name,
+          vector_dimensions: options.vector?.dimension || null,
+          vector_metric: options.vector?.metric || null
         }
       };
     } catch (error) {
       throw new Error(`Failed to get statistics: ${error.message}`);
     }
   }
+
+  // Get statistics for a single user (score histograms, access distribution, activity)
+  async getUserStatistics(userId) {
+    return memoryStatisticsService.getUserStatistics(userId);
+  }
+
+  // Recompute all statistics with a full collection scan
+  async rebuildStatistics() {
+    await this.initialize();
+    return memoryStatisticsService.rebuild(this.collection);
+  }
 }
 
 // Export singleton instance
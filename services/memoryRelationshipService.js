@@ -0,0 +1,648 @@
+const storage = require('../config/storage');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { chunk } = require('../utils/concurrency');
+
+// Typed, weighted relationship graph between memories.
+//
+// Edges live in the memory_relationships collection, one document per direction:
+// adding `A causes B` also writes `B caused_by A`, so neighbours of any memory are a
+// single `source_id` lookup. Each memory's `relationships` array is kept as the
+// denormalised list of its neighbour IDs for existing clients.
+//
+// Auto-linking proposes (or writes) `related_to` edges to a memory's nearest same-user
+// vector neighbours. Auto edges carry origin 'auto', the similarity they were found
+// with, and use it as their weight.
+
+const RELATIONSHIPS_COLLECTION = 'memory_relationships';
+
+const INVERSE_RELATIONSHIP_TYPES = {
+  related_to: 'related_to',
+  causes: 'caused_by',
+  caused_by: 'causes',
+  follows: 'precedes',
+  precedes: 'follows',
+  contradicts: 'contradicts',
+  elaborates: 'elaborated_by',
+  elaborated_by: 'elaborates'
+};
+
+const RELATIONSHIP_TYPES = Object.keys(INVERSE_RELATIONSHIP_TYPES);
+
+const MAX_TRAVERSAL_DEPTH = 5;
+const MAX_TRAVERSAL_NODES = 500;
+
+const AUTO_LINK_MODES = ['off', 'suggest', 'link'];
+const AUTO_LINK_MODE = AUTO_LINK_MODES.includes(process.env.AUTO_LINK_MODE) ? process.env.AUTO_LINK_MODE : 'off';
+const AUTO_LINK_TOP_K = parseInt(process.env.AUTO_LINK_TOP_K) || 5;
+const AUTO_LINK_MIN_SIMILARITY = parseFloat(process.env.AUTO_LINK_MIN_SIMILARITY) || 0.85;
+const MAX_AUTO_LINK_TOP_K = 50;
+
+// Vector searches are capped at 1000 results by the Data API
+const MAX_VECTOR_CANDIDATES = 1000;
+
+// Cap on the number of memories listed in a backfill report
+const MAX_REPORTED_MEMORIES = 1000;
+
+// The Data API accepts at most 100 values in an $in filter
+const IN_FILTER_CHUNK_SIZE = 100;
+
+const edgeId = (sourceId, type, targetId) => `${sourceId}|${type}|${targetId}`;
+
+// Express a reverse edge document as the forward edge it mirrors
+const toForwardEdge = (doc) => ({
+  ...doc,
+  source_id: doc.target_id,
+  target_id: doc.source_id,
+  type: INVERSE_RELATIONSHIP_TYPES[doc.type],
+  direction: 'forward'
+});
+
+const formatEdge = (doc) => ({
+  source_id: doc.source_id,
+  target_id: doc.target_id,
+  type: doc.type,
+  weight: doc.weight,
+  ...(doc.similarity !== undefined && { similarity: doc.similarity }),
+  origin: doc.origin || 'manual',
+  created_at: doc.created_at
+});
+
+const formatNode = (doc) => ({
+  id: doc._id,
+  user_id: doc.user_id,
+  memory_type: doc.memory_type,
+  content_summary: doc.content_summary,
+  importance_score: doc.importance_score,
+  emotional_significance: doc.emotional_significance,
+  temporal_relevance: doc.temporal_relevance,
+  created_at: doc.created_at
+});
+
+// Per-request auto-link options layered over the AUTO_LINK_* defaults
+const resolveAutoLinkOptions = (options = {}) => ({
+  mode: options.mode || AUTO_LINK_MODE,
+  top_k: Math.min(options.top_k || AUTO_LINK_TOP_K, MAX_AUTO_LINK_TOP_K),
+  min_similarity: options.min_similarity !== undefined ? options.min_similarity : AUTO_LINK_MIN_SIMILARITY
+});
+
+class MemoryRelationshipService {
+  constructor() {
+    this.collection = null;
+    this.memories = null;
+    this.backfillRunning = false;
+    this.lastBackfillReport = null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.memories = await storage.connect();
+      this.collection = await storage.getCollection(RELATIONSHIPS_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  // Find documents whose `field` is one of `ids`, chunking the $in filter
+  async findIn(collection, field, ids, filter = {}, options = {}) {
+    const results = [];
+    for (const idChunk of chunk(Array.from(new Set(ids)), IN_FILTER_CHUNK_SIZE)) {
+      for await (const doc of collection.find({ ...filter, [field]: { $in: idChunk } }, options)) {
+        results.push(doc);
+      }
+    }
+    return results;
+  }
+
+  // Memories in the trash cannot be linked or traversed from
+  async getOwnedMemory(id, scope = {}) {
+    const filter = { _id: id, deleted: { $ne: true } };
+    if (scope.user_id) filter.user_id = scope.user_id;
+
+    const memory = await this.memories.findOne(filter, { projection: { user_id: 1, relationships: 1 } });
+    if (!memory) {
+      throw new Error('Memory embedding not found');
+    }
+    return memory;
+  }
+
+  // Upsert the edge and its reverse; idempotent for the same (source, type, target)
+  async writeEdgePair(source, target, { type, weight, similarity, origin }) {
+    const now = new Date().toISOString();
+    const edges = [
+      { source_id: source._id, target_id: target._id, type, direction: 'forward' },
+      { source_id: target._id, target_id: source._id, type: INVERSE_RELATIONSHIP_TYPES[type], direction: 'reverse' }
+    ];
+
+    for (const edge of edges) {
+      await this.collection.updateOne(
+        { _id: edgeId(edge.source_id, edge.type, edge.target_id) },
+        {
+          $set: {
+            ...edge,
+            user_id: source.user_id,
+            weight,
+            ...(similarity !== undefined && { similarity }),
+            origin,
+            updated_at: now
+          },
+          $setOnInsert: { created_at: now }
+        },
+        { upsert: true }
+      );
+    }
+
+    await this.memories.updateOne({ _id: source._id }, { $addToSet: { relationships: target._id } });
+    await this.memories.updateOne({ _id: target._id }, { $addToSet: { relationships: source._id } });
+
+    return this.collection.findOne({ _id: edgeId(source._id, type, target._id) });
+  }
+
+  // Remove `removedId` from a memory's denormalised relationships list
+  async unlinkNeighbour(memoryId, removedId) {
+    const memory = await this.memories.findOne({ _id: memoryId }, { projection: { relationships: 1 } });
+    if (memory && (memory.relationships || []).includes(removedId)) {
+      await this.memories.updateOne(
+        { _id: memoryId },
+        { $set: { relationships: memory.relationships.filter(id => id !== removedId) } }
+      );
+    }
+  }
+
+  async addRelationship(sourceId, targetId, options = {}, scope = {}) {
+    try {
+      await this.initialize();
+
+      const { type = 'related_to', weight = 1, similarity, origin = 'manual' } = options;
+
+      if (!INVERSE_RELATIONSHIP_TYPES[type]) {
+        throw new Error(`Invalid relationship type: ${type}`);
+      }
+      if (sourceId === targetId) {
+        throw new Error('Invalid relationship: a memory cannot be related to itself');
+      }
+
+      const source = await this.getOwnedMemory(sourceId, scope);
+      const target = await this.getOwnedMemory(targetId, scope);
+      if (source.user_id !== target.user_id) {
+        throw new Error('Invalid relationship: memories belong to different users');
+      }
+
+      const edge = await this.writeEdgePair(source, target, { type, weight, similarity, origin });
+      return formatEdge(edge);
+    } catch (error) {
+      throw new Error(`Failed to add relationship: ${error.message}`);
+    }
+  }
+
+  // Remove edges between two memories (one type and its inverse, or all types)
+  async removeRelationship(sourceId, targetId, options = {}, scope = {}) {
+    try {
+      await this.initialize();
+
+      await this.getOwnedMemory(sourceId, scope);
+
+      const { type } = options;
+      let filter;
+      if (type) {
+        if (!INVERSE_RELATIONSHIP_TYPES[type]) {
+          throw new Error(`Invalid relationship type: ${type}`);
+        }
+        filter = {
+          _id: {
+            $in: [edgeId(sourceId, type, targetId), edgeId(targetId, INVERSE_RELATIONSHIP_TYPES[type], sourceId)]
+          }
+        };
+      } else {
+        filter = {
+          $or: [
+            { source_id: sourceId, target_id: targetId },
+            { source_id: targetId, target_id: sourceId }
+          ]
+        };
+      }
+
+      const { deletedCount } = await this.collection.deleteMany(filter);
+      if (deletedCount === 0) {
+        throw new Error('Relationship not found');
+      }
+
+      const remaining = await this.collection.findOne({ source_id: sourceId, target_id: targetId });
+      if (!remaining) {
+        await this.unlinkNeighbour(sourceId, targetId);
+        await this.unlinkNeighbour(targetId, sourceId);
+      }
+
+      return { source_id: sourceId, target_id: targetId, type: type || null, removed_count: deletedCount };
+    } catch (error) {
+      throw new Error(`Failed to remove relationship: ${error.message}`);
+    }
+  }
+
+  // Outgoing edges of a memory (reverse edges make this cover both directions)
+  async getRelationships(memoryId, options = {}, scope = {}) {
+    try {
+      await this.initialize();
+
+      await this.getOwnedMemory(memoryId, scope);
+
+      const filter = { source_id: memoryId };
+      if (options.type) filter.type = options.type;
+
+      const edges = [];
+      for await (const doc of this.collection.find(filter)) {
+        edges.push(formatEdge(doc));
+      }
+      return edges;
+    } catch (error) {
+      throw new Error(`Failed to get relationships: ${error.message}`);
+    }
+  }
+
+  // Breadth-first traversal up to `depth` hops, optionally following only some edge types
+  async traverse(memoryId, options = {}, scope = {}) {
+    try {
+      await this.initialize();
+
+      const depth = Math.min(options.depth || 2, MAX_TRAVERSAL_DEPTH);
+      const maxNodes = Math.min(options.max_nodes || 100, MAX_TRAVERSAL_NODES);
+      const root = await this.getOwnedMemory(memoryId, scope);
+
+      const edgeFilter = { user_id: root.user_id };
+      if (options.types && options.types.length > 0) edgeFilter.type = { $in: options.types };
+      if (options.min_weight !== undefined) edgeFilter.weight = { $gte: options.min_weight };
+
+      const depths = new Map([[memoryId, 0]]);
+      const edges = [];
+      let frontier = [memoryId];
+      let truncated = false;
+
+      for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+        const hopEdges = await this.findIn(this.collection, 'source_id', frontier, edgeFilter);
+
+        // Memories in the trash keep their edges but are not visited
+        const activeTargets = new Set((await this.findIn(
+          this.memories,
+          '_id',
+          hopEdges.map(edge => edge.target_id),
+          { deleted: { $ne: true } },
+          { projection: { _id: 1 } }
+        )).map(doc => doc._id));
+
+        const next = [];
+        for (const edge of hopEdges) {
+          if (!activeTargets.has(edge.target_id)) continue;
+          if (!depths.has(edge.target_id)) {
+            if (depths.size >= maxNodes) {
+              truncated = true;
+              continue;
+            }
+            depths.set(edge.target_id, hop);
+            next.push(edge.target_id);
+          }
+          edges.push(edge);
+        }
+        frontier = next;
+      }
+
+      const nodes = await fieldEncryptionService.decryptDocuments(
+        await this.findIn(this.memories, '_id', Array.from(depths.keys()), {}, { projection: { $vector: 0 } })
+      );
+
+      return {
+        root_id: memoryId,
+        depth,
+        truncated,
+        node_count: nodes.length,
+        nodes: nodes
+          .map(node => ({ ...formatNode(node), depth: depths.get(node._id) }))
+          .sort((a, b) => a.depth - b.depth),
+        edges: Array.from(new Map(
+          edges
+            .filter(edge => depths.has(edge.source_id) && depths.has(edge.target_id))
+            .map(edge => (edge.direction === 'reverse' ? toForwardEdge(edge) : edge))
+            .map(edge => [edgeId(edge.source_id, edge.type, edge.target_id), formatEdge(edge)])
+        ).values())
+      };
+    } catch (error) {
+      throw new Error(`Failed to traverse relationships: ${error.message}`);
+    }
+  }
+
+  // Neighbours of a memory, resolved in batches rather than one lookup per ID
+  async getRelatedMemories(memoryId, userId) {
+    await this.initialize();
+
+    const memory = await this.memories.findOne({ _id: memoryId, deleted: { $ne: true } });
+    if (!memory) {
+      throw new Error('Memory embedding not found');
+    }
+    if (memory.user_id !== userId) {
+      throw new Error('Access denied to this memory');
+    }
+
+    const edges = [];
+    for await (const doc of this.collection.find({ source_id: memoryId })) {
+      edges.push(doc);
+    }
+
+    const neighbourIds = Array.from(new Set([...edges.map(edge => edge.target_id), ...(memory.relationships || [])]));
+    const related = await this.findIn(this.memories, '_id', neighbourIds, { user_id: userId, deleted: { $ne: true } });
+
+    return {
+      memory: await fieldEncryptionService.decryptDocument(memory),
+      related: (await fieldEncryptionService.decryptDocuments(related)).map(doc => ({
+        doc,
+        edges: edges.filter(edge => edge.target_id === doc._id).map(formatEdge)
+      })),
+      missing_ids: neighbourIds.filter(id => !related.some(doc => doc._id === id))
+    };
+  }
+
+  // Link a memory to the given IDs with `related_to` edges, returning the IDs that
+  // resolved to memories of the same user
+  async linkMemory(memoryId, userId, relatedIds = []) {
+    await this.initialize();
+
+    const candidates = relatedIds.filter(id => id !== memoryId);
+    if (candidates.length === 0) return [];
+
+    const source = { _id: memoryId, user_id: userId };
+    const targets = await this.findIn(this.memories, '_id', candidates, { user_id: userId, deleted: { $ne: true } }, { projection: { user_id: 1 } });
+    for (const target of targets) {
+      await this.writeEdgePair(source, target, { type: 'related_to', weight: 1, origin: 'manual' });
+    }
+    return targets.map(target => target._id);
+  }
+
+  // Replace a memory's neighbour list: unlink removed IDs, link new ones
+  async replaceRelationshipIds(memoryId, userId, previousIds = [], nextIds = []) {
+    await this.initialize();
+
+    const removed = previousIds.filter(id => !nextIds.includes(id));
+    for (const id of removed) {
+      await this.collection.deleteMany({
+        $or: [
+          { source_id: memoryId, target_id: id },
+          { source_id: id, target_id: memoryId }
+        ]
+      });
+      await this.unlinkNeighbour(id, memoryId);
+    }
+
+    const kept = previousIds.filter(id => nextIds.includes(id));
+    const linked = await this.linkMemory(memoryId, userId, nextIds.filter(id => !previousIds.includes(id)));
+    const relationships = [...kept, ...linked];
+
+    await this.memories.updateOne({ _id: memoryId }, { $set: { relationships } });
+    return relationships;
+  }
+
+  // Nearest same-user neighbours of a stored memory (document with $vector) at or above
+  // min_similarity, skipping the memory itself and memories it is already linked to
+  async findNeighbourCandidates(memory, { top_k, min_similarity }) {
+    if (!Array.isArray(memory.$vector)) return [];
+
+    const exclude = new Set([memory._id, ...(memory.relationships || [])]);
+    const cursor = this.memories.find(
+      { user_id: memory.user_id, archived: { $ne: true }, deleted: { $ne: true } },
+      {
+        sort: { $vector: memory.$vector },
+        limit: Math.min(top_k + exclude.size, MAX_VECTOR_CANDIDATES),
+        includeSimilarity: true,
+        projection: { $vector: 0 }
+      }
+    );
+
+    const candidates = [];
+    for await (const doc of cursor) {
+      if (doc.$similarity < min_similarity) break;
+      if (exclude.has(doc._id)) continue;
+      const { content_summary } = await fieldEncryptionService.decryptDocument(doc);
+      candidates.push({
+        id: doc._id,
+        memory_type: doc.memory_type,
+        content_summary,
+        similarity: doc.$similarity
+      });
+      if (candidates.length >= top_k) break;
+    }
+    return candidates;
+  }
+
+  // Propose or write links to a memory's vector neighbours.
+  // mode 'suggest' only returns candidates; 'link' writes `related_to` edges for them.
+  async autoLinkMemory(memory, options = {}) {
+    await this.initialize();
+
+    const { mode, top_k, min_similarity } = resolveAutoLinkOptions(options);
+    if (mode === 'off') {
+      return { mode, suggestions: [], linked_ids: [] };
+    }
+
+    const suggestions = await this.findNeighbourCandidates(memory, { top_k, min_similarity });
+    if (mode === 'link') {
+      for (const suggestion of suggestions) {
+        await this.writeEdgePair(memory, { _id: suggestion.id }, {
+          type: 'related_to',
+          weight: suggestion.similarity,
+          similarity: suggestion.similarity,
+          origin: 'auto'
+        });
+      }
+    }
+
+    return {
+      mode,
+      top_k,
+      min_similarity,
+      suggestions,
+      linked_ids: mode === 'link' ? suggestions.map(suggestion => suggestion.id) : []
+    };
+  }
+
+  // Relationship suggestions for an existing memory (never writes)
+  async suggestRelationships(memoryId, options = {}, scope = {}) {
+    try {
+      await this.initialize();
+
+      const filter = { _id: memoryId };
+      if (scope.user_id) filter.user_id = scope.user_id;
+
+      const memory = await this.memories.findOne(filter, { projection: { user_id: 1, relationships: 1, $vector: 1 } });
+      if (!memory) {
+        throw new Error('Memory embedding not found');
+      }
+
+      const { suggestions, top_k, min_similarity } = await this.autoLinkMemory(memory, { ...options, mode: 'suggest' });
+      return { memory_id: memoryId, top_k, min_similarity, suggestions };
+    } catch (error) {
+      throw new Error(`Failed to suggest relationships: ${error.message}`);
+    }
+  }
+
+  // Backfill auto links over existing active memories (optionally one user's).
+  // A dry run reports the proposed links without writing them.
+  async runAutoLinkBackfill(options = {}) {
+    const { dry_run = false, user_id, top_k, min_similarity } = options;
+
+    if (this.backfillRunning) {
+      throw new Error('Auto-link backfill already in progress');
+    }
+
+    this.backfillRunning = true;
+    try {
+      await this.initialize();
+
+      const mode = dry_run ? 'suggest' : 'link';
+      const startedAt = new Date();
+      const query = { archived: { $ne: true }, deleted: { $ne: true } };
+      if (user_id) query.user_id = user_id;
+
+      const report = {
+        dry_run,
+        user_id: user_id || null,
+        ...resolveAutoLinkOptions({ mode, top_k, min_similarity }),
+        started_at: startedAt.toISOString(),
+        finished_at: null,
+        scanned_count: 0,
+        linked_memory_count: 0,
+        link_count: 0,
+        memories: []
+      };
+
+      const projection = { user_id: 1, relationships: 1, $vector: 1 };
+      for await (const doc of this.memories.find(query, { projection })) {
+        report.scanned_count++;
+
+        // Re-read the neighbour list: links written earlier in this pass may have changed it
+        const memory = { ...doc, relationships: (await this.getOwnedMemory(doc._id)).relationships };
+        const { suggestions } = await this.autoLinkMemory(memory, { mode, top_k, min_similarity });
+        if (suggestions.length === 0) continue;
+
+        report.linked_memory_count++;
+        report.link_count += suggestions.length;
+        if (report.memories.length < MAX_REPORTED_MEMORIES) {
+          report.memories.push({
+            id: doc._id,
+            user_id: doc.user_id,
+            links: suggestions.map(({ id, similarity }) => ({ target_id: id, similarity }))
+          });
+        }
+      }
+
+      report.finished_at = new Date().toISOString();
+      if (!dry_run) {
+        this.lastBackfillReport = report;
+      }
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to run auto-link backfill: ${error.message}`);
+    } finally {
+      this.backfillRunning = false;
+    }
+  }
+
+  // Forward edges (the direction a client created) of the given memories, keyed by source
+  async getForwardEdges(memoryIds) {
+    await this.initialize();
+
+    const edgesBySource = new Map();
+    for (const edge of await this.findIn(this.collection, 'source_id', memoryIds, { direction: 'forward' })) {
+      if (!edgesBySource.has(edge.source_id)) edgesBySource.set(edge.source_id, []);
+      edgesBySource.get(edge.source_id).push(formatEdge(edge));
+    }
+    return edgesBySource;
+  }
+
+  // Recreate exported forward edges of a memory. Edges whose target is missing or
+  // belongs to another user are skipped; returns the number of edges written.
+  async restoreEdges(memoryId, userId, edges = []) {
+    await this.initialize();
+
+    const valid = edges.filter(edge => edge.target_id !== memoryId && INVERSE_RELATIONSHIP_TYPES[edge.type]);
+    if (valid.length === 0) return 0;
+
+    const targets = await this.findIn(this.memories, '_id', valid.map(edge => edge.target_id), { user_id: userId }, { projection: { user_id: 1 } });
+    const targetIds = new Set(targets.map(target => target._id));
+
+    let restored = 0;
+    for (const edge of valid.filter(edge => targetIds.has(edge.target_id))) {
+      await this.writeEdgePair({ _id: memoryId, user_id: userId }, { _id: edge.target_id }, {
+        type: edge.type,
+        weight: edge.weight !== undefined ? edge.weight : 1,
+        similarity: edge.similarity,
+        origin: edge.origin || 'manual'
+      });
+      restored++;
+    }
+    return restored;
+  }
+
+  // Drop a user's memories from the retained backfill report
+  forgetUser(userId) {
+    if (this.lastBackfillReport) {
+      this.lastBackfillReport.memories = this.lastBackfillReport.memories.filter(entry => entry.user_id !== userId);
+    }
+  }
+
+  // Batch variant of removeAllForMemory for memories deleted together. Neighbours owned
+  // by `excludeUserId` are not rewritten (they are being deleted too).
+  async removeAllForMemories(memoryIds, excludeUserId) {
+    await this.initialize();
+
+    let removedEdges = 0;
+    let unlinked = 0;
+    for (const idChunk of chunk(memoryIds, IN_FILTER_CHUNK_SIZE)) {
+      const { deletedCount } = await this.collection.deleteMany({
+        $or: [{ source_id: { $in: idChunk } }, { target_id: { $in: idChunk } }]
+      });
+      removedEdges += deletedCount;
+
+      const removed = new Set(idChunk);
+      const filter = { relationships: { $in: idChunk } };
+      if (excludeUserId) filter.user_id = { $ne: excludeUserId };
+      for await (const doc of this.memories.find(filter, { projection: { relationships: 1 } })) {
+        await this.memories.updateOne(
+          { _id: doc._id },
+          { $set: { relationships: doc.relationships.filter(id => !removed.has(id)) } }
+        );
+        unlinked++;
+      }
+    }
+
+    return { removed_edges: removedEdges, unlinked_memories: unlinked };
+  }
+
+  // Remove every remaining edge owned by a user
+  async removeAllForUser(userId) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({ user_id: userId });
+    return deletedCount;
+  }
+
+  // Drop every edge touching a deleted memory and scrub it from neighbours' lists
+  async removeAllForMemory(memoryId, userId) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({
+      $or: [{ source_id: memoryId }, { target_id: memoryId }]
+    });
+
+    let unlinked = 0;
+    for await (const doc of this.memories.find({ user_id: userId, relationships: memoryId }, { projection: { relationships: 1 } })) {
+      await this.memories.updateOne(
+        { _id: doc._id },
+        { $set: { relationships: doc.relationships.filter(id => id !== memoryId) } }
+      );
+      unlinked++;
+    }
+
+    return { removed_edges: deletedCount, unlinked_memories: unlinked };
+  }
+}
+
+// Export singleton instance
+const memoryRelationshipService = new MemoryRelationshipService();
+module.exports = memoryRelationshipService;
+module.exports.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+module.exports.AUTO_LINK_MODES = AUTO_LINK_MODES;
@@ -0,0 +1,190 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { analyze } = require('../utils/textAnalysis');
+const {
+  DEFAULT_RRF_K,
+  parseSearchQuery,
+  containsPhrase,
+  inverseDocumentFrequency,
+  bm25Score,
+  reciprocalRankFusion,
+  buildSnippet
+} = require('../utils/textSearch');
+
+// Full-text search over a user's memories.
+//
+// content_summary is encrypted at rest, so the database cannot match on it: a search
+// reads the user's memories (newest first, up to SEARCH_MAX_MEMORIES), decrypts them
+// and ranks them in memory with BM25 over content_summary and retrieval_triggers, the
+// user's memories being the corpus the term statistics come from. Triggers are a short,
+// deliberate description of a memory, so their terms count TRIGGER_FIELD_WEIGHT times.
+// Quoted phrases in the query must occur in the content or in a single trigger. With a
+// feature_vector the text ranking is fused with the vector neighbours by reciprocal
+// rank fusion.
+
+// Cap on the memories read for one search
+const SEARCH_MAX_MEMORIES = parseInt(process.env.SEARCH_MAX_MEMORIES) || 5000;
+
+// Vector neighbours ranked for fusion
+const SEARCH_VECTOR_CANDIDATES = 100;
+
+const TRIGGER_FIELD_WEIGHT = 2;
+
+// Characters of content_summary in a result snippet
+const SNIPPET_LENGTH = 200;
+
+const invalidRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Terms of a memory's searchable fields and their weighted frequencies
+const analyzeMemory = (doc) => {
+  const content = analyze(doc.content_summary || '');
+  const triggers = (doc.retrieval_triggers || []).map(trigger => ({ text: trigger, terms: analyze(trigger) }));
+
+  const frequencies = new Map();
+  content.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+  triggers.forEach(trigger => trigger.terms.forEach(term => {
+    frequencies.set(term, (frequencies.get(term) || 0) + TRIGGER_FIELD_WEIGHT);
+  }));
+
+  const length = content.length + TRIGGER_FIELD_WEIGHT * triggers.reduce((sum, trigger) => sum + trigger.terms.length, 0);
+  return { doc, content, triggers, frequencies, length };
+};
+
+const matchesPhrase = (entry, phrase) => {
+  return containsPhrase(entry.content, phrase.terms)
+    || entry.triggers.some(trigger => containsPhrase(trigger.terms, phrase.terms));
+};
+
+class MemorySearchService {
+  // Memories of a user ranked by BM25 text relevance, or by reciprocal rank fusion of the
+  // text and vector rankings when a feature_vector is given
+  async search(options = {}) {
+    try {
+      const { user_id, q, memory_type, feature_vector, limit = 10, rrf_k = DEFAULT_RRF_K } = options;
+      if (!user_id) {
+        throw invalidRequest('user_id is required');
+      }
+
+      const { terms, phrases } = parseSearchQuery(q);
+      if (terms.length === 0) {
+        throw invalidRequest('Invalid query: no search terms left after normalisation (stop words only)');
+      }
+
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const hasVector = Array.isArray(feature_vector) && feature_vector.length > 0;
+      if (hasVector && (feature_vector.length !== service.space.dimension || !feature_vector.every(Number.isFinite))) {
+        throw invalidRequest(`Invalid feature_vector: expected ${service.space.dimension} numbers`);
+      }
+
+      const collection = await service.initialize();
+      const query = { user_id, archived: { $ne: true }, deleted: { $ne: true } };
+      if (memory_type) query.memory_type = memory_type;
+
+      const corpus = new Map();
+      const cursor = collection.find(query, {
+        sort: { created_at: -1 },
+        limit: SEARCH_MAX_MEMORIES,
+        projection: { $vector: 0 }
+      });
+      for await (const doc of cursor) {
+        const memory = await fieldEncryptionService.decryptDocument(doc);
+        corpus.set(memory._id, analyzeMemory(memory));
+      }
+      const scanned = corpus.size;
+
+      // Term statistics over the user's memories
+      const entries = Array.from(corpus.values());
+      const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+      const idf = new Map(terms.map(term => [
+        term,
+        inverseDocumentFrequency(entries.length, entries.filter(entry => entry.frequencies.has(term)).length)
+      ]));
+
+      const textScores = new Map();
+      entries.forEach(entry => {
+        if (!phrases.every(phrase => matchesPhrase(entry, phrase))) return;
+        const score = bm25Score(entry, terms, { idf, averageLength });
+        if (score > 0) textScores.set(entry.doc._id, score);
+      });
+      const textRanking = Array.from(textScores.keys()).sort((a, b) => textScores.get(b) - textScores.get(a)
+        || (corpus.get(b).doc.importance_score || 0) - (corpus.get(a).doc.importance_score || 0));
+
+      let vectorRanking = [];
+      const similarity = new Map();
+      if (hasVector) {
+        const neighbours = await service.findSimilarMemoryEmbeddings(feature_vector, {
+          limit: SEARCH_VECTOR_CANDIDATES,
+          filters: { user_id, memory_type }
+        });
+        // Neighbours older than the scanned memories are read separately (at most
+        // SEARCH_VECTOR_CANDIDATES, within the Data API's $in limit)
+        const missing = neighbours.results.map(result => result.id).filter(id => !corpus.has(id));
+        if (missing.length > 0) {
+          const extra = collection.find({ _id: { $in: missing } }, { projection: { $vector: 0 } });
+          for await (const doc of extra) {
+            const memory = await fieldEncryptionService.decryptDocument(doc);
+            corpus.set(memory._id, analyzeMemory(memory));
+          }
+        }
+        neighbours.results.forEach(result => similarity.set(result.id, result.similarity_score));
+        vectorRanking = neighbours.results
+          .map(result => result.id)
+          .filter(id => corpus.has(id) && phrases.every(phrase => matchesPhrase(corpus.get(id), phrase)));
+      }
+
+      let ranked = textRanking.map(id => ({ id, score: textScores.get(id) }));
+      if (hasVector) {
+        const fused = reciprocalRankFusion([textRanking, vectorRanking], rrf_k);
+        ranked = Array.from(fused.entries())
+          .map(([id, score]) => ({ id, score }))
+          .sort((a, b) => b.score - a.score || (textScores.get(b.id) || 0) - (textScores.get(a.id) || 0));
+      }
+
+      const termSet = new Set(terms);
+      const results = ranked.slice(0, limit).map(({ id, score }) => {
+        const entry = corpus.get(id);
+        return {
+          ...memoryEmbeddingService.formatMemoryEmbedding(entry.doc),
+          score,
+          bm25_score: textScores.get(id) || 0,
+          matched_terms: terms.filter(term => entry.frequencies.has(term)),
+          matched_phrases: phrases.map(phrase => phrase.text),
+          matched_triggers: entry.triggers
+            .filter(trigger => trigger.terms.some(term => termSet.has(term)))
+            .map(trigger => trigger.text),
+          snippet: buildSnippet(entry.doc.content_summary, termSet, SNIPPET_LENGTH),
+          ...(hasVector && {
+            text_rank: textRanking.includes(id) ? textRanking.indexOf(id) + 1 : null,
+            vector_rank: vectorRanking.includes(id) ? vectorRanking.indexOf(id) + 1 : null,
+            similarity_score: similarity.has(id) ? similarity.get(id) : null
+          })
+        };
+      });
+
+      return {
+        user_id,
+        q,
+        terms,
+        phrases: phrases.map(phrase => phrase.text),
+        ranking: hasVector ? { method: 'rrf', k: rrf_k } : { method: 'bm25' },
+        memories_scanned: scanned,
+        scan_truncated: scanned >= SEARCH_MAX_MEMORIES,
+        total_matches: ranked.length,
+        results_count: results.length,
+        results
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to search memories: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+}
+
+// Export singleton instance
+const memorySearchService = new MemorySearchService();
+module.exports = memorySearchService;
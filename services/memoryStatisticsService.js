@@ -0,0 +1,272 @@
+const storage = require('../config/storage');
+
+// Incrementally maintained statistics.
+//
+// Instead of scanning memory_embeddings on every GET /stats, each write reports the
+// document before and after the change and the difference is applied with $inc to
+// aggregate documents in the memory_statistics collection:
+//   - `global` and `user:<user_id>` hold totals, per-type counts, score sums, score
+//     histograms and the access-frequency distribution
+//   - `daily:<scope>:<YYYY-MM-DD>` hold created/accessed counts used for the 7/30-day
+//     activity windows
+// Counter updates are best-effort; POST /stats/rebuild recomputes them from scratch.
+
+const STATISTICS_COLLECTION = 'memory_statistics';
+const SCORE_FIELDS = ['importance_score', 'emotional_significance', 'temporal_relevance'];
+const HISTOGRAM_BUCKETS = 10;
+const ACTIVITY_WINDOW_DAYS = 30;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// access_frequency ranges, keyed without dots or leading digits so they are safe in
+// $inc paths (a numeric path segment would be read as an array index)
+const ACCESS_BUCKETS = [
+  { key: 'n0', label: '0', max: 0 },
+  { key: 'n1', label: '1', max: 1 },
+  { key: 'n2_5', label: '2-5', max: 5 },
+  { key: 'n6_20', label: '6-20', max: 20 },
+  { key: 'n21_plus', label: '21+', max: Infinity }
+];
+
+const histogramBucket = (score) => {
+  const value = Math.max(0, Math.min(1, score || 0));
+  return `b${Math.min(HISTOGRAM_BUCKETS - 1, Math.floor(value * HISTOGRAM_BUCKETS))}`;
+};
+
+const accessBucket = (accessFrequency) => {
+  const value = accessFrequency || 0;
+  return ACCESS_BUCKETS.find(bucket => value <= bucket.max).key;
+};
+
+const dayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const scopeIds = (doc) => ['global', `user:${doc.user_id}`];
+
+const addDelta = (inc, path, amount) => {
+  if (amount === 0 || Number.isNaN(amount)) return;
+  inc[path] = (inc[path] || 0) + amount;
+};
+
+// $inc fields describing one document's contribution to an aggregate (sign = +1 / -1)
+const contribution = (doc, sign, inc) => {
+  addDelta(inc, 'total_memories', sign);
+  addDelta(inc, `memory_types.${doc.memory_type}`, sign);
+  if (doc.archived) addDelta(inc, 'archived_memories', sign);
+  SCORE_FIELDS.forEach(field => {
+    addDelta(inc, `sums.${field}`, sign * (doc[field] || 0));
+    addDelta(inc, `histograms.${field}.${histogramBucket(doc[field])}`, sign);
+  });
+  addDelta(inc, 'sums.access_frequency', sign * (doc.access_frequency || 0));
+  addDelta(inc, `access_distribution.${accessBucket(doc.access_frequency)}`, sign);
+};
+
+const toHistogram = (counts = {}) => {
+  return Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({
+    range: `${(i / HISTOGRAM_BUCKETS).toFixed(1)}-${((i + 1) / HISTOGRAM_BUCKETS).toFixed(1)}`,
+    count: counts[`b${i}`] || 0
+  }));
+};
+
+const scopeSeed = (scopeId, doc) => {
+  return scopeId === 'global' ? { scope: 'global' } : { scope: 'user', user_id: doc.user_id };
+};
+
+// Accumulates $inc fields per statistics document before they are written
+class IncrementBatch {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  fields(id, seed) {
+    if (!this.entries.has(id)) this.entries.set(id, { inc: {}, seed });
+    return this.entries.get(id).inc;
+  }
+
+  // Aggregate contribution of a write (before removed, after added). Memories in the
+  // trash do not count, so moving one there or restoring it is a removal / an addition.
+  addChange({ before, after }) {
+    const doc = after || before;
+    scopeIds(doc).forEach(scopeId => {
+      const inc = this.fields(scopeId, scopeSeed(scopeId, doc));
+      if (before && !before.deleted) contribution(before, -1, inc);
+      if (after && !after.deleted) contribution(after, 1, inc);
+    });
+  }
+
+  // Daily activity counter (created / accessed) for both scopes of a document
+  addActivity(doc, field, timestamp) {
+    const date = dayKey(timestamp);
+    scopeIds(doc).forEach(scopeId => {
+      addDelta(this.fields(`daily:${scopeId}:${date}`, { ...scopeSeed(scopeId, doc), date }), field, 1);
+    });
+  }
+}
+
+class MemoryStatisticsService {
+  constructor() {
+    this.collection = null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.collection = await storage.getCollection(STATISTICS_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  async applyBatch(batch) {
+    const now = new Date().toISOString();
+    for (const [id, { inc, seed }] of batch.entries) {
+      if (Object.keys(inc).length === 0) continue;
+      await this.collection.updateOne(
+        { _id: id },
+        { $inc: inc, $set: { updated_at: now }, $setOnInsert: seed },
+        { upsert: true }
+      );
+    }
+  }
+
+  // Apply a single write. `before`/`after` are stored documents (null for create/delete).
+  async recordChange(before, after, options = {}) {
+    return this.recordChanges([{ before, after, ...options }]);
+  }
+
+  // Apply several writes with one $inc per statistics document
+  async recordChanges(changes) {
+    try {
+      await this.initialize();
+
+      const now = new Date().toISOString();
+      const batch = new IncrementBatch();
+      changes.forEach(({ before = null, after = null, accessed = false }) => {
+        const doc = after || before;
+        if (!doc) return;
+
+        batch.addChange({ before, after });
+        if (!before && after) batch.addActivity(doc, 'created', now);
+        if (accessed) batch.addActivity(doc, 'accessed', now);
+      });
+
+      await this.applyBatch(batch);
+    } catch (error) {
+      // Statistics must never fail the write they describe; a rebuild repairs drift
+      console.error('❌ Failed to update memory statistics:', error.message);
+    }
+  }
+
+  // Created/accessed counts over the last 7 and 30 days for a scope
+  async getActivity(scopeId, now = Date.now()) {
+    const days = Array.from({ length: ACTIVITY_WINDOW_DAYS }, (_, i) => dayKey(now - i * MS_PER_DAY));
+    const recentDays = new Set(days.slice(0, 7));
+
+    const activity = { created_7_days: 0, created_30_days: 0, accessed_7_days: 0, accessed_30_days: 0 };
+    const cursor = this.collection.find({ _id: { $in: days.map(day => `daily:${scopeId}:${day}`) } });
+    for await (const doc of cursor) {
+      activity.created_30_days += doc.created || 0;
+      activity.accessed_30_days += doc.accessed || 0;
+      if (recentDays.has(doc.date)) {
+        activity.created_7_days += doc.created || 0;
+        activity.accessed_7_days += doc.accessed || 0;
+      }
+    }
+    return activity;
+  }
+
+  formatStatistics(aggregate, activity) {
+    const total = aggregate.total_memories || 0;
+    const sums = aggregate.sums || {};
+    const average = (field) => (total > 0 ? (sums[field] || 0) / total : 0);
+
+    return {
+      total_memories: total,
+      archived_memories: aggregate.archived_memories || 0,
+      recent_memories_7_days: activity.created_7_days,
+      recent_memories_30_days: activity.created_30_days,
+      memory_type_distribution: Object.fromEntries(
+        Object.entries(aggregate.memory_types || {}).filter(([, count]) => count > 0)
+      ),
+      score_statistics: {
+        avg_importance_score: average('importance_score'),
+        avg_emotional_significance: average('emotional_significance'),
+        avg_temporal_relevance: average('temporal_relevance'),
+        avg_access_frequency: average('access_frequency')
+      },
+      activity,
+      statistics_updated_at: aggregate.updated_at || null
+    };
+  }
+
+  async getGlobalStatistics() {
+    try {
+      await this.initialize();
+
+      const aggregate = (await this.collection.findOne({ _id: 'global' })) || {};
+      return this.formatStatistics(aggregate, await this.getActivity('global'));
+    } catch (error) {
+      throw new Error(`Failed to get statistics: ${error.message}`);
+    }
+  }
+
+  // Per-user statistics, with score histograms and the access distribution
+  async getUserStatistics(userId) {
+    try {
+      await this.initialize();
+
+      const scopeId = `user:${userId}`;
+      const aggregate = (await this.collection.findOne({ _id: scopeId })) || {};
+      const histograms = aggregate.histograms || {};
+      const accessDistribution = aggregate.access_distribution || {};
+
+      return {
+        user_id: userId,
+        ...this.formatStatistics(aggregate, await this.getActivity(scopeId)),
+        score_histograms: Object.fromEntries(SCORE_FIELDS.map(field => [field, toHistogram(histograms[field])])),
+        access_distribution: ACCESS_BUCKETS.map(bucket => ({
+          range: bucket.label,
+          count: accessDistribution[bucket.key] || 0
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Failed to get user statistics: ${error.message}`);
+    }
+  }
+
+  // Delete a user's aggregate and daily activity documents
+  async purgeUser(userId) {
+    try {
+      await this.initialize();
+
+      const { deletedCount } = await this.collection.deleteMany({ user_id: userId });
+      return deletedCount;
+    } catch (error) {
+      throw new Error(`Failed to purge user statistics: ${error.message}`);
+    }
+  }
+
+  // Recompute every statistics document from the memory collection (full scan).
+  // Daily activity is approximated from created_at and last_accessed.
+  async rebuild(memoryCollection) {
+    try {
+      await this.initialize();
+
+      const batch = new IncrementBatch();
+      let scanned = 0;
+      for await (const doc of memoryCollection.find({}, { projection: { $vector: 0 } })) {
+        scanned++;
+        batch.addChange({ before: null, after: doc });
+        if (doc.created_at) batch.addActivity(doc, 'created', doc.created_at);
+        if (doc.access_frequency > 0 && doc.last_accessed) batch.addActivity(doc, 'accessed', doc.last_accessed);
+      }
+
+      await this.collection.deleteMany({});
+      await this.applyBatch(batch);
+
+      return { scanned_count: scanned, statistics_documents: batch.entries.size, rebuilt_at: new Date().toISOString() };
+    } catch (error) {
+      throw new Error(`Failed to rebuild statistics: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const memoryStatisticsService = new MemoryStatisticsService();
+module.exports = memoryStatisticsService;
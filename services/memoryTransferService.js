@@ -0,0 +1,233 @@
+const { StringDecoder } = require('string_decoder');
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryStatisticsService = require('./memoryStatisticsService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { memoryImportSchema, spaceContext } = require('../middleware/validation');
+const { triggerKeys } = require('../utils/textAnalysis');
+
+// NDJSON export and import of memories.
+//
+// An export line is the API representation of a memory (including feature_vector and
+// timestamps) plus its lifecycle fields and its forward relationship edges, so a dump
+// can be imported into another database with IDs, timestamps and typed edges intact.
+// Exports are in plaintext; imported memories are encrypted like any other write.
+
+// Memories whose relationship edges are fetched together while exporting
+const EXPORT_PAGE_SIZE = 100;
+
+// A vector of up to MAX_VECTOR_DIMENSIONS numbers and a 5000-character summary fit
+// comfortably within this
+const MAX_IMPORT_LINE_LENGTH = 1024 * 1024;
+
+// Cap on the number of failed lines listed in an import report
+const MAX_REPORTED_ERRORS = 1000;
+
+// Number of imported memories whose statistics changes are written together
+const STATISTICS_FLUSH_SIZE = 500;
+
+const toExportLine = (doc, edges) => ({
+  ...memoryEmbeddingService.formatMemoryEmbedding(doc),
+  ...(doc.archived && { archived: true, archived_at: doc.archived_at }),
+  ...(doc.deleted && { deleted: true, deleted_at: doc.deleted_at }),
+  ...(doc.decay_baseline !== undefined && { decay_baseline: doc.decay_baseline }),
+  relationship_edges: edges.map(({ source_id, ...edge }) => edge)
+});
+
+// Stored document for a validated import line; relationships are restored afterwards,
+// once every memory they may point to has been imported
+const toStoredDocument = (line, now) => ({
+  _id: line.id,
+  user_id: line.user_id,
+  memory_type: line.memory_type,
+  content_summary: line.content_summary,
+  original_entry_id: line.original_entry_id,
+  importance_score: line.importance_score,
+  emotional_significance: line.emotional_significance,
+  temporal_relevance: line.temporal_relevance,
+  access_frequency: line.access_frequency || 0,
+  last_accessed: line.last_accessed || now,
+  created_at: line.created_at || now,
+  $vector: line.feature_vector,
+  gate_scores: line.gate_scores,
+  relationships: [],
+  context_needed: line.context_needed || {},
+  retrieval_triggers: line.retrieval_triggers || [],
+  trigger_keys: triggerKeys(line.retrieval_triggers),
+  ...(line.archived && { archived: true, archived_at: line.archived_at || now }),
+  ...(line.deleted && { deleted: true, deleted_at: line.deleted_at || now }),
+  ...(line.decay_baseline !== undefined && { decay_baseline: line.decay_baseline }),
+  ...(line.consolidated_into && { consolidated_into: line.consolidated_into }),
+  ...(line.consolidated_from && { consolidated_from: line.consolidated_from }),
+  // Version history is not exported, so an imported memory starts a new history
+  version: 1,
+  updated_at: line.updated_at || now
+});
+
+// Split a text stream into lines. A line longer than MAX_IMPORT_LINE_LENGTH is dropped
+// without buffering it whole and yielded as null so it can be reported.
+async function* splitLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let oversized = false;
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield oversized ? null : buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      oversized = false;
+    }
+
+    if (buffer.length > MAX_IMPORT_LINE_LENGTH) {
+      buffer = '';
+      oversized = true;
+    }
+  }
+
+  buffer += decoder.end();
+  if (oversized) {
+    yield null;
+  } else if (buffer) {
+    yield buffer;
+  }
+}
+
+class MemoryTransferService {
+  async exportPage(docs) {
+    const edges = await memoryRelationshipService.getForwardEdges(docs.map(doc => doc._id));
+    const decrypted = await fieldEncryptionService.decryptDocuments(docs);
+    return decrypted.map(doc => toExportLine(doc, edges.get(doc._id) || []));
+  }
+
+  // Yield one export line object per memory of the user, archived and trashed memories included
+  async *exportUserMemories(userId) {
+    const collection = await memoryEmbeddingService.initialize();
+
+    let page = [];
+    for await (const doc of collection.find({ user_id: userId })) {
+      page.push(doc);
+      if (page.length >= EXPORT_PAGE_SIZE) {
+        yield* await this.exportPage(page);
+        page = [];
+      }
+    }
+    if (page.length > 0) {
+      yield* await this.exportPage(page);
+    }
+  }
+
+  // Import an NDJSON stream. Every line is validated on its own; invalid lines, existing
+  // IDs and (for user-bound callers) lines for other users are reported with their line
+  // number and skipped.
+  async importMemories(stream, options = {}) {
+    const { user_id: scopeUserId } = options;
+
+    try {
+      const collection = await memoryEmbeddingService.initialize();
+      const now = new Date().toISOString();
+
+      const report = {
+        line_count: 0,
+        imported_count: 0,
+        error_count: 0,
+        restored_edge_count: 0,
+        errors: [],
+        errors_truncated: false
+      };
+
+      const fail = (line, id, messages) => {
+        report.error_count++;
+        if (report.errors.length < MAX_REPORTED_ERRORS) {
+          report.errors.push({ line, id: id || null, errors: messages });
+        } else {
+          report.errors_truncated = true;
+        }
+      };
+
+      const statisticsChanges = [];
+      const pendingLinks = [];
+      let lineNumber = 0;
+
+      for await (const raw of splitLines(stream)) {
+        lineNumber++;
+        if (raw === null) {
+          report.line_count++;
+          fail(lineNumber, null, [`Line exceeds ${MAX_IMPORT_LINE_LENGTH} characters`]);
+          continue;
+        }
+
+        const text = raw.trim();
+        if (!text) continue;
+        report.line_count++;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(text);
+        } catch (error) {
+          fail(lineNumber, null, [`Invalid JSON: ${error.message}`]);
+          continue;
+        }
+
+        const { error, value } = memoryImportSchema.validate(parsed, { abortEarly: false, context: spaceContext() });
+        if (error) {
+          fail(lineNumber, parsed && parsed.id, error.details.map(detail => detail.message));
+          continue;
+        }
+
+        if (scopeUserId && value.user_id !== scopeUserId) {
+          fail(lineNumber, value.id, ['Access denied to this user\'s memories']);
+          continue;
+        }
+
+        const document = toStoredDocument(value, now);
+        try {
+          await collection.insertOne(await fieldEncryptionService.encryptFields(document.user_id, document));
+        } catch (insertError) {
+          fail(lineNumber, value.id, [`Insert failed: ${insertError.message}`]);
+          continue;
+        }
+
+        report.imported_count++;
+        statisticsChanges.push({ after: document });
+        if (statisticsChanges.length >= STATISTICS_FLUSH_SIZE) {
+          await memoryStatisticsService.recordChanges(statisticsChanges.splice(0));
+        }
+
+        if (value.relationship_edges ? value.relationship_edges.length > 0 : value.relationships.length > 0) {
+          pendingLinks.push({
+            id: document._id,
+            user_id: document.user_id,
+            edges: value.relationship_edges,
+            relationships: value.relationships
+          });
+        }
+      }
+
+      await memoryStatisticsService.recordChanges(statisticsChanges);
+
+      // Exported lines carry typed edges; hand-written lines may only list neighbour IDs
+      for (const pending of pendingLinks) {
+        if (pending.edges) {
+          report.restored_edge_count += await memoryRelationshipService.restoreEdges(pending.id, pending.user_id, pending.edges);
+        } else {
+          const linked = await memoryRelationshipService.linkMemory(pending.id, pending.user_id, pending.relationships);
+          report.restored_edge_count += linked.length;
+        }
+      }
+
+      return report;
+    } catch (error) {
+      const wrapped = new Error(`Failed to import memories: ${error.message}`);
+      // Corrupt gzip input is a client error
+      if (error.code && error.code.startsWith('Z_')) wrapped.statusCode = 400;
+      throw wrapped;
+    }
+  }
+}
+
+// Export singleton instance
+const memoryTransferService = new MemoryTransferService();
+module.exports = memoryTransferService;
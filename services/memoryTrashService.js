@@ -0,0 +1,211 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const memoryVersionService = require('./memoryVersionService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { listSpaces } = require('../config/embeddingSpaces');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/pagination');
+
+// Trash for soft-deleted memories.
+//
+// DELETE /:id marks a memory `deleted` (see MemoryEmbeddingService.deleteMemoryEmbedding);
+// it then drops out of queries, searches and statistics but keeps its relationships.
+// From the trash it can be restored, or it is hard-deleted by the purge job once it has
+// been there longer than the retention period. Each embedding space has its own trash;
+// the purge job covers all of them.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 0;
+
+// Cap on the number of purged memories listed in a report
+const MAX_REPORTED_MEMORIES = 1000;
+
+const purgeAfter = (deletedAt, retentionDays = TRASH_RETENTION_DAYS) => {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * MS_PER_DAY).toISOString();
+};
+
+class MemoryTrashService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  // Trashed memories of a user, most recently deleted first (cursor pagination)
+  async listTrash(userId, options = {}) {
+    try {
+      const collection = await memoryEmbeddingService.forSpace(options.space).initialize();
+      const { limit = 20, cursor } = options;
+
+      let query = { user_id: userId, deleted: true };
+      if (cursor) {
+        query = { $and: [query, cursorFilter(decodeCursor(cursor, 'deleted_at', 'desc'))] };
+      }
+
+      const docs = [];
+      const findOptions = { sort: { deleted_at: -1, _id: -1 }, limit: limit + 1, projection: { $vector: 0 } };
+      for await (const doc of collection.find(query, findOptions)) {
+        docs.push(doc);
+      }
+
+      const hasNext = docs.length > limit;
+      const page = docs.slice(0, limit);
+      const decrypted = await fieldEncryptionService.decryptDocuments(page);
+
+      return {
+        results: decrypted.map(doc => ({
+          ...memoryEmbeddingService.formatMemoryEmbedding(doc),
+          deleted_at: doc.deleted_at,
+          purge_after: purgeAfter(doc.deleted_at)
+        })),
+        pagination: {
+          limit,
+          has_next: hasNext,
+          next_cursor: hasNext ? encodeCursor(page[page.length - 1], 'deleted_at', 'desc') : null
+        },
+        retention_days: TRASH_RETENTION_DAYS
+      };
+    } catch (error) {
+      throw new Error(`Failed to list trash: ${error.message}`);
+    }
+  }
+
+  // Move a memory out of the trash
+  async restoreMemory(id, scope = {}, options = {}) {
+    try {
+      const service = memoryEmbeddingService.forSpace(options.space);
+      const collection = await service.initialize();
+
+      const filter = { _id: id, deleted: true };
+      if (scope.user_id) filter.user_id = scope.user_id;
+
+      const restoredAt = new Date().toISOString();
+      const before = await collection.findOneAndUpdate(
+        filter,
+        { $unset: { deleted: '', deleted_at: '' }, $set: { updated_at: restoredAt } },
+        { returnDocument: 'before' }
+      );
+
+      if (!before) {
+        throw new Error('Memory embedding not found in trash');
+      }
+
+      const { deleted, deleted_at, ...after } = { ...before, updated_at: restoredAt };
+      await service.recordStatistics(before, after);
+
+      const restored = await fieldEncryptionService.decryptDocument(after);
+      return { ...memoryEmbeddingService.formatMemoryEmbedding(restored), restored_at: restoredAt };
+    } catch (error) {
+      throw new Error(`Failed to restore memory embedding: ${error.message}`);
+    }
+  }
+
+  // Hard-delete memories that have been in the trash longer than the retention period
+  async runPurge(options = {}) {
+    const { dry_run = false, user_id, retention_days = TRASH_RETENTION_DAYS } = options;
+
+    if (this.running) {
+      throw new Error('Trash purge already in progress');
+    }
+
+    this.running = true;
+    try {
+      const startedAt = new Date();
+      const cutoff = new Date(startedAt.getTime() - retention_days * MS_PER_DAY).toISOString();
+
+      const query = { deleted: true, deleted_at: { $lte: cutoff } };
+      if (user_id) query.user_id = user_id;
+
+      const report = {
+        dry_run,
+        user_id: user_id || null,
+        retention_days,
+        cutoff,
+        started_at: startedAt.toISOString(),
+        finished_at: null,
+        purged_count: 0,
+        removed_relationship_edges: 0,
+        removed_versions: 0,
+        purged: []
+      };
+
+      for (const space of listSpaces()) {
+        const collection = await memoryEmbeddingService.forSpace(space.name).initialize();
+
+        for await (const doc of collection.find(query, { projection: { $vector: 0 } })) {
+          report.purged_count++;
+          if (report.purged.length < MAX_REPORTED_MEMORIES) {
+            report.purged.push({ id: doc._id, user_id: doc.user_id, space: space.name, deleted_at: doc.deleted_at });
+          }
+
+          if (dry_run) {
+            continue;
+          }
+
+          // Trashed memories are already excluded from statistics, so nothing to record
+          await collection.deleteOne({ _id: doc._id });
+          if (space.default) {
+            const { removed_edges } = await memoryRelationshipService.removeAllForMemory(doc._id, doc.user_id);
+            report.removed_relationship_edges += removed_edges;
+          }
+          report.removed_versions += await memoryVersionService.removeForMemories([doc._id]);
+        }
+      }
+
+      report.finished_at = new Date().toISOString();
+      if (!dry_run) {
+        this.lastReport = report;
+      }
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to purge trash: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Schedule periodic purges (TRASH_PURGE_INTERVAL_MS, disabled when 0)
+  start(intervalMs = TRASH_PURGE_INTERVAL_MS) {
+    if (this.timer || !intervalMs) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runPurge().catch(error => {
+        console.error('❌ Scheduled trash purge failed:', error.message);
+      });
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🗑️  Trash purge scheduled every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Drop a user's memories from the retained purge report
+  forgetUser(userId) {
+    if (this.lastReport) {
+      this.lastReport.purged = this.lastReport.purged.filter(entry => entry.user_id !== userId);
+    }
+  }
+
+  getStatus() {
+    return {
+      scheduled: Boolean(this.timer),
+      interval_ms: TRASH_PURGE_INTERVAL_MS,
+      running: this.running,
+      retention_days: TRASH_RETENTION_DAYS,
+      last_report: this.lastReport
+    };
+  }
+}
+
+// Export singleton instance
+const memoryTrashService = new MemoryTrashService();
+module.exports = memoryTrashService;
@@ -0,0 +1,229 @@
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { listSpaces } = require('../config/embeddingSpaces');
+const { triggerKey, triggerKeys } = require('../utils/textAnalysis');
+const { versionFilter } = require('../utils/etag');
+
+// Keyword index over retrieval_triggers.
+//
+// Every memory stores `trigger_keys`, its retrieval_triggers normalised by
+// utils/textAnalysis (lowercased, diacritics removed, stemmed), so "Panic attacks" and
+// "panic attack" are one trigger. Trigger recall looks memories up by those keys and
+// needs no embedding; the per-user trigger listing aggregates frequencies and
+// co-occurrence from the stored triggers. Memories written before trigger_keys existed
+// are picked up by listing but only found by recall after POST /triggers/reindex.
+
+// Cap on the memories scanned for a user's trigger listing
+const TRIGGER_MAX_MEMORIES = parseInt(process.env.TRIGGER_MAX_MEMORIES) || 10000;
+
+// Candidates fetched (most important first) for trigger recall
+const MAX_RECALL_CANDIDATES = 1000;
+
+// Triggers of a memory considered for co-occurrence pairs
+const MAX_CO_OCCURRENCE_TRIGGERS = 50;
+
+// Strongest co-occurring triggers listed per trigger
+const CO_OCCURS_WITH_LIMIT = 5;
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+const byCountThenName = (a, b) => b.count - a.count || (a.trigger || a.text).localeCompare(b.trigger || b.text);
+
+class MemoryTriggerService {
+  // A user's triggers with how many memories use them, the spellings seen and which
+  // triggers they appear together with
+  async getUserTriggers(userId, options = {}) {
+    try {
+      const { limit = 50, min_count = 1, memory_type } = options;
+      const collection = await memoryEmbeddingService.forSpace(options.space).initialize();
+
+      const query = { user_id: userId, archived: { $ne: true }, deleted: { $ne: true } };
+      if (memory_type) query.memory_type = memory_type;
+
+      const triggers = new Map();
+      const pairs = new Map();
+      let scanned = 0;
+
+      const cursor = collection.find(query, {
+        limit: TRIGGER_MAX_MEMORIES,
+        projection: { retrieval_triggers: 1, created_at: 1 }
+      });
+      for await (const doc of cursor) {
+        scanned++;
+
+        const keys = new Map();
+        (doc.retrieval_triggers || []).forEach(text => {
+          const key = triggerKey(text);
+          if (!key) return;
+          if (!keys.has(key)) keys.set(key, new Set());
+          keys.get(key).add(text.trim());
+        });
+
+        keys.forEach((texts, key) => {
+          if (!triggers.has(key)) {
+            triggers.set(key, { count: 0, variants: new Map(), last_seen: null });
+          }
+          const entry = triggers.get(key);
+          entry.count++;
+          texts.forEach(text => entry.variants.set(text, (entry.variants.get(text) || 0) + 1));
+          if (!entry.last_seen || doc.created_at > entry.last_seen) entry.last_seen = doc.created_at;
+        });
+
+        const memoryKeys = Array.from(keys.keys()).slice(0, MAX_CO_OCCURRENCE_TRIGGERS);
+        memoryKeys.forEach((a, i) => {
+          memoryKeys.slice(i + 1).forEach(b => {
+            const key = pairKey(a, b);
+            pairs.set(key, (pairs.get(key) || 0) + 1);
+          });
+        });
+      }
+
+      const listed = Array.from(triggers.entries())
+        .map(([trigger, entry]) => ({ trigger, count: entry.count }))
+        .filter(entry => entry.count >= min_count)
+        .sort(byCountThenName)
+        .slice(0, limit);
+      const listedKeys = new Set(listed.map(entry => entry.trigger));
+
+      const coOccurrence = Array.from(pairs.entries())
+        .map(([key, count]) => {
+          const [a, b] = key.split('\u0000');
+          const union = triggers.get(a).count + triggers.get(b).count - count;
+          return { triggers: [a, b], count, jaccard: count / union };
+        })
+        .filter(pair => pair.count >= min_count && listedKeys.has(pair.triggers[0]) && listedKeys.has(pair.triggers[1]))
+        .sort((x, y) => y.count - x.count || y.jaccard - x.jaccard);
+
+      return {
+        user_id: userId,
+        memory_count: scanned,
+        scan_truncated: scanned >= TRIGGER_MAX_MEMORIES,
+        trigger_count: triggers.size,
+        triggers: listed.map(({ trigger, count }) => {
+          const entry = triggers.get(trigger);
+          return {
+            trigger,
+            memory_count: count,
+            share: count / scanned,
+            last_seen: entry.last_seen,
+            variants: Array.from(entry.variants.entries())
+              .map(([text, variantCount]) => ({ text, count: variantCount }))
+              .sort(byCountThenName),
+            co_occurs_with: coOccurrence
+              .filter(pair => pair.triggers.includes(trigger))
+              .slice(0, CO_OCCURS_WITH_LIMIT)
+              .map(pair => ({ trigger: pair.triggers.find(other => other !== trigger), count: pair.count }))
+          };
+        }),
+        co_occurrence: coOccurrence.slice(0, limit)
+      };
+    } catch (error) {
+      throw new Error(`Failed to list triggers: ${error.message}`);
+    }
+  }
+
+  // Memories of a user ranked by how many of the given triggers they match, then by
+  // importance and recency
+  async recallByTriggers(options = {}) {
+    try {
+      const { user_id, triggers, memory_type, min_matches = 1, limit = 10 } = options;
+
+      const keys = triggerKeys(triggers);
+      if (keys.length === 0) {
+        const error = new Error('Invalid triggers: none is left after normalisation (stop words only)');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const collection = await memoryEmbeddingService.forSpace(options.space).initialize();
+      const query = {
+        user_id,
+        archived: { $ne: true },
+        deleted: { $ne: true },
+        trigger_keys: { $in: keys }
+      };
+      if (memory_type) query.memory_type = memory_type;
+
+      const candidates = [];
+      const cursor = collection.find(query, {
+        sort: { importance_score: -1 },
+        limit: MAX_RECALL_CANDIDATES,
+        projection: { $vector: 0 }
+      });
+      for await (const doc of cursor) {
+        candidates.push(doc);
+      }
+
+      const wanted = new Set(keys);
+      const matches = candidates
+        .map(doc => {
+          const matched = (doc.trigger_keys || []).filter(key => wanted.has(key));
+          return { doc, matched };
+        })
+        .filter(({ matched }) => matched.length >= min_matches)
+        .sort((a, b) => b.matched.length - a.matched.length
+          || (b.doc.importance_score || 0) - (a.doc.importance_score || 0)
+          || String(b.doc.created_at).localeCompare(String(a.doc.created_at)))
+        .slice(0, limit);
+
+      const results = [];
+      for (const { doc, matched } of matches) {
+        const memory = await fieldEncryptionService.decryptDocument(doc);
+        results.push({
+          ...memoryEmbeddingService.formatMemoryEmbedding(memory),
+          matched_triggers: (doc.retrieval_triggers || []).filter(text => matched.includes(triggerKey(text))),
+          match_count: matched.length,
+          match_ratio: matched.length / keys.length
+        });
+      }
+
+      return {
+        user_id,
+        triggers,
+        normalized_triggers: keys,
+        candidates_considered: candidates.length,
+        candidates_truncated: candidates.length >= MAX_RECALL_CANDIDATES,
+        results_count: results.length,
+        results
+      };
+    } catch (error) {
+      const wrapped = new Error(`Failed to recall memories by triggers: ${error.message}`);
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  // Recompute trigger_keys of every memory (all embedding spaces), e.g. for memories
+  // stored before the index existed or after the normalisation changed
+  async reindex() {
+    try {
+      const report = { scanned_count: 0, updated_count: 0 };
+
+      for (const space of listSpaces()) {
+        const collection = await memoryEmbeddingService.forSpace(space.name).initialize();
+        const cursor = collection.find({}, { projection: { retrieval_triggers: 1, trigger_keys: 1, version: 1 } });
+
+        for await (const doc of cursor) {
+          report.scanned_count++;
+          const keys = triggerKeys(doc.retrieval_triggers);
+          if (JSON.stringify(keys) === JSON.stringify(doc.trigger_keys)) continue;
+
+          // A memory whose triggers changed meanwhile was indexed by that update
+          const { modifiedCount } = await collection.updateOne(
+            { _id: doc._id, version: versionFilter(doc) },
+            { $set: { trigger_keys: keys } }
+          );
+          report.updated_count += modifiedCount;
+        }
+      }
+
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to reindex triggers: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const memoryTriggerService = new MemoryTriggerService();
+module.exports = memoryTriggerService;
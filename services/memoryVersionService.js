@@ -0,0 +1,185 @@
+const storage = require('../config/storage');
+const fieldEncryptionService = require('./fieldEncryptionService');
+
+// Version history for memory updates.
+//
+// Every stored memory carries a `version` (1 on create). When an update changes it, the
+// values it replaced are written to the memory_versions collection as one document per
+// replaced version: which fields changed, their previous values, who made the change
+// and when. Reverting to version N replays those previous values from the newest
+// record back to N and applies the result as a new update, so history is never
+// rewritten.
+//
+// Callers pass decrypted documents; replaced values of the encrypted fields are
+// encrypted again before they are written (see services/fieldEncryptionService.js).
+
+const VERSIONS_COLLECTION = 'memory_versions';
+
+// Stored fields tracked by history, by API name; feature_vector is stored as $vector.
+// relationships is not one of them: it mirrors the relationship graph, whose edges
+// change without an update to the memory (see services/memoryRelationshipService.js).
+const VERSIONED_FIELDS = [
+  'content_summary',
+  'importance_score',
+  'emotional_significance',
+  'temporal_relevance',
+  'decay_baseline',
+  'access_frequency',
+  'gate_scores',
+  'context_needed',
+  'retrieval_triggers',
+  'feature_vector'
+];
+
+const storedField = (field) => (field === 'feature_vector' ? '$vector' : field);
+
+// The Data API accepts at most 100 values in an $in filter
+const IN_FILTER_CHUNK_SIZE = 100;
+
+const versionId = (memoryId, version) => `${memoryId}:${version}`;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields (API names) whose value differs between two stored documents
+const changedFields = (before, after) => {
+  return VERSIONED_FIELDS.filter(field => !sameValue(before[storedField(field)], after[storedField(field)]));
+};
+
+const formatVersion = (doc, includeVectors) => {
+  const previousValues = { ...doc.previous_values };
+  if (!includeVectors && 'feature_vector' in previousValues) {
+    previousValues.feature_vector = `[${(previousValues.feature_vector || []).length}-d vector]`;
+  }
+
+  return {
+    version: doc.version,
+    replaced_by_version: doc.version + 1,
+    action: doc.action,
+    ...(doc.reverted_to !== undefined && { reverted_to: doc.reverted_to }),
+    changed_fields: doc.changed_fields,
+    previous_values: previousValues,
+    actor: doc.actor,
+    changed_at: doc.changed_at
+  };
+};
+
+class MemoryVersionService {
+  constructor() {
+    this.collection = null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.collection = await storage.getCollection(VERSIONS_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  // Record the version an update replaced. Missing fields are stored as null so a
+  // revert knows to remove them again. An update that changed nothing still bumped the
+  // version, so it is recorded too (with no changed fields) to keep the history gapless.
+  async recordVersion(before, after, options = {}) {
+    await this.initialize();
+
+    const fields = changedFields(before, after);
+
+    const version = before.version || 1;
+    const doc = {
+      _id: versionId(before._id, version),
+      memory_id: before._id,
+      user_id: before.user_id,
+      version,
+      action: options.action || 'update',
+      ...(options.reverted_to !== undefined && { reverted_to: options.reverted_to }),
+      changed_fields: fields,
+      previous_values: await fieldEncryptionService.encryptFields(before.user_id, Object.fromEntries(fields.map(field => {
+        const value = before[storedField(field)];
+        return [field, value === undefined ? null : value];
+      }))),
+      actor: {
+        type: options.actor?.type || null,
+        user_id: options.actor?.user_id || null
+      },
+      changed_at: after.updated_at || new Date().toISOString()
+    };
+
+    await this.collection.insertOne(doc);
+    return doc;
+  }
+
+  // Versions of a memory, newest first
+  async getHistory(memory, options = {}) {
+    try {
+      await this.initialize();
+
+      const versions = [];
+      for await (const doc of this.collection.find({ memory_id: memory._id }, { sort: { version: -1 } })) {
+        const previousValues = await fieldEncryptionService.decryptFields(doc.user_id, doc.previous_values);
+        versions.push(formatVersion({ ...doc, previous_values: previousValues }, options.include_vectors));
+      }
+
+      return {
+        memory_id: memory._id,
+        current_version: memory.version || 1,
+        version_count: versions.length,
+        versions
+      };
+    } catch (error) {
+      throw new Error(`Failed to get memory history: ${error.message}`);
+    }
+  }
+
+  // Field values (API names) that take the current memory back to `version`. A null
+  // value means the field did not exist at that version.
+  async getStateAt(memory, version) {
+    await this.initialize();
+
+    const currentVersion = memory.version || 1;
+    if (!Number.isInteger(version) || version < 1 || version >= currentVersion) {
+      throw new Error(`Invalid version: must be between 1 and ${currentVersion - 1}`);
+    }
+
+    const records = [];
+    const cursor = this.collection.find(
+      { memory_id: memory._id, version: { $gte: version } },
+      { sort: { version: -1 } }
+    );
+    for await (const doc of cursor) {
+      records.push(doc);
+    }
+
+    if (!records.some(record => record.version === version)) {
+      throw new Error('Version not found');
+    }
+
+    // Replay newest to oldest so the oldest (target) version's values win
+    const state = {};
+    for (const record of records) {
+      Object.assign(state, await fieldEncryptionService.decryptFields(record.user_id, record.previous_values));
+    }
+    return state;
+  }
+
+  async removeForMemories(memoryIds) {
+    await this.initialize();
+
+    let removed = 0;
+    for (let i = 0; i < memoryIds.length; i += IN_FILTER_CHUNK_SIZE) {
+      const { deletedCount } = await this.collection.deleteMany({ memory_id: { $in: memoryIds.slice(i, i + IN_FILTER_CHUNK_SIZE) } });
+      removed += deletedCount;
+    }
+    return removed;
+  }
+
+  async removeForUser(userId) {
+    await this.initialize();
+
+    const { deletedCount } = await this.collection.deleteMany({ user_id: userId });
+    return deletedCount;
+  }
+}
+
+// Export singleton instance
+const memoryVersionService = new MemoryVersionService();
+module.exports = memoryVersionService;
+module.exports.storedField = storedField;
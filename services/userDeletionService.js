@@ -0,0 +1,247 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../config/storage');
+const memoryEmbeddingService = require('./memoryEmbeddingService');
+const memoryStatisticsService = require('./memoryStatisticsService');
+const memoryRelationshipService = require('./memoryRelationshipService');
+const memoryDecayService = require('./memoryDecayService');
+const memoryTrashService = require('./memoryTrashService');
+const memoryVersionService = require('./memoryVersionService');
+const idempotencyService = require('./idempotencyService');
+const fieldEncryptionService = require('./fieldEncryptionService');
+const { listSpaces } = require('../config/embeddingSpaces');
+const { DELETION_RECEIPT_TYPE } = require('../middleware/auth');
+
+// Right-to-be-forgotten: delete everything stored for a user.
+//
+// A deletion runs as a background job tracked in the user_deletion_jobs collection.
+// Memories are removed from every embedding space in batches; for each batch the
+// relationship edges touching them are dropped, their IDs are scrubbed from other
+// memories' relationships and their contribution is subtracted from the global
+// statistics. Afterwards the user's own aggregates, version history, stored idempotent
+// responses and data encryption keys are purged and a receipt (counts and timestamps)
+// is signed with HS256 so it can be verified later for compliance records. Receipts
+// are signed with their own secret and typed `deletion_receipt`, so a receipt can
+// never pass as a bearer token for the user.
+//
+// With `shred` the user's data keys (and stored responses, which hold plaintext) are
+// destroyed before the job is started, so their encrypted memories and history are
+// unreadable from the moment the request returns rather than once the job finishes.
+
+const DELETION_JOBS_COLLECTION = 'user_deletion_jobs';
+
+// The Data API accepts at most 100 values in an $in filter
+const USER_DELETION_BATCH_SIZE = Math.min(parseInt(process.env.USER_DELETION_BATCH_SIZE) || 100, 100);
+
+// A pending/running job not updated for this long is treated as abandoned (e.g. the
+// instance running it restarted) and no longer blocks a new deletion
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// The receipt secret must differ from JWT_SECRET, which signs access tokens
+const receiptSecret = () => {
+  const secret = process.env.DELETION_RECEIPT_SECRET;
+  return secret && secret !== process.env.JWT_SECRET ? secret : null;
+};
+
+const formatJob = (doc) => ({
+  job_id: doc._id,
+  user_id: doc.user_id,
+  status: doc.status,
+  requested_by: doc.requested_by,
+  requested_at: doc.requested_at,
+  started_at: doc.started_at || null,
+  completed_at: doc.completed_at || null,
+  progress: doc.progress,
+  ...(doc.shredded_at && { shredded_at: doc.shredded_at }),
+  ...(doc.error && { error: doc.error }),
+  ...(doc.receipt && { receipt: doc.receipt, receipt_signature: doc.receipt_signature })
+});
+
+class UserDeletionService {
+  constructor() {
+    this.collection = null;
+  }
+
+  async initialize() {
+    if (!this.collection) {
+      this.collection = await storage.getCollection(DELETION_JOBS_COLLECTION);
+    }
+    return this.collection;
+  }
+
+  // Create a deletion job for a user and start it in the background
+  async startDeletion(userId, requestedBy = {}, options = {}) {
+    try {
+      await this.initialize();
+
+      if (!receiptSecret()) {
+        throw new Error('Deletion receipts require DELETION_RECEIPT_SECRET, distinct from JWT_SECRET');
+      }
+
+      const active = await this.collection.findOne({ user_id: userId, status: { $in: ['pending', 'running'] } });
+      if (active && Date.now() - new Date(active.updated_at).getTime() > STALE_JOB_MS) {
+        await this.updateJob(active._id, { status: 'failed', error: 'Job abandoned' });
+      } else if (active) {
+        const error = new Error('Deletion already in progress for this user');
+        error.job = formatJob(active);
+        throw error;
+      }
+
+      if (options.shred && !fieldEncryptionService.enabled) {
+        const error = new Error('Crypto-shredding requires FIELD_ENCRYPTION_KEYS');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const job = {
+        _id: uuidv4(),
+        user_id: userId,
+        status: 'pending',
+        requested_by: { type: requestedBy.type || null, user_id: requestedBy.user_id || null },
+        requested_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        progress: {
+          deleted_memories: 0,
+          batches: 0,
+          removed_relationship_edges: 0,
+          scrubbed_references: 0,
+          purged_statistics_documents: 0,
+          removed_versions: 0,
+          removed_idempotency_records: 0,
+          destroyed_data_keys: 0
+        }
+      };
+
+      if (options.shred) {
+        job.progress.destroyed_data_keys = await fieldEncryptionService.shredUser(userId);
+        job.progress.removed_idempotency_records = await idempotencyService.removeForUser(userId);
+        job.shredded_at = new Date().toISOString();
+      }
+      await this.collection.insertOne(job);
+
+      // Not awaited: progress and the outcome are recorded on the job document
+      this.runDeletion(job);
+
+      return formatJob(job);
+    } catch (error) {
+      const wrapped = new Error(`Failed to start user deletion: ${error.message}`);
+      wrapped.job = error.job;
+      wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  async updateJob(jobId, fields) {
+    await this.collection.updateOne({ _id: jobId }, { $set: { ...fields, updated_at: new Date().toISOString() } });
+  }
+
+  // Never rejects; a failure is recorded on the job with the progress made so far
+  async runDeletion(job) {
+    const progress = { ...job.progress };
+    const startedAt = new Date().toISOString();
+
+    try {
+      await this.updateJob(job._id, { status: 'running', started_at: startedAt });
+
+      for (const space of listSpaces()) {
+        await this.deleteMemories(job, space, progress);
+      }
+
+      progress.removed_relationship_edges += await memoryRelationshipService.removeAllForUser(job.user_id);
+      progress.purged_statistics_documents = await memoryStatisticsService.purgeUser(job.user_id);
+      progress.removed_versions = await memoryVersionService.removeForUser(job.user_id);
+      progress.removed_idempotency_records += await idempotencyService.removeForUser(job.user_id);
+      progress.destroyed_data_keys += await fieldEncryptionService.shredUser(job.user_id);
+      memoryDecayService.forgetUser(job.user_id);
+      memoryTrashService.forgetUser(job.user_id);
+      memoryRelationshipService.forgetUser(job.user_id);
+
+      const completedAt = new Date().toISOString();
+      const receipt = {
+        typ: DELETION_RECEIPT_TYPE,
+        receipt_id: job._id,
+        user_id: job.user_id,
+        requested_by: job.requested_by,
+        requested_at: job.requested_at,
+        ...(job.shredded_at && { shredded_at: job.shredded_at }),
+        started_at: startedAt,
+        completed_at: completedAt,
+        deleted_memories: progress.deleted_memories,
+        removed_relationship_edges: progress.removed_relationship_edges,
+        scrubbed_references: progress.scrubbed_references,
+        purged_statistics_documents: progress.purged_statistics_documents,
+        removed_versions: progress.removed_versions,
+        removed_idempotency_records: progress.removed_idempotency_records,
+        destroyed_data_keys: progress.destroyed_data_keys
+      };
+
+      await this.updateJob(job._id, {
+        status: 'completed',
+        completed_at: completedAt,
+        progress,
+        receipt,
+        receipt_signature: jwt.sign(receipt, receiptSecret(), { algorithm: 'HS256' })
+      });
+    } catch (error) {
+      console.error(`❌ User deletion job ${job._id} failed:`, error.message);
+      await this.updateJob(job._id, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        progress,
+        error: error.message
+      }).catch(() => {});
+    }
+  }
+
+  // Delete a user's memories from one embedding space. Relationships and statistics
+  // are only kept for the default space.
+  async deleteMemories(job, space, progress) {
+    const memories = await memoryEmbeddingService.forSpace(space.name).initialize();
+
+    // Each pass re-queries from the start, so memories written during the job are
+    // picked up by a later batch
+    for (;;) {
+      const batch = [];
+      const cursor = memories.find({ user_id: job.user_id }, { projection: { $vector: 0 }, limit: USER_DELETION_BATCH_SIZE });
+      for await (const doc of cursor) {
+        batch.push(doc);
+      }
+      if (batch.length === 0) break;
+
+      const ids = batch.map(doc => doc._id);
+      const { deletedCount } = await memories.deleteMany({ _id: { $in: ids } });
+      if (space.default) {
+        const { removed_edges, unlinked_memories } = await memoryRelationshipService.removeAllForMemories(ids, job.user_id);
+        await memoryStatisticsService.recordChanges(batch.map(doc => ({ before: doc, after: null })));
+        progress.removed_relationship_edges += removed_edges;
+        progress.scrubbed_references += unlinked_memories;
+      }
+
+      progress.deleted_memories += deletedCount;
+      progress.batches++;
+      await this.updateJob(job._id, { progress });
+    }
+  }
+
+  // Status, progress and (once completed) the signed receipt of a job
+  async getJob(jobId, userId) {
+    try {
+      await this.initialize();
+
+      const filter = { _id: jobId };
+      if (userId) filter.user_id = userId;
+
+      const job = await this.collection.findOne(filter);
+      if (!job) {
+        throw new Error('Deletion job not found');
+      }
+      return formatJob(job);
+    } catch (error) {
+      throw new Error(`Failed to get deletion job: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+const userDeletionService = new UserDeletionService();
+module.exports = userDeletionService;
@@ -0,0 +1,81 @@
+const { InMemoryCollection, cosineSimilarity } = require('../config/inMemoryDB');
+
+describe('In-memory storage backend', () => {
+  let collection;
+
+  beforeEach(async () => {
+    collection = new InMemoryCollection('memory_embeddings', { vector: { dimension: 3, metric: 'cosine' } });
+    await collection.insertMany([
+      { _id: 'a', user_id: 'u1', memory_type: 'event', importance_score: 0.9, retrieval_triggers: ['exam', 'stress'], $vector: [1, 0, 0] },
+      { _id: 'b', user_id: 'u1', memory_type: 'emotion', importance_score: 0.4, retrieval_triggers: ['family'], $vector: [0, 1, 0] },
+      { _id: 'c', user_id: 'u2', memory_type: 'event', importance_score: 0.6, retrieval_triggers: ['stress'], $vector: [0.9, 0.1, 0] }
+    ]);
+  });
+
+  it('should filter with $gte, $lte and $in operators', async () => {
+    const ranged = await collection.find({ importance_score: { $gte: 0.5, $lte: 0.9 } }).toArray();
+    expect(ranged.map(doc => doc._id).sort()).toEqual(['a', 'c']);
+
+    const triggered = await collection.find({ retrieval_triggers: { $in: ['stress'] } }).toArray();
+    expect(triggered.map(doc => doc._id).sort()).toEqual(['a', 'c']);
+  });
+
+  it('should sort, skip and limit', async () => {
+    const docs = await collection.find({}, { sort: { importance_score: -1 }, skip: 1, limit: 1 }).toArray();
+    expect(docs.map(doc => doc._id)).toEqual(['c']);
+  });
+
+  it('should rank by cosine similarity when sorting on $vector', async () => {
+    const docs = await collection.find({ memory_type: 'event' }, {
+      sort: { $vector: [1, 0, 0] },
+      limit: 2,
+      includeSimilarity: true
+    }).toArray();
+
+    expect(docs.map(doc => doc._id)).toEqual(['a', 'c']);
+    expect(docs[0].$similarity).toBeCloseTo(1);
+    expect(docs[1].$similarity).toBeCloseTo(cosineSimilarity([1, 0, 0], [0.9, 0.1, 0]));
+  });
+
+  it('should rank by the collection\'s vector metric', async () => {
+    const dotCollection = new InMemoryCollection('text', { vector: { dimension: 2, metric: 'dot_product' } });
+    await dotCollection.insertMany([
+      { _id: 'short', $vector: [0.5, 0] },
+      { _id: 'long', $vector: [0.9, 0.3] }
+    ]);
+
+    const docs = await dotCollection.find({}, { sort: { $vector: [1, 0] }, includeSimilarity: true }).toArray();
+
+    expect(docs.map(doc => doc._id)).toEqual(['long', 'short']);
+    expect(docs[0].$similarity).toBeCloseTo((1 + 0.9) / 2);
+  });
+
+  it('should apply $set and $inc in findOneAndUpdate', async () => {
+    const updated = await collection.findOneAndUpdate(
+      { _id: 'b' },
+      { $set: { importance_score: 0.7 }, $inc: { access_frequency: 1 } },
+      { returnDocument: 'after' }
+    );
+
+    expect(updated).toMatchObject({ importance_score: 0.7, access_frequency: 1 });
+    expect(await collection.findOneAndUpdate({ _id: 'missing' }, { $set: { x: 1 } })).toBeNull();
+  });
+
+  it('should delete and count documents', async () => {
+    expect(await collection.deleteOne({ _id: 'a' })).toEqual({ deletedCount: 1 });
+    expect(await collection.deleteOne({ _id: 'a' })).toEqual({ deletedCount: 0 });
+    expect(await collection.countDocuments({ user_id: 'u1' }, 1000)).toBe(1);
+  });
+
+  it('should not leak internal references to callers', async () => {
+    const doc = await collection.findOne({ _id: 'a' });
+    doc.retrieval_triggers.push('mutated');
+
+    const fresh = await collection.findOne({ _id: 'a' });
+    expect(fresh.retrieval_triggers).toEqual(['exam', 'stress']);
+  });
+
+  it('should reject duplicate ids', async () => {
+    await expect(collection.insertOne({ _id: 'a' })).rejects.toThrow('already exists');
+  });
+});
@@ -1,5 +1,13 @@
+const zlib = require('zlib');
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const app = require('../server');
+const memoryDecayService = require('../services/memoryDecayService');
+const memoryVersionService = require('../services/memoryVersionService');
+const memoryEmbeddingService = require('../services/memoryEmbeddingService');
+const fieldEncryptionService = require('../services/fieldEncryptionService');
+const { hashApiKey } = require('../middleware/auth');
+const { maximalMarginalRelevance, similarityFor } = require('../utils/vectorMath');
 
 describe('Memory Embedding API', () => {
   const apiKey = process.env.API_KEY || 'test-api-key';
@@ -30,11 +38,6 @@ describe('Memory Embedding API', () => {
     retrieval_triggers: ['anxiety', 'exam', 'stress', 'coping', 'meditation']
   };
 
-  beforeAll(async () => {
-    // Wait for database connection
-    await new Promise(resolve => setTimeout(resolve, 2000));
-  });
-
   describe('Health Check', () => {
     it('should return health status', async () => {
       const response = await request(app)
@@ -65,6 +68,113 @@ describe('Memory Embedding API', () => {
     });
   });
 
+  describe('Per-user Authorization', () => {
+    const ownerId = '550e8400-e29b-41d4-a716-446655440400';
+    const otherUserId = '550e8400-e29b-41d4-a716-446655440401';
+    const ownerToken = jwt.sign({ user_id: ownerId }, process.env.JWT_SECRET);
+    let ownedMemoryId;
+    let otherMemoryId;
+
+    beforeAll(async () => {
+      const owned = await request(app)
+        .post('/api/memory-embeddings')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...sampleMemory, user_id: ownerId });
+      ownedMemoryId = owned.body.data.id;
+
+      const other = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: otherUserId });
+      otherMemoryId = other.body.data.id;
+    });
+
+    it('should reject an invalid API key', async () => {
+      const response = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('X-API-Key', 'not-the-key');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should reject an invalid bearer token', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${ownedMemoryId}`)
+        .set('Authorization', `Bearer ${jwt.sign({ user_id: ownerId }, 'wrong-secret')}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toHaveProperty('error', 'Invalid token');
+    });
+
+    it('should let a bound caller read its own memory but not another user\'s', async () => {
+      const own = await request(app)
+        .get(`/api/memory-embeddings/${ownedMemoryId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(own.status).toBe(200);
+
+      const foreign = await request(app)
+        .get(`/api/memory-embeddings/${otherMemoryId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(foreign.status).toBe(404);
+
+      const foreignUpdate = await request(app)
+        .put(`/api/memory-embeddings/${otherMemoryId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ importance_score: 0.1 });
+      expect(foreignUpdate.status).toBe(404);
+    });
+
+    it('should forbid user routes and creates for other users', async () => {
+      const listing = await request(app)
+        .get(`/api/memory-embeddings/user/${otherUserId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(listing.status).toBe(403);
+
+      const create = await request(app)
+        .post('/api/memory-embeddings')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ ...sampleMemory, user_id: otherUserId });
+      expect(create.status).toBe(403);
+    });
+
+    it('should scope similarity search to the bound user', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ feature_vector: sampleMemory.feature_vector, limit: 50 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.length).toBeGreaterThan(0);
+      response.body.data.results.forEach(result => expect(result.user_id).toBe(ownerId));
+    });
+
+    it('should bind hashed API keys to their user', async () => {
+      process.env.API_KEY_HASHES = `${hashApiKey('owner-key')}:${ownerId}`;
+      try {
+        const own = await request(app)
+          .get(`/api/memory-embeddings/user/${ownerId}`)
+          .set('X-API-Key', 'owner-key');
+        expect(own.status).toBe(200);
+
+        const foreign = await request(app)
+          .get(`/api/memory-embeddings/user/${otherUserId}`)
+          .set('X-API-Key', 'owner-key');
+        expect(foreign.status).toBe(403);
+      } finally {
+        delete process.env.API_KEY_HASHES;
+      }
+    });
+
+    it('should restrict collection statistics to admin callers', async () => {
+      const response = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('Memory Embeddings CRUD', () => {
     let createdMemoryId;
 
@@ -186,6 +296,225 @@ describe('Memory Embedding API', () => {
     });
   });
 
+  describe('Hybrid Retrieval', () => {
+    const retrievalUserId = '550e8400-e29b-41d4-a716-446655440200';
+    const queryVector = new Array(90).fill(0).map((_, i) => (i % 2 === 0 ? 1 : -1));
+
+    beforeAll(async () => {
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: retrievalUserId, feature_vector: queryVector });
+
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({
+          ...sampleMemory,
+          user_id: retrievalUserId,
+          content_summary: 'User enjoyed a weekend hike with friends',
+          importance_score: 0.3,
+          emotional_significance: 0.2,
+          feature_vector: queryVector.map(value => -value),
+          retrieval_triggers: ['hiking', 'friends']
+        });
+    });
+
+    it('should rank memories with a per-result score breakdown', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/retrieve')
+        .set('X-API-Key', apiKey)
+        .send({
+          query_text: 'feeling stress before my exam',
+          user_id: retrievalUserId,
+          feature_vector: queryVector,
+          min_relevance_score: 0
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.data.results).toHaveLength(2);
+
+      const [top] = response.body.data.results;
+      expect(top.retrieval_triggers).toContain('exam');
+      expect(top.score_breakdown.similarity).toBeCloseTo(1);
+      expect(top.score_breakdown.keyword).toBeGreaterThan(0);
+      expect(top.relevance_score).toBeGreaterThan(response.body.data.results[1].relevance_score);
+    });
+
+    it('should drop results below min_relevance_score', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/retrieve')
+        .set('X-API-Key', apiKey)
+        .send({
+          query_text: 'exam stress',
+          user_id: retrievalUserId,
+          weights: { keyword: 1, similarity: 0, importance: 0, emotional: 0, temporal: 0, recency: 0, access: 0 },
+          min_relevance_score: 0.5
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.used_vector).toBe(false);
+      expect(response.body.data.results).toHaveLength(1);
+      expect(response.body.data.results[0].score_breakdown.keyword).toBe(1);
+    });
+
+    it('should validate retrieval requests', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/retrieve')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: retrievalUserId });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('success', false);
+    });
+  });
+
+  describe('Memory Decay', () => {
+    const decayUserId = '550e8400-e29b-41d4-a716-446655440300';
+
+    beforeAll(async () => {
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: decayUserId });
+    });
+
+    it('should decay faster with a higher forget score and slower with more accesses', () => {
+      const now = Date.now();
+      const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString();
+      const base = { temporal_relevance: 0.8, last_accessed: thirtyDaysAgo, access_frequency: 0, gate_scores: { forget_score: 0 } };
+
+      const untouched = memoryDecayService.computeTemporalRelevance(base, now);
+      const forgettable = memoryDecayService.computeTemporalRelevance({ ...base, gate_scores: { forget_score: 0.8 } }, now);
+      const frequentlyUsed = memoryDecayService.computeTemporalRelevance({ ...base, access_frequency: 20 }, now);
+
+      expect(untouched).toBeCloseTo(0.4);
+      expect(forgettable).toBeLessThan(untouched);
+      expect(frequentlyUsed).toBeGreaterThan(untouched);
+    });
+
+    it('should decay slower with a higher input score and gain more from accesses with a higher output score', () => {
+      const now = Date.now();
+      const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString();
+      const base = { temporal_relevance: 0.8, last_accessed: thirtyDaysAgo, access_frequency: 0, gate_scores: { forget_score: 0 } };
+      const relevance = (overrides) => memoryDecayService.computeTemporalRelevance({ ...base, ...overrides }, now);
+
+      const neutral = relevance({ gate_scores: { forget_score: 0, input_score: 0.5, output_score: 0.5 } });
+      expect(neutral).toBeCloseTo(0.4);
+      expect(relevance({ gate_scores: { forget_score: 0, input_score: 0.9 } })).toBeGreaterThan(neutral);
+      expect(relevance({ gate_scores: { forget_score: 0, input_score: 0.1 } })).toBeLessThan(neutral);
+
+      const accessed = { access_frequency: 20 };
+      expect(relevance({ ...accessed, gate_scores: { forget_score: 0, output_score: 0.9 } }))
+        .toBeGreaterThan(relevance({ ...accessed, gate_scores: { forget_score: 0, output_score: 0.1 } }));
+      expect(relevance({ gate_scores: { forget_score: 0, output_score: 0.9 } })).toBeCloseTo(neutral);
+    });
+
+    it('should report what would be forgotten without changing anything in dry-run mode', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/decay/run')
+        .set('X-API-Key', apiKey)
+        .send({ dry_run: true, user_id: decayUserId, thresholds: { conversation: 0.95 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty('dry_run', true);
+      expect(response.body.data.forgotten_count).toBe(1);
+      expect(response.body.data.forgotten[0]).toHaveProperty('threshold', 0.95);
+
+      const listing = await request(app)
+        .get(`/api/memory-embeddings/user/${decayUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(listing.body.data.results).toHaveLength(1);
+    });
+
+    it('should archive forgotten memories', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/decay/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: decayUserId, action: 'archive', thresholds: { conversation: 0.95 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.forgotten_count).toBe(1);
+
+      const listing = await request(app)
+        .get(`/api/memory-embeddings/user/${decayUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(listing.body.data.results).toHaveLength(0);
+
+      const archived = await request(app)
+        .get(`/api/memory-embeddings/${response.body.data.forgotten[0].id}`)
+        .set('X-API-Key', apiKey);
+      expect(archived.headers.etag).toBe('"2"');
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${response.body.data.forgotten[0].id}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions[0]).toMatchObject({ version: 1, action: 'archive' });
+      expect(history.body.data.versions[0].changed_fields).toContain('temporal_relevance');
+    });
+
+    it('should skip memories changed since the decay pass read them', async () => {
+      const staleUserId = '550e8400-e29b-41d4-a716-446655440302';
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: staleUserId });
+      const memoryId = created.body.data.id;
+
+      // The memory is trashed after the pass has read it
+      const collection = await memoryEmbeddingService.initialize();
+      const find = collection.find.bind(collection);
+      const spy = jest.spyOn(collection, 'find').mockImplementationOnce((...args) => ({
+        async *[Symbol.asyncIterator]() {
+          const docs = await find(...args).toArray();
+          await memoryEmbeddingService.deleteMemoryEmbedding(memoryId);
+          yield* docs;
+        }
+      }));
+
+      const response = await request(app)
+        .post('/api/memory-embeddings/decay/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: staleUserId, action: 'archive', thresholds: { conversation: 0.95 } });
+      spy.mockRestore();
+      expect(response.body.data).toMatchObject({ forgotten_count: 1, updated_count: 0, skipped_count: 1 });
+
+      await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/restore`)
+        .set('X-API-Key', apiKey);
+      const restored = await request(app)
+        .get(`/api/memory-embeddings/user/${staleUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(restored.body.data.results.map(memory => memory.id)).toEqual([memoryId]);
+    });
+
+    it('should move deleted memories to the trash', async () => {
+      const deleteUserId = '550e8400-e29b-41d4-a716-446655440301';
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: deleteUserId });
+      const memoryId = created.body.data.id;
+
+      const response = await request(app)
+        .post('/api/memory-embeddings/decay/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: deleteUserId, action: 'delete', thresholds: { conversation: 0.95 } });
+      expect(response.body.data.deleted_count).toBe(1);
+
+      const trash = await request(app)
+        .get(`/api/memory-embeddings/user/${deleteUserId}/trash`)
+        .set('X-API-Key', apiKey);
+      expect(trash.body.data.results.map(memory => memory.id)).toEqual([memoryId]);
+
+      const restored = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/restore`)
+        .set('X-API-Key', apiKey);
+      expect(restored.status).toBe(200);
+    });
+  });
+
   describe('Statistics', () => {
     it('should return collection statistics', async () => {
       const response = await request(app)
@@ -201,6 +530,86 @@ describe('Memory Embedding API', () => {
     });
   });
 
+  describe('Maintained Statistics', () => {
+    const statsUserId = '550e8400-e29b-41d4-a716-446655440600';
+    let statsMemoryId;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: statsUserId, importance_score: 0.85 });
+      statsMemoryId = created.body.data.id;
+
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: statsUserId, memory_type: 'emotion', importance_score: 0.25 });
+    });
+
+    it('should return per-user statistics with histograms and access distribution', async () => {
+      await request(app)
+        .post(`/api/memory-embeddings/${statsMemoryId}/access`)
+        .set('X-API-Key', apiKey);
+
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${statsUserId}/stats`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      const stats = response.body.data;
+      expect(stats.total_memories).toBe(2);
+      expect(stats.memory_type_distribution).toEqual({ conversation: 1, emotion: 1 });
+      expect(stats.score_statistics.avg_importance_score).toBeCloseTo(0.55);
+      expect(stats.score_histograms.importance_score.find(bucket => bucket.range === '0.8-0.9').count).toBe(1);
+      expect(stats.score_histograms.importance_score.find(bucket => bucket.range === '0.2-0.3').count).toBe(1);
+      expect(stats.access_distribution).toEqual(expect.arrayContaining([
+        { range: '0', count: 1 },
+        { range: '1', count: 1 }
+      ]));
+      expect(stats.activity).toMatchObject({ created_7_days: 2, accessed_7_days: 1 });
+    });
+
+    it('should keep counters in step with updates and deletes', async () => {
+      await request(app)
+        .put(`/api/memory-embeddings/${statsMemoryId}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.45 });
+
+      let response = await request(app)
+        .get(`/api/memory-embeddings/user/${statsUserId}/stats`)
+        .set('X-API-Key', apiKey);
+      expect(response.body.data.score_statistics.avg_importance_score).toBeCloseTo(0.35);
+
+      await request(app)
+        .delete(`/api/memory-embeddings/${statsMemoryId}`)
+        .set('X-API-Key', apiKey);
+
+      response = await request(app)
+        .get(`/api/memory-embeddings/user/${statsUserId}/stats`)
+        .set('X-API-Key', apiKey);
+      expect(response.body.data.total_memories).toBe(1);
+      expect(response.body.data.memory_type_distribution).toEqual({ emotion: 1 });
+    });
+
+    it('should rebuild statistics to the same totals', async () => {
+      const before = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('X-API-Key', apiKey);
+
+      const rebuild = await request(app)
+        .post('/api/memory-embeddings/stats/rebuild')
+        .set('X-API-Key', apiKey);
+      expect(rebuild.status).toBe(200);
+
+      const after = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('X-API-Key', apiKey);
+      expect(after.body.data.total_memories).toBe(before.body.data.total_memories);
+      expect(after.body.data.memory_type_distribution).toEqual(before.body.data.memory_type_distribution);
+    });
+  });
+
   describe('Validation', () => {
     it('should reject invalid memory data', async () => {
       const invalidData = {
@@ -306,6 +715,2062 @@ describe('Memory Embedding API', () => {
     });
   });
 
+  describe('Cursor Pagination', () => {
+    const pagedUserId = '550e8400-e29b-41d4-a716-446655440500';
+
+    beforeAll(async () => {
+      const scores = [0.9, 0.5, 0.5, 0.5, 0.1];
+      for (const importance_score of scores) {
+        await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: pagedUserId, importance_score });
+      }
+    });
+
+    it('should page through every memory with next_cursor', async () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const response = await request(app)
+          .get(`/api/memory-embeddings/user/${pagedUserId}`)
+          .query({ limit: 2, sort_by: 'importance_score', ...(cursor && { cursor }) })
+          .set('X-API-Key', apiKey);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.pagination).not.toHaveProperty('total_count');
+        seen.push(...response.body.data.results);
+        cursor = response.body.data.pagination.next_cursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen.map(memory => memory.id)).size).toBe(5);
+      expect(seen.map(memory => memory.importance_score)).toEqual([0.9, 0.5, 0.5, 0.5, 0.1]);
+    });
+
+    it('should include the total count only when requested', async () => {
+      const response = await request(app)
+        .get('/api/memory-embeddings/query')
+        .query({ user_id: pagedUserId, limit: 2, include_total: true })
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pagination).toMatchObject({ total_count: 5, total_pages: 3, has_next: true });
+    });
+
+    it('should reject malformed cursors', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${pagedUserId}`)
+        .query({ cursor: 'not-a-cursor' })
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('success', false);
+    });
+  });
+
+  describe('Relationship Graph', () => {
+    const graphUserId = '550e8400-e29b-41d4-a716-446655440700';
+    const ids = [];
+
+    beforeAll(async () => {
+      for (let i = 0; i < 3; i++) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: graphUserId });
+        ids.push(created.body.data.id);
+      }
+    });
+
+    it('should add a typed edge together with its reverse link', async () => {
+      const response = await request(app)
+        .post(`/api/memory-embeddings/${ids[0]}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: ids[1], type: 'causes', weight: 0.9 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ source_id: ids[0], target_id: ids[1], type: 'causes', weight: 0.9 });
+
+      const reverse = await request(app)
+        .get(`/api/memory-embeddings/${ids[1]}/relationships`)
+        .set('X-API-Key', apiKey);
+
+      expect(reverse.status).toBe(200);
+      expect(reverse.body.data.relationships).toEqual([
+        expect.objectContaining({ source_id: ids[1], target_id: ids[0], type: 'caused_by' })
+      ]);
+    });
+
+    it('should reject self-links and unknown types', async () => {
+      const self = await request(app)
+        .post(`/api/memory-embeddings/${ids[0]}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: ids[0] });
+      expect(self.status).toBe(400);
+
+      const unknownType = await request(app)
+        .post(`/api/memory-embeddings/${ids[0]}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: ids[1], type: 'loves' });
+      expect(unknownType.status).toBe(400);
+    });
+
+    it('should traverse multiple hops within the depth limit', async () => {
+      await request(app)
+        .post(`/api/memory-embeddings/${ids[1]}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: ids[2], type: 'follows' });
+
+      const oneHop = await request(app)
+        .get(`/api/memory-embeddings/${ids[0]}/graph`)
+        .query({ depth: 1 })
+        .set('X-API-Key', apiKey);
+
+      expect(oneHop.status).toBe(200);
+      expect(oneHop.body.data.nodes.map(node => node.id).sort()).toEqual([ids[0], ids[1]].sort());
+
+      const twoHops = await request(app)
+        .get(`/api/memory-embeddings/${ids[0]}/graph`)
+        .query({ depth: 2 })
+        .set('X-API-Key', apiKey);
+
+      expect(twoHops.body.data.node_count).toBe(3);
+      expect(twoHops.body.data.nodes.find(node => node.id === ids[2]).depth).toBe(2);
+      expect(twoHops.body.data.edges).toHaveLength(2);
+    });
+
+    it('should resolve related memories for a user', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${graphUserId}/relationships/${ids[1]}`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.relationship_count).toBe(2);
+    });
+
+    it('should remove an edge in both directions', async () => {
+      const response = await request(app)
+        .delete(`/api/memory-embeddings/${ids[1]}/relationships/${ids[2]}`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+
+      const reverse = await request(app)
+        .get(`/api/memory-embeddings/${ids[2]}/relationships`)
+        .set('X-API-Key', apiKey);
+      expect(reverse.body.data.relationship_count).toBe(0);
+
+      const missing = await request(app)
+        .delete(`/api/memory-embeddings/${ids[1]}/relationships/${ids[2]}`)
+        .set('X-API-Key', apiKey);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should clean up dangling edges when a memory is permanently deleted', async () => {
+      await request(app)
+        .delete(`/api/memory-embeddings/${ids[0]}`)
+        .query({ permanent: true })
+        .set('X-API-Key', apiKey);
+
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${ids[1]}`)
+        .set('X-API-Key', apiKey);
+      expect(response.body.data.relationships).not.toContain(ids[0]);
+
+      const edges = await request(app)
+        .get(`/api/memory-embeddings/${ids[1]}/relationships`)
+        .set('X-API-Key', apiKey);
+      expect(edges.body.data.relationship_count).toBe(0);
+    });
+  });
+
+  describe('Relationship Auto-linking', () => {
+    const linkUserId = '550e8400-e29b-41d4-a716-446655440800';
+    const baseVector = new Array(90).fill(0).map((_, i) => Math.sin(i + 1));
+    const nearVector = baseVector.map(value => value + 0.01);
+    const farVector = baseVector.map(value => -value);
+    let baseId;
+    let farId;
+
+    beforeAll(async () => {
+      const base = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: linkUserId, feature_vector: baseVector });
+      baseId = base.body.data.id;
+
+      const far = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: linkUserId, feature_vector: farVector });
+      farId = far.body.data.id;
+    });
+
+    it('should propose neighbours above the threshold without writing them', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: linkUserId, feature_vector: nearVector, auto_link: { mode: 'suggest', min_similarity: 0.9 } });
+
+      expect(response.status).toBe(201);
+      const { auto_link: autoLink, relationships } = response.body.data;
+      expect(autoLink.suggestions.map(suggestion => suggestion.id)).toEqual([baseId]);
+      expect(autoLink.suggestions[0].similarity).toBeGreaterThan(0.9);
+      expect(relationships).toEqual([]);
+    });
+
+    it('should link neighbours on insert and record the similarity on the edge', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: linkUserId, feature_vector: nearVector, auto_link: { mode: 'link', top_k: 1, min_similarity: 0.9 } });
+
+      expect(response.status).toBe(201);
+      const newId = response.body.data.id;
+      expect(response.body.data.relationships).toHaveLength(1);
+      expect(response.body.data.relationships).not.toContain(farId);
+
+      const edges = await request(app)
+        .get(`/api/memory-embeddings/${newId}/relationships`)
+        .set('X-API-Key', apiKey);
+      expect(edges.body.data.relationships[0]).toMatchObject({ type: 'related_to', origin: 'auto' });
+      expect(edges.body.data.relationships[0].similarity).toBeGreaterThan(0.9);
+    });
+
+    it('should suggest relationships for an existing memory', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${farId}/relationships/suggestions`)
+        .query({ min_similarity: 0.9 })
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.suggestions).toEqual([]);
+    });
+
+    it('should backfill links for existing memories', async () => {
+      const dryRun = await request(app)
+        .post('/api/memory-embeddings/relationships/auto-link/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: linkUserId, dry_run: true, min_similarity: 0.9 });
+
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body.data.link_count).toBeGreaterThan(0);
+
+      const run = await request(app)
+        .post('/api/memory-embeddings/relationships/auto-link/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: linkUserId, min_similarity: 0.9 });
+      expect(run.status).toBe(200);
+
+      const rerun = await request(app)
+        .post('/api/memory-embeddings/relationships/auto-link/run')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: linkUserId, dry_run: true, min_similarity: 0.9 });
+      expect(rerun.body.data.link_count).toBe(0);
+    });
+  });
+
+  describe('Memory Consolidation', () => {
+    const consolidationUserId = '550e8400-e29b-41d4-a716-446655440900';
+    const baseVector = new Array(90).fill(0).map((_, i) => Math.cos(i + 1));
+    const duplicateIds = [];
+
+    beforeAll(async () => {
+      const duplicates = [
+        { importance_score: 0.4, retrieval_triggers: ['exam', 'anxiety'] },
+        { importance_score: 0.9, retrieval_triggers: ['Exam', 'stress'] },
+        { importance_score: 0.6, retrieval_triggers: ['exam', 'anxiety', 'sleep'] }
+      ];
+      for (const [i, overrides] of duplicates.entries()) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({
+            ...sampleMemory,
+            ...overrides,
+            user_id: consolidationUserId,
+            content_summary: `Worried about exams (${i})`,
+            feature_vector: baseVector.map(value => value + i * 0.001)
+          });
+        duplicateIds.push(created.body.data.id);
+      }
+
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: consolidationUserId, feature_vector: baseVector.map(value => -value) });
+    });
+
+    it('should report clusters without writing on a dry run', async () => {
+      const response = await request(app)
+        .post(`/api/memory-embeddings/user/${consolidationUserId}/consolidate`)
+        .set('X-API-Key', apiKey)
+        .send({ dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.cluster_count).toBe(1);
+      expect(response.body.data.clusters[0].source_ids.sort()).toEqual([...duplicateIds].sort());
+      expect(response.body.data.clusters[0].insight_id).toBeNull();
+    });
+
+    it('should merge a cluster into an insight and link the sources', async () => {
+      const response = await request(app)
+        .post(`/api/memory-embeddings/user/${consolidationUserId}/consolidate`)
+        .set('X-API-Key', apiKey)
+        .send({});
+
+      expect(response.status).toBe(200);
+      const { insight_id: insightId } = response.body.data.clusters[0];
+
+      const insight = await request(app)
+        .get(`/api/memory-embeddings/${insightId}`)
+        .set('X-API-Key', apiKey);
+      expect(insight.body.data).toMatchObject({ memory_type: 'insight', importance_score: 0.9 });
+      expect(insight.body.data.retrieval_triggers).toEqual(['exam', 'anxiety', 'stress', 'sleep']);
+      expect(insight.body.data.consolidated_from.sort()).toEqual([...duplicateIds].sort());
+      expect(insight.body.data.content_summary).toContain('Worried about exams (2)');
+
+      const source = await request(app)
+        .get(`/api/memory-embeddings/${duplicateIds[0]}`)
+        .set('X-API-Key', apiKey);
+      expect(source.body.data.consolidated_into).toBe(insightId);
+      expect(source.body.data.relationships).toContain(insightId);
+      expect(source.body.data.version).toBeGreaterThan(1);
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${duplicateIds[0]}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions.map(version => version.action)).toContain('consolidate');
+
+      const rerun = await request(app)
+        .post(`/api/memory-embeddings/user/${consolidationUserId}/consolidate`)
+        .set('X-API-Key', apiKey)
+        .send({ dry_run: true });
+      expect(rerun.body.data.cluster_count).toBe(0);
+    });
+
+    it('should leave sources changed since they were clustered alone', async () => {
+      const staleUserId = '550e8400-e29b-41d4-a716-446655440901';
+      const ids = [];
+      for (let i = 0; i < 2; i++) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: staleUserId, feature_vector: baseVector, retrieval_triggers: ['exam'] });
+        ids.push(created.body.data.id);
+      }
+
+      // The second source is edited after the run has read it
+      const collection = await memoryEmbeddingService.initialize();
+      const find = collection.find.bind(collection);
+      const spy = jest.spyOn(collection, 'find').mockImplementationOnce((...args) => ({
+        async *[Symbol.asyncIterator]() {
+          const docs = await find(...args).toArray();
+          await memoryEmbeddingService.updateMemoryEmbedding(ids[1], { importance_score: 0.1 });
+          yield* docs;
+        }
+      }));
+
+      const response = await request(app)
+        .post(`/api/memory-embeddings/user/${staleUserId}/consolidate`)
+        .set('X-API-Key', apiKey)
+        .send({});
+      spy.mockRestore();
+
+      expect(response.body.data.consolidated_memory_count).toBe(1);
+      expect(response.body.data.clusters[0].skipped_source_ids).toEqual([ids[1]]);
+
+      const edited = await request(app)
+        .get(`/api/memory-embeddings/${ids[1]}`)
+        .set('X-API-Key', apiKey);
+      expect(edited.body.data.consolidated_into).toBeUndefined();
+      expect(edited.body.data.importance_score).toBe(0.1);
+    });
+  });
+
+  describe('NDJSON Export & Import', () => {
+    const transferUserId = '550e8400-e29b-41d4-a716-446655441000';
+    const ids = [];
+
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    const exportLines = async (query = {}) => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${transferUserId}/export`)
+        .query(query)
+        .set('X-API-Key', apiKey)
+        .buffer(true)
+        .parse(binaryParser);
+      const body = query.gzip ? zlib.gunzipSync(response.body) : response.body;
+      return { response, lines: body.toString('utf8').trim().split('\n').map(line => JSON.parse(line)) };
+    };
+
+    beforeAll(async () => {
+      for (let i = 0; i < 2; i++) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: transferUserId, content_summary: `Transfer memory ${i}` });
+        ids.push(created.body.data.id);
+      }
+      await request(app)
+        .post(`/api/memory-embeddings/${ids[0]}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: ids[1], type: 'causes', weight: 0.7 });
+    });
+
+    it('should export every memory with vectors and typed edges', async () => {
+      const { response, lines } = await exportLines();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/x-ndjson');
+      expect(lines.map(line => line.id).sort()).toEqual([...ids].sort());
+
+      const source = lines.find(line => line.id === ids[0]);
+      expect(source.feature_vector).toHaveLength(90);
+      expect(source.relationship_edges).toEqual([
+        expect.objectContaining({ target_id: ids[1], type: 'causes', weight: 0.7 })
+      ]);
+    });
+
+    it('should restore an export with original IDs, timestamps and edges', async () => {
+      const { response, lines } = await exportLines({ gzip: 'true' });
+      expect(response.headers['content-type']).toContain('application/gzip');
+
+      for (const id of ids) {
+        await request(app)
+          .delete(`/api/memory-embeddings/${id}`)
+          .query({ permanent: true })
+          .set('X-API-Key', apiKey);
+      }
+
+      const ndjson = lines.map(line => JSON.stringify(line)).join('\n');
+      const imported = await request(app)
+        .post('/api/memory-embeddings/import')
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .set('Content-Encoding', 'gzip')
+        .send(zlib.gzipSync(ndjson));
+
+      expect(imported.status).toBe(200);
+      expect(imported.body.data).toMatchObject({ line_count: 2, imported_count: 2, error_count: 0, restored_edge_count: 1 });
+
+      const restored = await request(app)
+        .get(`/api/memory-embeddings/${ids[0]}`)
+        .set('X-API-Key', apiKey);
+      expect(restored.body.data.created_at).toBe(lines.find(line => line.id === ids[0]).created_at);
+
+      const reverse = await request(app)
+        .get(`/api/memory-embeddings/${ids[1]}/relationships`)
+        .set('X-API-Key', apiKey);
+      expect(reverse.body.data.relationships).toEqual([
+        expect.objectContaining({ target_id: ids[0], type: 'caused_by' })
+      ]);
+    });
+
+    it('should report invalid lines without aborting the import', async () => {
+      const { lines } = await exportLines();
+      const ndjson = [
+        '{not json',
+        JSON.stringify({ ...lines[0], id: '550e8400-e29b-41d4-a716-446655441099', feature_vector: [1, 2] }),
+        '',
+        JSON.stringify(lines[0])
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/memory-embeddings/import')
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(ndjson);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ line_count: 3, imported_count: 0, error_count: 3 });
+      expect(response.body.data.errors.map(error => error.line)).toEqual([1, 2, 4]);
+      expect(response.body.data.errors[1].errors[0]).toContain('90 dimensions');
+    });
+
+    it('should reject non-NDJSON import bodies', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/import')
+        .set('X-API-Key', apiKey)
+        .send({ id: ids[0] });
+
+      expect(response.status).toBe(415);
+    });
+  });
+
+  describe('User Deletion', () => {
+    const deletedUserId = '550e8400-e29b-41d4-a716-446655441100';
+    const ids = [];
+
+    const waitForJob = async (statusUrl) => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await request(app).get(statusUrl).set('X-API-Key', apiKey);
+        if (!['pending', 'running'].includes(response.body.data.status)) return response;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error('Deletion job did not finish');
+    };
+
+    beforeAll(async () => {
+      for (let i = 0; i < 3; i++) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: deletedUserId, relationships: ids.slice() });
+        ids.push(created.body.data.id);
+      }
+    });
+
+    it('should delete every memory, edge and aggregate and return a signed receipt', async () => {
+      const before = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('X-API-Key', apiKey);
+
+      const started = await request(app)
+        .delete(`/api/memory-embeddings/user/${deletedUserId}`)
+        .set('X-API-Key', apiKey);
+
+      expect(started.status).toBe(202);
+      expect(started.headers.location).toBe(started.body.data.status_url);
+
+      const job = await waitForJob(started.body.data.status_url);
+      expect(job.body.data.status).toBe('completed');
+      expect(job.body.data.progress.deleted_memories).toBe(3);
+
+      const receipt = jwt.verify(job.body.data.receipt_signature, process.env.DELETION_RECEIPT_SECRET);
+      expect(receipt).toMatchObject({
+        typ: 'deletion_receipt',
+        user_id: deletedUserId,
+        deleted_memories: 3,
+        removed_relationship_edges: 6
+      });
+
+      // The receipt names the user but must not authenticate as them
+      const asBearer = await request(app)
+        .get(`/api/memory-embeddings/user/${deletedUserId}`)
+        .set('Authorization', `Bearer ${job.body.data.receipt_signature}`);
+      expect(asBearer.status).toBe(401);
+
+      const receiptWithAccessSecret = jwt.sign(receipt, process.env.JWT_SECRET);
+      const typed = await request(app)
+        .get(`/api/memory-embeddings/user/${deletedUserId}`)
+        .set('Authorization', `Bearer ${receiptWithAccessSecret}`);
+      expect(typed.status).toBe(401);
+
+      const memories = await request(app)
+        .get(`/api/memory-embeddings/user/${deletedUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(memories.body.data.results).toHaveLength(0);
+
+      const userStats = await request(app)
+        .get(`/api/memory-embeddings/user/${deletedUserId}/stats`)
+        .set('X-API-Key', apiKey);
+      expect(userStats.body.data.total_memories).toBe(0);
+
+      const after = await request(app)
+        .get('/api/memory-embeddings/stats')
+        .set('X-API-Key', apiKey);
+      expect(after.body.data.total_memories).toBe(before.body.data.total_memories - 3);
+    });
+
+    it('should not expose deletion jobs to other users', async () => {
+      const token = jwt.sign({ user_id: deletedUserId }, process.env.JWT_SECRET);
+      const started = await request(app)
+        .delete(`/api/memory-embeddings/user/${deletedUserId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(started.status).toBe(202);
+      await waitForJob(started.body.data.status_url);
+
+      const otherToken = jwt.sign({ user_id: sampleMemory.user_id }, process.env.JWT_SECRET);
+      const response = await request(app)
+        .get(started.body.data.status_url)
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Trash & Restore', () => {
+    const trashUserId = '550e8400-e29b-41d4-a716-446655441200';
+    let trashedId;
+    let neighbourId;
+
+    beforeAll(async () => {
+      const neighbour = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: trashUserId });
+      neighbourId = neighbour.body.data.id;
+
+      const trashed = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: trashUserId, relationships: [neighbourId] });
+      trashedId = trashed.body.data.id;
+    });
+
+    it('should move deleted memories to the trash and out of queries, search and stats', async () => {
+      const response = await request(app)
+        .delete(`/api/memory-embeddings/${trashedId}`)
+        .set('X-API-Key', apiKey);
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ deleted: true, permanent: false });
+
+      const query = await request(app)
+        .get('/api/memory-embeddings/query')
+        .query({ user_id: trashUserId })
+        .set('X-API-Key', apiKey);
+      expect(query.body.data.results.map(memory => memory.id)).toEqual([neighbourId]);
+
+      const similarity = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: sampleMemory.feature_vector, filters: { user_id: trashUserId } });
+      expect(similarity.body.data.results.map(memory => memory.id)).toEqual([neighbourId]);
+
+      const stats = await request(app)
+        .get(`/api/memory-embeddings/user/${trashUserId}/stats`)
+        .set('X-API-Key', apiKey);
+      expect(stats.body.data.total_memories).toBe(1);
+
+      const graph = await request(app)
+        .get(`/api/memory-embeddings/${neighbourId}/graph`)
+        .set('X-API-Key', apiKey);
+      expect(graph.body.data.node_count).toBe(1);
+    });
+
+    it('should list trashed memories with their purge date', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${trashUserId}/trash`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results).toHaveLength(1);
+      expect(response.body.data.results[0]).toHaveProperty('id', trashedId);
+      expect(response.body.data.results[0]).toHaveProperty('purge_after');
+    });
+
+    it('should restore a memory with its relationships', async () => {
+      const response = await request(app)
+        .post(`/api/memory-embeddings/${trashedId}/restore`)
+        .set('X-API-Key', apiKey);
+      expect(response.status).toBe(200);
+      expect(response.body.data.relationships).toEqual([neighbourId]);
+
+      const stats = await request(app)
+        .get(`/api/memory-embeddings/user/${trashUserId}/stats`)
+        .set('X-API-Key', apiKey);
+      expect(stats.body.data.total_memories).toBe(2);
+
+      const again = await request(app)
+        .post(`/api/memory-embeddings/${trashedId}/restore`)
+        .set('X-API-Key', apiKey);
+      expect(again.status).toBe(404);
+    });
+
+    it('should purge memories past the retention period', async () => {
+      await request(app)
+        .delete(`/api/memory-embeddings/${trashedId}`)
+        .set('X-API-Key', apiKey);
+
+      const kept = await request(app)
+        .post('/api/memory-embeddings/trash/purge')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: trashUserId });
+      expect(kept.body.data.purged_count).toBe(0);
+
+      const purged = await request(app)
+        .post('/api/memory-embeddings/trash/purge')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: trashUserId, retention_days: 0 });
+      expect(purged.status).toBe(200);
+      expect(purged.body.data.purged_count).toBe(1);
+      expect(purged.body.data.removed_relationship_edges).toBe(2);
+
+      const neighbour = await request(app)
+        .get(`/api/memory-embeddings/${neighbourId}`)
+        .set('X-API-Key', apiKey);
+      expect(neighbour.body.data.relationships).toEqual([]);
+
+      const trash = await request(app)
+        .get(`/api/memory-embeddings/user/${trashUserId}/trash`)
+        .set('X-API-Key', apiKey);
+      expect(trash.body.data.results).toHaveLength(0);
+    });
+  });
+
+  describe('Version History', () => {
+    const historyUserId = '550e8400-e29b-41d4-a716-446655441300';
+    let memoryId;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: historyUserId, importance_score: 0.4 });
+      memoryId = created.body.data.id;
+    });
+
+    it('should record the replaced values of each update', async () => {
+      const first = await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.6 });
+      expect(first.status).toBe(200);
+      expect(first.body.data.version).toBe(2);
+
+      await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.9, content_summary: 'Rewritten summary' });
+
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}/history`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.current_version).toBe(3);
+      expect(response.body.data.versions.map(version => version.version)).toEqual([2, 1]);
+
+      const [latest, oldest] = response.body.data.versions;
+      expect(latest.changed_fields).toEqual(expect.arrayContaining(['importance_score', 'content_summary']));
+      expect(latest.previous_values.importance_score).toBe(0.6);
+      expect(oldest.previous_values).toEqual({ importance_score: 0.4 });
+      expect(oldest.actor).toEqual({ type: 'api_key', user_id: null });
+      expect(oldest).toHaveProperty('changed_at');
+    });
+
+    it('should revert to an earlier version as a new version', async () => {
+      const response = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/revert/1`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.version).toBe(4);
+      expect(response.body.data.importance_score).toBe(0.4);
+      expect(response.body.data.content_summary).toBe(sampleMemory.content_summary);
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions[0]).toMatchObject({ version: 3, action: 'revert', reverted_to: 1 });
+    });
+
+    it('should reject versions outside the history', async () => {
+      const current = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/revert/4`)
+        .set('X-API-Key', apiKey);
+      expect(current.status).toBe(400);
+
+      const invalid = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/revert/abc`)
+        .set('X-API-Key', apiKey);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should record updates that change nothing so reverts can cross them', async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: historyUserId, importance_score: 0.4 });
+      const id = created.body.data.id;
+
+      await request(app)
+        .put(`/api/memory-embeddings/${id}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.7 });
+      const noop = await request(app)
+        .put(`/api/memory-embeddings/${id}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.7 });
+      expect(noop.body.data.version).toBe(3);
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${id}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions.map(version => version.version)).toEqual([2, 1]);
+      expect(history.body.data.versions[0].changed_fields).toEqual([]);
+
+      const reverted = await request(app)
+        .post(`/api/memory-embeddings/${id}/revert/2`)
+        .set('X-API-Key', apiKey);
+      expect(reverted.status).toBe(200);
+      expect(reverted.body.data.importance_score).toBe(0.7);
+
+      const original = await request(app)
+        .post(`/api/memory-embeddings/${id}/revert/1`)
+        .set('X-API-Key', apiKey);
+      expect(original.status).toBe(200);
+      expect(original.body.data.importance_score).toBe(0.4);
+    });
+
+    it('should keep relationships out of the history and reverts', async () => {
+      const create = (importance_score) => request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: historyUserId, importance_score });
+      const id = (await create(0.4)).body.data.id;
+      const neighbourId = (await create(0.5)).body.data.id;
+
+      await request(app)
+        .put(`/api/memory-embeddings/${id}`)
+        .set('X-API-Key', apiKey)
+        .send({ importance_score: 0.7, relationships: [neighbourId] });
+      await request(app)
+        .post(`/api/memory-embeddings/${neighbourId}/relationships`)
+        .set('X-API-Key', apiKey)
+        .send({ target_id: id, type: 'causes' });
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${id}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions[0].changed_fields).toEqual(['importance_score']);
+
+      const reverted = await request(app)
+        .post(`/api/memory-embeddings/${id}/revert/1`)
+        .set('X-API-Key', apiKey);
+      expect(reverted.status).toBe(200);
+      expect(reverted.body.data.importance_score).toBe(0.4);
+
+      const edges = await request(app)
+        .get(`/api/memory-embeddings/${id}/relationships`)
+        .set('X-API-Key', apiKey);
+      expect(edges.body.data.relationships.map(edge => edge.type).sort()).toEqual(['caused_by', 'related_to']);
+    });
+
+    it('should drop the history when a memory is permanently deleted', async () => {
+      await request(app)
+        .delete(`/api/memory-embeddings/${memoryId}?permanent=true`)
+        .set('X-API-Key', apiKey);
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.status).toBe(404);
+
+      const versions = await memoryVersionService.initialize();
+      expect(await versions.countDocuments({ memory_id: memoryId }, 100)).toBe(0);
+    });
+  });
+
+  describe('Optimistic Concurrency', () => {
+    const concurrencyUserId = '550e8400-e29b-41d4-a716-446655441400';
+    let memoryId;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: concurrencyUserId });
+      memoryId = created.body.data.id;
+      expect(created.headers.etag).toBe('"1"');
+    });
+
+    it('should return the version as an ETag', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe(`"${response.body.data.version}"`);
+    });
+
+    it('should reject an update whose If-Match has been superseded', async () => {
+      const scoring = await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"1"')
+        .send({ importance_score: 0.95 });
+      expect(scoring.status).toBe(200);
+      expect(scoring.headers.etag).toBe('"2"');
+
+      const summarisation = await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"1"')
+        .send({ content_summary: 'Stale summary' });
+      expect(summarisation.status).toBe(412);
+
+      const current = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey);
+      expect(current.body.data).toMatchObject({ importance_score: 0.95, content_summary: sampleMemory.content_summary });
+    });
+
+    it('should apply If-Match to access recording and deletes', async () => {
+      const staleAccess = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/access`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"1"');
+      expect(staleAccess.status).toBe(412);
+
+      const access = await request(app)
+        .post(`/api/memory-embeddings/${memoryId}/access`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"2"');
+      expect(access.status).toBe(200);
+      expect(access.headers.etag).toBe('"2"');
+
+      const staleDelete = await request(app)
+        .delete(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"1"');
+      expect(staleDelete.status).toBe(412);
+
+      const deleted = await request(app)
+        .delete(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', '"2"');
+      expect(deleted.status).toBe(200);
+    });
+
+    it('should reject malformed If-Match headers', async () => {
+      const response = await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .set('If-Match', 'W/"2"')
+        .send({ importance_score: 0.5 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Idempotent Creates', () => {
+    const idempotencyUserId = '550e8400-e29b-41d4-a716-446655441500';
+    const upsertMemory = {
+      ...sampleMemory,
+      user_id: idempotencyUserId,
+      original_entry_id: '550e8400-e29b-41d4-a716-446655441501'
+    };
+
+    it('should update the memory stored for the same entry when upserting', async () => {
+      const first = await request(app)
+        .post('/api/memory-embeddings?upsert=true')
+        .set('X-API-Key', apiKey)
+        .send(upsertMemory);
+      expect(first.status).toBe(201);
+
+      const retry = await request(app)
+        .post('/api/memory-embeddings?upsert=true')
+        .set('X-API-Key', apiKey)
+        .send({ ...upsertMemory, content_summary: 'Reprocessed summary' });
+      expect(retry.status).toBe(200);
+      expect(retry.body.data).toMatchObject({ id: first.body.data.id, version: 2, content_summary: 'Reprocessed summary' });
+
+      const batch = await request(app)
+        .post('/api/memory-embeddings/batch?upsert=true')
+        .set('X-API-Key', apiKey)
+        .send({
+          embeddings: [
+            upsertMemory,
+            { ...upsertMemory, original_entry_id: '550e8400-e29b-41d4-a716-446655441502' },
+            { ...upsertMemory, original_entry_id: '550e8400-e29b-41d4-a716-446655441502', importance_score: 0.2 }
+          ]
+        });
+      expect(batch.status).toBe(201);
+      expect(batch.body.data.counts).toEqual({ created: 1, updated: 2 });
+      expect(batch.body.data.results.map(result => result.status)).toEqual(['updated', 'created', 'updated']);
+
+      const query = await request(app)
+        .get('/api/memory-embeddings/query')
+        .query({ user_id: idempotencyUserId })
+        .set('X-API-Key', apiKey);
+      expect(query.body.data.results).toHaveLength(2);
+    });
+
+    it('should replay the stored response for a repeated Idempotency-Key', async () => {
+      const body = { ...upsertMemory, original_entry_id: '550e8400-e29b-41d4-a716-446655441503' };
+
+      const first = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('Idempotency-Key', 'ingest-441503')
+        .send(body);
+      expect(first.status).toBe(201);
+
+      const replay = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('Idempotency-Key', 'ingest-441503')
+        .send(body);
+      expect(replay.status).toBe(201);
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+      expect(replay.body.data.id).toBe(first.body.data.id);
+
+      const query = await request(app)
+        .get('/api/memory-embeddings/query')
+        .query({ user_id: idempotencyUserId })
+        .set('X-API-Key', apiKey);
+      expect(query.body.data.results).toHaveLength(3);
+    });
+
+    it('should reject a reused Idempotency-Key with a different request', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('Idempotency-Key', 'ingest-441503')
+        .send({ ...upsertMemory, content_summary: 'Something else entirely' });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Partial-Success Batches', () => {
+    const batchUserId = '550e8400-e29b-41d4-a716-446655441600';
+    const batchMemory = { ...sampleMemory, user_id: batchUserId };
+    const invalidMemory = { ...batchMemory, importance_score: 2 };
+
+    it('should report per-item results for an unordered batch', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({ ordered: false, embeddings: [batchMemory, invalidMemory, batchMemory] });
+
+      expect(response.status).toBe(207);
+      expect(response.body.data.counts).toEqual({ created: 2, invalid: 1 });
+      expect(response.body.data.inserted_ids).toHaveLength(2);
+      expect(response.body.data.results[1]).toMatchObject({ index: 1, status: 'invalid' });
+      expect(response.body.data.results[1].errors[0]).toContain('importance_score');
+    });
+
+    it('should stop an ordered batch at the first bad item', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({ embeddings: [batchMemory, invalidMemory, batchMemory] });
+
+      expect(response.status).toBe(207);
+      expect(response.body.data.results.map(result => result.status)).toEqual(['created', 'invalid', 'skipped']);
+    });
+
+    it('should chunk batches larger than a single insert', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({ ordered: false, embeddings: Array.from({ length: 250 }, () => batchMemory) });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.counts).toEqual({ created: 250 });
+      expect(new Set(response.body.data.inserted_ids).size).toBe(250);
+    });
+
+    it('should not let a user-bound caller create memories for other users', async () => {
+      const token = jwt.sign({ user_id: batchUserId }, process.env.JWT_SECRET);
+      const response = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ordered: false, embeddings: [batchMemory, sampleMemory] });
+
+      expect(response.status).toBe(207);
+      expect(response.body.data.results.map(result => result.status)).toEqual(['created', 'forbidden']);
+    });
+
+    it('should update and delete in batch with per-item results', async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({ embeddings: [batchMemory, batchMemory] });
+      const [firstId, secondId] = created.body.data.inserted_ids;
+      const missingId = '550e8400-e29b-41d4-a716-446655441699';
+
+      const updated = await request(app)
+        .put('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          ordered: false,
+          updates: [
+            { id: firstId, importance_score: 0.1 },
+            { id: missingId, importance_score: 0.1 },
+            { id: secondId, importance_score: 0.1, expected_version: 5 }
+          ]
+        });
+      expect(updated.status).toBe(207);
+      expect(updated.body.data.results.map(result => result.status)).toEqual(['updated', 'not_found', 'conflict']);
+      expect(updated.body.data.results[0].version).toBe(2);
+
+      const deleted = await request(app)
+        .post('/api/memory-embeddings/batch/delete')
+        .set('X-API-Key', apiKey)
+        .send({ ordered: false, ids: [firstId, missingId, 'not-a-uuid'] });
+      expect(deleted.status).toBe(207);
+      expect(deleted.body.data.results.map(result => result.status)).toEqual(['deleted', 'not_found', 'invalid']);
+
+      const remaining = await request(app)
+        .post('/api/memory-embeddings/batch/delete')
+        .set('X-API-Key', apiKey)
+        .send({ ids: [secondId], permanent: true });
+      expect(remaining.status).toBe(200);
+      expect(remaining.body.data).toMatchObject({ permanent: true, counts: { deleted: 1 } });
+    });
+  });
+
+  describe('Similarity Search', () => {
+    const similarityUserId = '550e8400-e29b-41d4-a716-446655441700';
+    const baseVector = new Array(90).fill(0).map((_, i) => Math.sin(i + 1));
+    const nearVector = baseVector.map(value => value + 0.01);
+    const farVector = baseVector.map(value => -value);
+    const filters = { user_id: similarityUserId };
+    let baseId;
+    let nearId;
+    let farId;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          embeddings: [baseVector, nearVector, farVector].map(vector => ({
+            ...sampleMemory,
+            user_id: similarityUserId,
+            feature_vector: vector
+          }))
+        });
+      [baseId, nearId, farId] = created.body.data.inserted_ids;
+    });
+
+    it('should run several queries and key the results per query', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          queries: [
+            { id: 'message', feature_vector: baseVector, limit: 2, filters },
+            { id: 'context', feature_vector: nearVector, limit: 2, filters },
+            { feature_vector: farVector, limit: 1, filters }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      const { results } = response.body.data;
+      expect(Object.keys(results).sort()).toEqual(['2', 'context', 'message']);
+      expect(results.message.results.map(memory => memory.id)).toEqual([baseId, nearId]);
+      expect(results.context.results.map(memory => memory.id)).toEqual([nearId, baseId]);
+      expect(results['2'].results.map(memory => memory.id)).toEqual([farId]);
+    });
+
+    it('should keep each memory only in its closest query when de-duplicating', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          dedupe: true,
+          queries: [
+            { id: 'message', feature_vector: baseVector, limit: 2, filters },
+            { id: 'context', feature_vector: nearVector, limit: 2, filters }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.duplicates_removed).toBe(2);
+      expect(response.body.data.results.message.results.map(memory => memory.id)).toEqual([baseId]);
+      expect(response.body.data.results.context.results.map(memory => memory.id)).toEqual([nearId]);
+    });
+
+    it('should diversify results with MMR re-ranking', async () => {
+      const plain = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: baseVector, limit: 2, filters });
+      expect(plain.body.data.results.map(memory => memory.id)).toEqual([baseId, nearId]);
+
+      const reranked = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: baseVector, limit: 2, filters, rerank: { strategy: 'mmr', lambda: 0.3 } });
+
+      expect(reranked.status).toBe(200);
+      expect(reranked.body.data.results.map(memory => memory.id)).toEqual([baseId, farId]);
+      expect(reranked.body.data.rerank).toMatchObject({ strategy: 'mmr', lambda: 0.3, candidate_pool: 10, candidates_considered: 3 });
+      expect(reranked.body.data.results[0]).toHaveProperty('rerank_score');
+    });
+
+    it('should drop results below min_similarity', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: baseVector, limit: 3, filters, min_similarity: 0.9, rerank: { strategy: 'mmr', lambda: 0.3 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(memory => memory.id)).toEqual([baseId, nearId]);
+      expect(response.body.data.min_similarity_score).toBeGreaterThanOrEqual(0.9);
+    });
+
+    it('should reject unknown re-ranking strategies', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: baseVector, rerank: { strategy: 'random' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should find neighbours of a stored memory', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/${baseId}/similar`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.memory_id).toBe(baseId);
+      expect(response.body.data.results.map(memory => memory.id)).toEqual([nearId, farId]);
+
+      const filtered = await request(app)
+        .get(`/api/memory-embeddings/${baseId}/similar`)
+        .query({ min_similarity: 0.9, memory_type: 'conversation' })
+        .set('X-API-Key', apiKey);
+      expect(filtered.body.data.results.map(memory => memory.id)).toEqual([nearId]);
+
+      const missing = await request(app)
+        .get('/api/memory-embeddings/550e8400-e29b-41d4-a716-446655441799/similar')
+        .set('X-API-Key', apiKey);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should search from positive and negative examples', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similar')
+        .set('X-API-Key', apiKey)
+        .send({ positive_ids: [nearId], negative_ids: [farId], limit: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ positive_ids: [nearId], negative_ids: [farId], negative_weight: 0.5 });
+      expect(response.body.data.results.map(memory => memory.id)).toEqual([baseId]);
+
+      const missing = await request(app)
+        .post('/api/memory-embeddings/similar')
+        .set('X-API-Key', apiKey)
+        .send({ positive_ids: ['550e8400-e29b-41d4-a716-446655441799'] });
+      expect(missing.status).toBe(404);
+    });
+
+    it('should reject duplicate query ids', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          queries: [
+            { id: 'same', feature_vector: baseVector },
+            { id: 'same', feature_vector: nearVector }
+          ]
+        });
+      expect(response.status).toBe(400);
+
+      const positional = await request(app)
+        .post('/api/memory-embeddings/similarity/batch')
+        .set('X-API-Key', apiKey)
+        .send({
+          queries: [
+            { id: '1', feature_vector: baseVector },
+            { feature_vector: nearVector }
+          ]
+        });
+      expect(positional.status).toBe(400);
+    });
+  });
+
+  describe('Embedding Spaces', () => {
+    const spaceUserId = '550e8400-e29b-41d4-a716-446655442000';
+    const unitVector = (index, weight = 1) => {
+      const vector = new Array(384).fill(0);
+      vector[index] = weight;
+      return vector;
+    };
+    const textMemory = { ...sampleMemory, user_id: spaceUserId, feature_vector: unitVector(0) };
+    let textMemoryId;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send(textMemory);
+      textMemoryId = created.body.data.id;
+    });
+
+    it('should list the configured spaces', async () => {
+      const response = await request(app)
+        .get('/api/memory-embeddings/spaces')
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.spaces).toEqual([
+        { name: 'features_v1', dimension: 90, metric: 'cosine', collection: 'memory_embeddings', default: true },
+        { name: 'text_v2', dimension: 384, metric: 'dot_product', collection: 'memory_embeddings_text_v2', default: false }
+      ]);
+    });
+
+    it('should keep memories in the space they were written to', async () => {
+      expect(textMemoryId).toBeDefined();
+
+      const inSpace = await request(app)
+        .get(`/api/memory-embeddings/${textMemoryId}?space=text_v2`)
+        .set('X-API-Key', apiKey);
+      expect(inSpace.status).toBe(200);
+      expect(inSpace.body.data.feature_vector).toHaveLength(384);
+
+      const inDefault = await request(app)
+        .get(`/api/memory-embeddings/${textMemoryId}`)
+        .set('X-API-Key', apiKey);
+      expect(inDefault.status).toBe(404);
+    });
+
+    it('should validate vectors against the space\'s dimension', async () => {
+      const wrongForText = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send(sampleMemory);
+      expect(wrongForText.status).toBe(400);
+      expect(wrongForText.body.details).toContain('384 dimensions');
+
+      const wrongForDefault = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send(textMemory);
+      expect(wrongForDefault.status).toBe(400);
+      expect(wrongForDefault.body.details).toContain('90 dimensions');
+
+      const batch = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send({ embeddings: [{ ...textMemory, feature_vector: unitVector(1) }, sampleMemory], ordered: false });
+      expect(batch.status).toBe(207);
+      expect(batch.body.data.results.map(result => result.status)).toEqual(['created', 'invalid']);
+    });
+
+    it('should rank with the space\'s metric', async () => {
+      const stronger = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send({ ...textMemory, feature_vector: unitVector(0, 2) });
+
+      const response = await request(app)
+        .post('/api/memory-embeddings/similarity?space=text_v2')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: unitVector(0), limit: 2, filters: { user_id: spaceUserId } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.results.map(memory => memory.id)).toEqual([stronger.body.data.id, textMemoryId]);
+    });
+
+    it('should measure MMR redundancy with the given similarity', () => {
+      const candidates = [
+        { id: 'a', relevance: 0.9, vector: [1, 0] },
+        { id: 'b', relevance: 0.85, vector: [0.8, 0.6] },
+        { id: 'c', relevance: 0.6, vector: [0, 1] }
+      ];
+      const pick = (similarity) => maximalMarginalRelevance(candidates, {
+        lambda: 0.5,
+        limit: 2,
+        relevance: candidate => candidate.relevance,
+        vector: candidate => candidate.vector,
+        similarity
+      }).map(({ item }) => item.id);
+
+      expect(pick(() => 0)).toEqual(['a', 'b']);
+      expect(pick(similarityFor('cosine'))).toEqual(['a', 'c']);
+    });
+
+    it('should re-rank with MMR in a dot-product space', async () => {
+      // Unit vectors: a and its near-duplicate b are the most relevant, c is less
+      // relevant but different
+      const unitMix = (...components) => {
+        const vector = new Array(384).fill(0);
+        const norm = Math.hypot(...components.map(([, weight]) => weight));
+        components.forEach(([index, weight]) => { vector[index] = weight / norm; });
+        return vector;
+      };
+      const mmrUserId = '550e8400-e29b-41d4-a716-446655442001';
+      const ids = {};
+      for (const [name, vector] of [['a', unitVector(0)], ['b', unitMix([0, 1], [2, 0.05])], ['c', unitVector(1)]]) {
+        const created = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .set('X-Embedding-Space', 'text_v2')
+          .send({ ...textMemory, user_id: mmrUserId, feature_vector: vector });
+        ids[name] = created.body.data.id;
+      }
+
+      const search = (rerank) => request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send({ feature_vector: unitMix([0, 2], [1, 1]), limit: 2, filters: { user_id: mmrUserId }, rerank });
+
+      const plain = await search(undefined);
+      expect(plain.body.data.results.map(memory => memory.id)).toEqual([ids.a, ids.b]);
+
+      const reranked = await search({ strategy: 'mmr', lambda: 0.5 });
+      expect(reranked.status).toBe(200);
+      expect(reranked.body.data.results.map(memory => memory.id)).toEqual([ids.a, ids.c]);
+    });
+
+    it('should reject unknown spaces and default-only features', async () => {
+      const unknown = await request(app)
+        .get('/api/memory-embeddings/query')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v9');
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toContain('Unknown embedding space');
+
+      const related = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2')
+        .send({ ...textMemory, relationships: [textMemoryId] });
+      expect(related.status).toBe(400);
+      expect(related.body.details).toContain('only supported in the default embedding space');
+
+      const graph = await request(app)
+        .get(`/api/memory-embeddings/${textMemoryId}/graph`)
+        .set('X-API-Key', apiKey)
+        .set('X-Embedding-Space', 'text_v2');
+      expect(graph.status).toBe(400);
+    });
+
+    it('should delete a user\'s memories from every space', async () => {
+      await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: spaceUserId });
+
+      const started = await request(app)
+        .delete(`/api/memory-embeddings/user/${spaceUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(started.status).toBe(202);
+
+      let job;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        job = await request(app).get(started.body.data.status_url).set('X-API-Key', apiKey);
+        if (!['pending', 'running'].includes(job.body.data.status)) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      expect(job.body.data.status).toBe('completed');
+      expect(job.body.data.progress.deleted_memories).toBe(4);
+
+      const remaining = await request(app)
+        .get(`/api/memory-embeddings/user/${spaceUserId}?space=text_v2`)
+        .set('X-API-Key', apiKey);
+      expect(remaining.body.data.results).toHaveLength(0);
+    });
+  });
+
+  describe('Field Encryption', () => {
+    const encryptedUserId = '550e8400-e29b-41d4-a716-446655442100';
+    const userToken = jwt.sign({ user_id: encryptedUserId }, process.env.JWT_SECRET);
+    let memoryId;
+
+    const storedMemory = async (id) => (await memoryEmbeddingService.initialize()).findOne({ _id: id });
+
+    const waitForRotation = async () => {
+      let status;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        status = await request(app).get('/api/memory-embeddings/encryption/status').set('X-API-Key', apiKey);
+        if (!status.body.data.running) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return status.body.data.last_report;
+    };
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: encryptedUserId });
+      memoryId = created.body.data.id;
+    });
+
+    it('should store content encrypted and return it decrypted', async () => {
+      const stored = await storedMemory(memoryId);
+      expect(stored.content_summary).toMatch(/^enc:v1:1:/);
+      expect(stored.context_needed).toMatch(/^enc:v1:1:/);
+      expect(JSON.stringify(stored)).not.toContain('anxiety about upcoming exams');
+
+      const fetched = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey);
+      expect(fetched.body.data.content_summary).toBe(sampleMemory.content_summary);
+      expect(fetched.body.data.context_needed).toEqual(sampleMemory.context_needed);
+
+      const similar = await request(app)
+        .post('/api/memory-embeddings/similarity')
+        .set('X-API-Key', apiKey)
+        .send({ feature_vector: sampleMemory.feature_vector, limit: 1, filters: { user_id: encryptedUserId } });
+      expect(similar.body.data.results[0].content_summary).toBe(sampleMemory.content_summary);
+    });
+
+    it('should reject client content that looks like ciphertext', async () => {
+      const forged = 'enc:v1:1:aaaa:bbbb:cccc';
+
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: encryptedUserId, content_summary: forged });
+      expect(created.status).toBe(400);
+      expect(created.body.details).toContain('must not start with');
+
+      const updated = await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .send({ content_summary: forged });
+      expect(updated.status).toBe(400);
+
+      const batch = await request(app)
+        .post('/api/memory-embeddings/batch')
+        .set('X-API-Key', apiKey)
+        .send({ embeddings: [{ ...sampleMemory, user_id: encryptedUserId, content_summary: forged }] });
+      expect(batch.status).toBe(207);
+      expect(batch.body.data.counts).toEqual({ invalid: 1 });
+
+      const imported = await request(app)
+        .post('/api/memory-embeddings/import')
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(`${JSON.stringify({ ...sampleMemory, id: '550e8400-e29b-41d4-a716-446655442101', user_id: encryptedUserId, content_summary: forged })}\n`);
+      expect(imported.body.data).toMatchObject({ imported_count: 0, error_count: 1 });
+
+      const listed = await request(app)
+        .get(`/api/memory-embeddings/user/${encryptedUserId}`)
+        .set('X-API-Key', apiKey);
+      expect(listed.status).toBe(200);
+    });
+
+    it('should encrypt replaced values in the version history', async () => {
+      await request(app)
+        .put(`/api/memory-embeddings/${memoryId}`)
+        .set('X-API-Key', apiKey)
+        .send({ content_summary: 'User reported sleeping better after exams' });
+
+      const versions = await memoryVersionService.initialize();
+      const record = await versions.findOne({ memory_id: memoryId, version: 1 });
+      expect(record.previous_values.content_summary).toMatch(/^enc:v1:/);
+
+      const history = await request(app)
+        .get(`/api/memory-embeddings/${memoryId}/history`)
+        .set('X-API-Key', apiKey);
+      expect(history.body.data.versions[0].previous_values.content_summary).toBe(sampleMemory.content_summary);
+    });
+
+    it('should re-encrypt memories under a new data key when rotating', async () => {
+      // A memory stored before encryption was enabled
+      const legacy = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: encryptedUserId, content_summary: 'Legacy plaintext note' });
+      await (await memoryEmbeddingService.initialize()).updateOne(
+        { _id: legacy.body.data.id },
+        { $set: { content_summary: 'Legacy plaintext note', context_needed: { legacy: true } } }
+      );
+
+      const forbidden = await request(app)
+        .post('/api/memory-embeddings/encryption/rotate')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ user_id: encryptedUserId });
+      expect(forbidden.status).toBe(403);
+
+      const started = await request(app)
+        .post('/api/memory-embeddings/encryption/rotate')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: encryptedUserId, rotate_data_keys: true });
+      expect(started.status).toBe(202);
+      expect(started.body.data.status).toBe('running');
+
+      const report = await waitForRotation();
+      expect(report.status).toBe('completed');
+      expect(report.rotated_data_keys).toBe(1);
+      expect(report.reencrypted_memories).toBe(2);
+      expect(report.reencrypted_versions).toBe(1);
+      expect(report.destroyed_data_keys).toBe(1);
+
+      expect((await storedMemory(memoryId)).content_summary).toMatch(/^enc:v1:2:/);
+      expect((await storedMemory(legacy.body.data.id)).context_needed).toMatch(/^enc:v1:2:/);
+
+      const fetched = await request(app)
+        .get(`/api/memory-embeddings/${legacy.body.data.id}`)
+        .set('X-API-Key', apiKey);
+      expect(fetched.body.data.content_summary).toBe('Legacy plaintext note');
+      expect(fetched.body.data.context_needed).toEqual({ legacy: true });
+    });
+
+    it('should not reuse data keys loaded while a user is shredded', async () => {
+      const shreddedUserId = '550e8400-e29b-41d4-a716-446655442102';
+      const created = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: shreddedUserId });
+      const stored = await storedMemory(created.body.data.id);
+      fieldEncryptionService.evict(shreddedUserId);
+
+      // A read of the keys that started before the shred finishes after it
+      const keys = await fieldEncryptionService.initialize();
+      const find = keys.find.bind(keys);
+      let markRead;
+      let release;
+      const read = new Promise(resolve => { markRead = resolve; });
+      const released = new Promise(resolve => { release = resolve; });
+      const spy = jest.spyOn(keys, 'find').mockImplementationOnce((...args) => ({
+        async *[Symbol.asyncIterator]() {
+          const docs = await find(...args).toArray();
+          markRead();
+          await released;
+          yield* docs;
+        }
+      }));
+
+      const loading = fieldEncryptionService.userKeys(shreddedUserId);
+      await read;
+      await fieldEncryptionService.shredUser(shreddedUserId);
+
+      // Reads after the shred do not share the load that read the keys before it
+      const decrypting = fieldEncryptionService.decryptDocument(stored);
+      release();
+      expect((await loading).keys.size).toBe(1);
+      expect((await decrypting).content_summary).toBeNull();
+      spy.mockRestore();
+    });
+
+    it('should make a user\'s content unreadable at once when shredding', async () => {
+      const stored = await storedMemory(memoryId);
+
+      const started = await request(app)
+        .delete(`/api/memory-embeddings/user/${encryptedUserId}?shred=true`)
+        .set('X-API-Key', apiKey);
+      expect(started.status).toBe(202);
+      expect(started.body.data.shredded_at).toBeDefined();
+      expect(started.body.data.progress.destroyed_data_keys).toBe(1);
+
+      const decrypted = await fieldEncryptionService.decryptDocument(stored);
+      expect(decrypted.content_summary).toBeNull();
+      expect(decrypted.context_needed).toBeNull();
+
+      let job;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        job = await request(app).get(started.body.data.status_url).set('X-API-Key', apiKey);
+        if (!['pending', 'running'].includes(job.body.data.status)) break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      expect(job.body.data.status).toBe('completed');
+      expect(job.body.data.receipt.shredded_at).toBe(started.body.data.shredded_at);
+      expect(job.body.data.receipt.destroyed_data_keys).toBe(1);
+    });
+  });
+
+  describe('Emotional Timeline', () => {
+    const timelineUserId = '550e8400-e29b-41d4-a716-446655442200';
+    const timelineUrl = `/api/memory-embeddings/user/${timelineUserId}/analytics/emotional-timeline`;
+
+    beforeAll(async () => {
+      // Five calm weeks starting Monday 2026-01-05, then a week of intense emotion memories
+      const lines = [];
+      for (let week = 0; week < 6; week++) {
+        const intense = week === 5;
+        for (let i = 0; i < (intense ? 3 : 2); i++) {
+          lines.push({
+            ...sampleMemory,
+            id: `550e8400-e29b-41d4-a716-4466554422${week}${i}`,
+            user_id: timelineUserId,
+            memory_type: intense ? 'emotion' : 'conversation',
+            emotional_significance: intense ? 0.9 : 0.3 + i * 0.05,
+            created_at: new Date(Date.UTC(2026, 0, 5 + week * 7 + i, 12)).toISOString()
+          });
+        }
+      }
+
+      await request(app)
+        .post('/api/memory-embeddings/import')
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(lines.map(line => JSON.stringify(line)).join('\n'));
+    });
+
+    it('should aggregate memories into weekly buckets', async () => {
+      const response = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'week', start: '2026-01-07', end: '2026-02-15' })
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.start).toBe('2026-01-05T00:00:00.000Z');
+      expect(data.end).toBe('2026-02-16T00:00:00.000Z');
+      expect(data.memory_count).toBe(13);
+      expect(data.buckets).toHaveLength(6);
+      expect(data.buckets[0].memory_count).toBe(2);
+      expect(data.buckets[0].emotional_significance.average).toBeCloseTo(0.325);
+      expect(data.buckets[5].memory_types).toEqual({ conversation: 0, event: 0, emotion: 3, insight: 0 });
+      expect(data.buckets[5].emotional_significance.emotion_memories_average).toBeCloseTo(0.9);
+      expect(data.buckets[5].moving_average.emotional_significance).toBeCloseTo((0.325 * 2 + 0.9) / 3);
+    });
+
+    it('should detect spikes and flag the rising trend', async () => {
+      const response = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'week', start: '2026-01-05', end: '2026-02-15' })
+        .set('X-API-Key', apiKey);
+
+      const { data } = response.body;
+      expect(data.spikes).toEqual([
+        expect.objectContaining({ bucket_start: '2026-02-09T00:00:00.000Z', metric: 'emotional_significance', direction: 'up' })
+      ]);
+      expect(data.trends.emotional_significance.direction).toBe('rising');
+      expect(data.flags.map(flag => flag.type)).toEqual(['emotional_spike', 'rising_emotional_significance']);
+    });
+
+    it('should keep the newest buckets when the scan is truncated', async () => {
+      // A copy of the service with a scan cap of 5, reading the same collection
+      let analyticsService;
+      process.env.ANALYTICS_MAX_MEMORIES = '5';
+      jest.isolateModules(() => {
+        jest.doMock('../services/memoryEmbeddingService', () => memoryEmbeddingService);
+        analyticsService = require('../services/memoryAnalyticsService');
+      });
+      jest.dontMock('../services/memoryEmbeddingService');
+      delete process.env.ANALYTICS_MAX_MEMORIES;
+
+      const data = await analyticsService.getEmotionalTimeline(timelineUserId, {
+        interval: 'week',
+        start: '2026-01-05',
+        end: '2026-02-15'
+      });
+      expect(data).toMatchObject({ memory_count: 5, scan_truncated: true });
+      expect(data.buckets.map(bucket => bucket.memory_count)).toEqual([0, 0, 0, 0, 2, 3]);
+      expect(data.flags.map(flag => flag.type)).not.toContain('activity_drop');
+    });
+
+    it('should bucket by day and month', async () => {
+      const daily = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'day', start: '2026-02-09', end: '2026-02-11' })
+        .set('X-API-Key', apiKey);
+      expect(daily.body.data.buckets.map(bucket => bucket.memory_count)).toEqual([1, 1, 1]);
+
+      const monthly = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'month', start: '2026-01-20', end: '2026-02-01' })
+        .set('X-API-Key', apiKey);
+      expect(monthly.body.data.buckets.map(bucket => bucket.start)).toEqual(['2026-01-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z']);
+      expect(monthly.body.data.memory_count).toBe(13);
+    });
+
+    it('should reject invalid ranges and intervals', async () => {
+      const reversed = await request(app)
+        .get(timelineUrl)
+        .query({ start: '2026-02-01', end: '2026-01-01' })
+        .set('X-API-Key', apiKey);
+      expect(reversed.status).toBe(400);
+
+      const tooLong = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'day', start: '2020-01-01', end: '2026-01-01' })
+        .set('X-API-Key', apiKey);
+      expect(tooLong.status).toBe(400);
+
+      const interval = await request(app)
+        .get(timelineUrl)
+        .query({ interval: 'hour' })
+        .set('X-API-Key', apiKey);
+      expect(interval.status).toBe(400);
+    });
+  });
+
+  describe('Trigger Recall', () => {
+    const triggerUserId = '550e8400-e29b-41d4-a716-446655442300';
+    const ids = {};
+
+    const createMemory = async (name, overrides) => {
+      const response = await request(app)
+        .post('/api/memory-embeddings')
+        .set('X-API-Key', apiKey)
+        .send({ ...sampleMemory, user_id: triggerUserId, ...overrides });
+      ids[name] = response.body.data.id;
+    };
+
+    beforeAll(async () => {
+      await createMemory('exams', { importance_score: 0.5, retrieval_triggers: ['Exams', 'Panic Attacks'] });
+      await createMemory('panic', { importance_score: 0.9, retrieval_triggers: ['panic attack'] });
+      await createMemory('both', { importance_score: 0.3, retrieval_triggers: ['exam', 'panic attack', 'Worried'] });
+      await createMemory('other', { importance_score: 1, retrieval_triggers: ['gardening'] });
+    });
+
+    it('should recall memories by normalised triggers ranked by matches then importance', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/recall/triggers')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: triggerUserId, triggers: ['Panic attacks', 'the exams'] });
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.normalized_triggers).toEqual(['panic attack', 'exam']);
+      expect(data.results.map(result => result.id)).toEqual([ids.exams, ids.both, ids.panic]);
+      expect(data.results[0].match_count).toBe(2);
+      expect(data.results[0].matched_triggers).toEqual(['Exams', 'Panic Attacks']);
+      expect(data.results[2].match_ratio).toBe(0.5);
+      expect(data.results[0].content_summary).toBe(sampleMemory.content_summary);
+
+      const strict = await request(app)
+        .post('/api/memory-embeddings/recall/triggers')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: triggerUserId, triggers: ['worries', 'exam'], min_matches: 2 });
+      expect(strict.body.data.results.map(result => result.id)).toEqual([ids.both]);
+    });
+
+    it('should list trigger frequencies, spellings and co-occurrence', async () => {
+      const response = await request(app)
+        .get(`/api/memory-embeddings/user/${triggerUserId}/triggers`)
+        .set('X-API-Key', apiKey);
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.memory_count).toBe(4);
+      expect(data.trigger_count).toBe(4);
+      expect(data.triggers[0]).toEqual(expect.objectContaining({
+        trigger: 'panic attack',
+        memory_count: 3,
+        share: 0.75,
+        variants: [{ text: 'panic attack', count: 2 }, { text: 'Panic Attacks', count: 1 }]
+      }));
+      expect(data.triggers[0].co_occurs_with[0]).toEqual({ trigger: 'exam', count: 2 });
+      expect(data.co_occurrence[0]).toEqual({ triggers: ['exam', 'panic attack'], count: 2, jaccard: 2 / 3 });
+
+      const frequent = await request(app)
+        .get(`/api/memory-embeddings/user/${triggerUserId}/triggers`)
+        .query({ min_count: 2 })
+        .set('X-API-Key', apiKey);
+      expect(frequent.body.data.triggers.map(trigger => trigger.trigger)).toEqual(['panic attack', 'exam']);
+    });
+
+    it('should reject triggers that are stop words only', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/recall/triggers')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: triggerUserId, triggers: ['the', 'and'] });
+      expect(response.status).toBe(400);
+    });
+
+    it('should index memories stored without trigger keys when reindexing', async () => {
+      await (await memoryEmbeddingService.initialize()).updateOne(
+        { _id: ids.other },
+        { $unset: { trigger_keys: '' } }
+      );
+
+      const recall = () => request(app)
+        .post('/api/memory-embeddings/recall/triggers')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: triggerUserId, triggers: ['Gardening'] });
+      expect((await recall()).body.data.results).toHaveLength(0);
+
+      const reindex = await request(app)
+        .post('/api/memory-embeddings/triggers/reindex')
+        .set('X-API-Key', apiKey);
+      expect(reindex.status).toBe(200);
+      expect(reindex.body.data.updated_count).toBeGreaterThanOrEqual(1);
+
+      expect((await recall()).body.data.results.map(result => result.id)).toEqual([ids.other]);
+    });
+  });
+
+  describe('Full-Text Search', () => {
+    const searchUserId = '550e8400-e29b-41d4-a716-446655442400';
+    const hikingVector = new Array(90).fill(0).map((_, i) => (i % 2 === 0 ? 1 : -0.5));
+    const ids = {};
+
+    const search = (query) => request(app)
+      .get('/api/memory-embeddings/search')
+      .query({ user_id: searchUserId, ...query })
+      .set('X-API-Key', apiKey);
+
+    beforeAll(async () => {
+      const memories = {
+        attack: {
+          content_summary: 'Had a panic attack before the chemistry exam and used breathing exercises',
+          retrieval_triggers: ['panic attack', 'exam'],
+          importance_score: 0.5
+        },
+        hiking: {
+          content_summary: 'Went hiking with friends and felt calm in the mountains',
+          retrieval_triggers: ['hiking'],
+          importance_score: 0.9,
+          feature_vector: hikingVector
+        },
+        deadlines: {
+          content_summary: 'Exams & deadlines <soon>: I feel some panic, but no attack yet',
+          retrieval_triggers: ['school'],
+          importance_score: 0.4
+        }
+      };
+      for (const [name, memory] of Object.entries(memories)) {
+        const response = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: searchUserId, ...memory });
+        ids[name] = response.body.data.id;
+      }
+    });
+
+    it('should rank memories by BM25 over content and triggers', async () => {
+      const response = await search({ q: 'Panic attacks' });
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.terms).toEqual(['panic', 'attack']);
+      expect(data.ranking).toEqual({ method: 'bm25' });
+      expect(data.memories_scanned).toBe(3);
+      expect(data.results.map(result => result.id)).toEqual([ids.attack, ids.deadlines]);
+      expect(data.results[0].bm25_score).toBeGreaterThan(data.results[1].bm25_score);
+      expect(data.results[0].matched_terms).toEqual(['panic', 'attack']);
+      expect(data.results[0].matched_triggers).toEqual(['panic attack']);
+      expect(data.results[0].content_summary).toBe('Had a panic attack before the chemistry exam and used breathing exercises');
+    });
+
+    it('should require quoted phrases to occur as written', async () => {
+      const response = await search({ q: '"panic attack"' });
+
+      expect(response.body.data.phrases).toEqual(['panic attack']);
+      expect(response.body.data.results.map(result => result.id)).toEqual([ids.attack]);
+      expect(response.body.data.results[0].matched_phrases).toEqual(['panic attack']);
+    });
+
+    it('should return highlighted, escaped snippets', async () => {
+      const response = await search({ q: 'panic exams' });
+
+      const deadlines = response.body.data.results.find(result => result.id === ids.deadlines);
+      const { text, highlights, html } = deadlines.snippet;
+      expect(text).toBe('Exams & deadlines <soon>: I feel some panic, but no attack yet');
+      expect(highlights.map(([start, end]) => text.slice(start, end))).toEqual(['Exams', 'panic']);
+      expect(html).toBe('<mark>Exams</mark> &amp; deadlines &lt;soon&gt;: I feel some <mark>panic</mark>, but no attack yet');
+    });
+
+    it('should fuse text and vector rankings when a feature vector is given', async () => {
+      const response = await request(app)
+        .post('/api/memory-embeddings/search')
+        .set('X-API-Key', apiKey)
+        .send({ user_id: searchUserId, q: 'panic', feature_vector: hikingVector });
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.ranking).toEqual({ method: 'rrf', k: 60 });
+      expect(data.results).toHaveLength(3);
+      const hiking = data.results.find(result => result.id === ids.hiking);
+      expect(hiking).toEqual(expect.objectContaining({ text_rank: null, vector_rank: 1, bm25_score: 0 }));
+      expect(hiking.similarity_score).toBeCloseTo(1);
+      expect(data.results[0].text_rank).toBe(1);
+
+      const viaQuery = await search({ q: 'panic', feature_vector: hikingVector.join(',') });
+      expect(viaQuery.body.data.results.map(result => result.id)).toEqual(data.results.map(result => result.id));
+    });
+
+    it('should reject searches without terms, user or a valid vector', async () => {
+      expect((await search({ q: 'the and' })).status).toBe(400);
+      expect((await search({ q: 'panic', feature_vector: '1,2' })).status).toBe(400);
+
+      const withoutUser = await request(app)
+        .get('/api/memory-embeddings/search')
+        .query({ q: 'panic' })
+        .set('X-API-Key', apiKey);
+      expect(withoutUser.status).toBe(400);
+    });
+  });
+
+  describe('Context Packing', () => {
+    const contextUserId = '550e8400-e29b-41d4-a716-446655442500';
+    const contextUrl = `/api/memory-embeddings/user/${contextUserId}/context`;
+    const queryVector = new Array(90).fill(0).map((_, i) => (i % 3 === 0 ? 1 : -0.4));
+    const nearby = (noise) => queryVector.map((value, i) => value + (i % 5 === 0 ? noise : 0));
+    const similarityOnly = { similarity: 1, importance: 0, emotional: 0, temporal: 0, recency: 0, access: 0, keyword: 0 };
+    const ids = {};
+
+    const pack = (body) => request(app)
+      .post(contextUrl)
+      .set('X-API-Key', apiKey)
+      .send({ feature_vector: queryVector, weights: similarityOnly, ...body });
+
+    beforeAll(async () => {
+      const memories = {
+        walk: {
+          content_summary: 'Walked by the river to clear my head after revising',
+          feature_vector: nearby(0.3),
+          context_needed: {}
+        },
+        exam: {
+          content_summary: 'Panic attack during the chemistry exam',
+          feature_vector: queryVector,
+          context_needed: { support_system: 'family' },
+          retrieval_triggers: ['exam']
+        },
+        family: {
+          content_summary: 'Mum stayed on the phone with me for an hour until I calmed down completely',
+          feature_vector: queryVector.map(value => -value),
+          context_needed: {},
+          retrieval_triggers: ['Family']
+        },
+        duplicate: {
+          content_summary: 'Panic attack during the  chemistry exam',
+          feature_vector: nearby(0.1),
+          context_needed: {}
+        }
+      };
+      for (const [name, memory] of Object.entries(memories)) {
+        const response = await request(app)
+          .post('/api/memory-embeddings')
+          .set('X-API-Key', apiKey)
+          .send({ ...sampleMemory, user_id: contextUserId, retrieval_triggers: [], ...memory });
+        ids[name] = response.body.data.id;
+      }
+    });
+
+    it('should pack relevant memories with the context they need and record access', async () => {
+      const response = await pack({ max_tokens: 1000 });
+
+      expect(response.status).toBe(200);
+      const { data } = response.body;
+      expect(data.memory_ids).toEqual([ids.exam, ids.family, ids.walk]);
+      expect(data.memories[1]).toEqual(expect.objectContaining({ reason: 'context', required_by: ids.exam }));
+      expect(data.skipped).toEqual({ budget: 0, duplicate: 1 });
+      expect(data.context.split('\n')).toHaveLength(3);
+      expect(data.context).toMatch(/^\[\d{4}-\d{2}-\d{2}\] conversation: Panic attack during the chemistry exam\n/);
+      expect(data.used.chars).toBe(data.context.length);
+      expect(data.access_recorded).toBe(3);
+
+      const fetched = await request(app)
+        .get(`/api/memory-embeddings/${ids.family}`)
+        .set('X-API-Key', apiKey);
+      expect(fetched.body.data.access_frequency).toBe(1);
+    });
+
+    it('should stay within the budget and order chronologically', async () => {
+      const full = await pack({ max_chars: 10000, record_access: false });
+      const chars = Object.fromEntries(full.body.data.memories.map(memory => [memory.id, memory.chars]));
+
+      const response = await pack({ max_chars: chars[ids.exam] + 1 + chars[ids.walk], order: 'chronological', record_access: false });
+      const { data } = response.body;
+      expect(data.memory_ids).toEqual([ids.walk, ids.exam]);
+      expect(data.skipped.budget).toBe(1);
+      expect(data.used.chars).toBeLessThanOrEqual(data.budget.chars);
+      expect(data.access_recorded).toBe(0);
+
+      const tiny = await pack({ max_tokens: 5 });
+      expect(tiny.body.data.memory_ids).toEqual([]);
+      expect(tiny.body.data.context).toBe('');
+    });
+
+    it('should leave out context memories when include_related is false', async () => {
+      const response = await pack({ max_chars: 10000, include_related: false, record_access: false });
+      expect(response.body.data.memory_ids).toEqual([ids.exam, ids.walk]);
+    });
+
+    it('should require a budget and a vector of the right dimension', async () => {
+      expect((await pack({})).status).toBe(400);
+      expect((await pack({ max_tokens: 100, feature_vector: [0.1, 0.2] })).status).toBe(400);
+    });
+  });
+
   describe('Memory Types', () => {
     it('should get memories by type', async () => {
       const response = await request(app)
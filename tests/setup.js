@@ -5,6 +5,14 @@ require('dotenv').config({ path: '.env.test' });
 process.env.NODE_ENV = 'test';
 process.env.PORT = process.env.PORT || '3001';
 process.env.API_KEY = process.env.API_KEY || 'test-api-key';
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.DELETION_RECEIPT_SECRET = process.env.DELETION_RECEIPT_SECRET || 'test-deletion-receipt-secret';
+process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '10000';
+process.env.EMBEDDING_SPACES = process.env.EMBEDDING_SPACES || 'features_v1:90:cosine:memory_embeddings,text_v2:384:dot_product';
+// The whole suite runs with field encryption on; keys are read fresh on every use
+process.env.FIELD_ENCRYPTION_KEYS = process.env.FIELD_ENCRYPTION_KEYS || 'test:dGVzdC1tYXN0ZXIta2V5LTAxMjM0NTY3ODlhYmNkZWY=';
+process.env.FIELD_ENCRYPTION_KEY_CACHE_TTL_MS = process.env.FIELD_ENCRYPTION_KEY_CACHE_TTL_MS || '0';
 
 // Mock console.log during tests to reduce noise
 if (process.env.NODE_ENV === 'test') {
@@ -0,0 +1,33 @@
+// Bounded-concurrency helpers for fanning out storage calls.
+
+// Map items through an async function with at most `limit` calls in flight. Results keep
+// the order of the input; the first rejection rejects the whole map.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+// Split an array into consecutive chunks of at most `size` items
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+module.exports = {
+  mapWithConcurrency,
+  chunk
+};
@@ -0,0 +1,34 @@
+// ETags for optimistic concurrency.
+//
+// A memory's ETag is its version number as a strong validator. Clients send it back in
+// If-Match so a write only applies to the version they read; the service enforces this
+// with a conditional filter on `version`.
+
+const formatEtag = (version) => `"${version || 1}"`;
+
+// Condition matching the version a document was read at; documents written before
+// versioning have no version field and count as version 1
+const versionFilter = (doc) => (doc.version === undefined ? { $exists: false } : doc.version);
+
+// Version required by an If-Match header; undefined when the header is absent or `*`
+// (any current representation). Only a single strong ETag is accepted.
+const parseIfMatch = (header) => {
+  if (header === undefined || header.trim() === '*') {
+    return undefined;
+  }
+
+  const match = header.trim().match(/^"(\d+)"$/);
+  if (!match) {
+    const error = new Error('Invalid If-Match header: expected a single strong ETag such as "3"');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return parseInt(match[1]);
+};
+
+module.exports = {
+  formatEtag,
+  parseIfMatch,
+  versionFilter
+};
@@ -0,0 +1,46 @@
+// Opaque cursor tokens for keyset pagination.
+//
+// A cursor encodes the sort field, direction, the last returned document's sort value
+// and its _id (the tie-breaker), so the next page is fetched with a range filter instead
+// of skipping over every earlier document.
+
+const encodeCursor = (doc, sortBy, sortOrder) => {
+  const payload = { s: sortBy, o: sortOrder, v: doc[sortBy] === undefined ? null : doc[sortBy], id: doc._id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (token, sortBy, sortOrder) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!payload || typeof payload !== 'object' || payload.id === undefined || !('v' in payload)) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (payload.s !== sortBy || payload.o !== sortOrder) {
+    throw new Error('Invalid cursor: sort_by and sort_order must match the cursor\'s query');
+  }
+
+  return payload;
+};
+
+// Filter selecting documents strictly after the cursor position in (sortBy, _id) order
+const cursorFilter = (cursor) => {
+  const operator = cursor.o === 'asc' ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [cursor.s]: { [operator]: cursor.v } },
+      { [cursor.s]: cursor.v, _id: { [operator]: cursor.id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,86 @@
+// Scoring helpers for hybrid memory retrieval.
+//
+// Each component is normalised to [0, 1] and blended with a weighted average, so the
+// final relevance score stays in [0, 1] and is comparable with min_relevance_score.
+
+const DEFAULT_RETRIEVAL_WEIGHTS = {
+  similarity: 0.35,
+  importance: 0.15,
+  emotional: 0.1,
+  temporal: 0.1,
+  recency: 0.1,
+  access: 0.05,
+  keyword: 0.15
+};
+
+// Days after which the recency component halves
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.RETRIEVAL_RECENCY_HALF_LIFE_DAYS) || 30;
+
+// Access count at which the access component saturates at 1
+const ACCESS_FREQUENCY_SATURATION = parseInt(process.env.RETRIEVAL_ACCESS_SATURATION) || 50;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i',
+  'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to',
+  'was', 'we', 'were', 'what', 'when', 'with', 'you', 'your', 'about', 'how'
+]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Lowercased word tokens with stop words removed
+const tokenize = (text) => {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !STOP_WORDS.has(token));
+};
+
+const recencyScore = (timestamp, now = Date.now()) => {
+  if (!timestamp) return 0;
+  const ageDays = Math.max(0, (now - new Date(timestamp).getTime()) / MS_PER_DAY);
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+const accessScore = (accessFrequency) => {
+  return Math.min(1, Math.log1p(accessFrequency || 0) / Math.log1p(ACCESS_FREQUENCY_SATURATION));
+};
+
+// Share of the smaller side (query keywords or triggers) that overlaps with the other
+const keywordOverlapScore = (queryTokens, retrievalTriggers = []) => {
+  const triggers = new Set(retrievalTriggers.flatMap(trigger => tokenize(trigger)));
+  const tokens = new Set(queryTokens);
+  if (triggers.size === 0 || tokens.size === 0) return 0;
+
+  let matches = 0;
+  tokens.forEach(token => {
+    if (triggers.has(token)) matches++;
+  });
+  return matches / Math.min(triggers.size, tokens.size);
+};
+
+// Merge caller weights over the defaults and drop components that cannot be computed
+const resolveWeights = (overrides = {}, { hasVector = true } = {}) => {
+  const weights = { ...DEFAULT_RETRIEVAL_WEIGHTS, ...overrides };
+  if (!hasVector) weights.similarity = 0;
+  return weights;
+};
+
+const blendScores = (components, weights) => {
+  const totalWeight = Object.keys(components).reduce((sum, key) => sum + (weights[key] || 0), 0);
+  if (totalWeight === 0) return 0;
+
+  const weighted = Object.entries(components)
+    .reduce((sum, [key, value]) => sum + value * (weights[key] || 0), 0);
+  return weighted / totalWeight;
+};
+
+module.exports = {
+  DEFAULT_RETRIEVAL_WEIGHTS,
+  tokenize,
+  recencyScore,
+  accessScore,
+  keywordOverlapScore,
+  resolveWeights,
+  blendScores
+};
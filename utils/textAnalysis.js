@@ -0,0 +1,93 @@
+const { tokenize } = require('./retrievalScoring');
+
+// Term normalisation for keyword matching.
+//
+// Text is lowercased, stripped of diacritics, split into words (stop words dropped, see
+// retrievalScoring.tokenize) and every word is reduced by a light English suffix-stripping
+// stemmer, so "Worried", "worries" and "worry" all become "worry". The stemmer favours
+// consistency over linguistic accuracy: queries and stored text go through the same
+// steps, so only equal stems matter.
+
+const MIN_STEM_LENGTH = 3;
+
+const VOWEL = /[aeiouy]/;
+
+// A word of the original text (combining marks included, so offsets match the input)
+const WORD = /[\p{L}\p{N}\p{M}]+/gu;
+
+// Derivational suffixes and their replacements, stripped repeatedly
+// ("hopefulness" -> "hopeful" -> "hope")
+const DERIVATIONAL_SUFFIXES = [['ingly', ''], ['edly', ''], ['ation', 'at'], ['ness', ''], ['ment', ''], ['ful', '']];
+
+const foldDiacritics = (text) => String(text).normalize('NFKD').replace(/\p{M}/gu, '');
+
+const stripSuffix = (word, suffix, replacement = '') => {
+  if (!word.endsWith(suffix)) return null;
+  const stem = word.slice(0, -suffix.length) + replacement;
+  return stem.length >= MIN_STEM_LENGTH ? stem : null;
+};
+
+// A stem ending in a doubled consonant left by -ing/-ed ("running" -> "runn") is undoubled
+const undouble = (stem) => {
+  const last = stem[stem.length - 1];
+  return last === stem[stem.length - 2] && !VOWEL.test(last) && !'lsz'.includes(last) ? stem.slice(0, -1) : stem;
+};
+
+const iToY = (term) => (term.endsWith('i') ? `${term.slice(0, -1)}y` : term);
+
+const stem = (word) => {
+  if (word.length <= MIN_STEM_LENGTH || /\d/.test(word)) return word;
+
+  let result = word;
+
+  // Plurals and third person
+  result = stripSuffix(result, 'ies', 'y')
+    || stripSuffix(result, 'ied', 'y')
+    || stripSuffix(result, 'sses', 'ss')
+    || (/[^su]s$/.test(result) && !result.endsWith('is') ? stripSuffix(result, 's') : null)
+    || result;
+
+  for (let stripped = result; stripped;) {
+    result = stripped;
+    stripped = DERIVATIONAL_SUFFIXES.map(([suffix, replacement]) => stripSuffix(result, suffix, replacement)).find(Boolean);
+  }
+
+  // Verb endings, only when a vowel is left in the stem
+  for (const suffix of ['ing', 'ed']) {
+    const stripped = stripSuffix(result, suffix);
+    if (stripped && VOWEL.test(stripped)) {
+      result = undouble(stripped);
+      break;
+    }
+  }
+
+  // "happily" / "happy", "loneliness" / "lonely", "relate" / "related"
+  result = iToY(stripSuffix(iToY(result), 'ly') || iToY(result));
+  if (result.endsWith('e') && result.length > MIN_STEM_LENGTH) result = result.slice(0, -1);
+
+  return result;
+};
+
+// Normalised terms of a text, in order (duplicates kept)
+const analyze = (text) => tokenize(foldDiacritics(text)).map(stem);
+
+// Normalised terms of a text with the offsets of the words they came from, for
+// highlighting matches in the original text
+const analyzeWithOffsets = (text) => Array.from(String(text || '').matchAll(WORD))
+  .flatMap(match => analyze(match[0]).map(term => ({ term, start: match.index, end: match.index + match[0].length })));
+
+// Normalised form of a retrieval trigger (its terms joined by single spaces); empty when
+// the trigger consists of stop words only
+const triggerKey = (trigger) => analyze(trigger).join(' ');
+
+// Distinct normalised keys of a list of triggers
+const triggerKeys = (triggers = []) => Array.from(new Set(triggers.map(triggerKey).filter(Boolean)));
+
+module.exports = {
+  foldDiacritics,
+  stem,
+  analyze,
+  analyzeWithOffsets,
+  triggerKey,
+  triggerKeys
+};
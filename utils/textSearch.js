@@ -0,0 +1,115 @@
+const { analyze, analyzeWithOffsets } = require('./textAnalysis');
+
+// Ranking helpers for full-text search.
+//
+// Queries and documents are normalised by utils/textAnalysis, so matching is on stemmed
+// terms. Documents are ranked with BM25; a query may quote phrases, which must then
+// occur as consecutive terms. Text and vector rankings are combined with reciprocal
+// rank fusion, which only looks at ranks and so needs no score normalisation.
+
+// BM25 term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant (the usual 60 dampens the weight of the top ranks)
+const DEFAULT_RRF_K = 60;
+
+const PHRASE = /"([^"]*)"/g;
+
+// Terms and quoted phrases of a search query. Phrase terms count as query terms too;
+// a phrase of stop words only is dropped.
+const parseSearchQuery = (query) => {
+  const phrases = [];
+  const rest = String(query).replace(PHRASE, (_, text) => {
+    const terms = analyze(text);
+    if (terms.length > 0) phrases.push({ text: text.trim(), terms });
+    return ' ';
+  });
+
+  const terms = [...analyze(rest), ...phrases.flatMap(phrase => phrase.terms)];
+  return { terms: Array.from(new Set(terms)), phrases };
+};
+
+// Whether `phrase` occurs as consecutive terms of `sequence`
+const containsPhrase = (sequence, phrase) => {
+  for (let i = 0; i + phrase.length <= sequence.length; i++) {
+    if (phrase.every((term, offset) => sequence[i + offset] === term)) return true;
+  }
+  return false;
+};
+
+// BM25 inverse document frequency, never negative for very common terms
+const inverseDocumentFrequency = (documentCount, containing) => {
+  return Math.log(1 + (documentCount - containing + 0.5) / (containing + 0.5));
+};
+
+// BM25 score of a document given its term frequencies and length
+const bm25Score = ({ frequencies, length }, terms, { idf, averageLength, k1 = BM25_K1, b = BM25_B }) => {
+  return terms.reduce((score, term) => {
+    const frequency = frequencies.get(term) || 0;
+    if (frequency === 0) return score;
+    const norm = k1 * (1 - b + b * (averageLength > 0 ? length / averageLength : 1));
+    return score + idf.get(term) * (frequency * (k1 + 1)) / (frequency + norm);
+  }, 0);
+};
+
+// Fused score per ID of several rankings (arrays of IDs, best first)
+const reciprocalRankFusion = (rankings, k = DEFAULT_RRF_K) => {
+  const scores = new Map();
+  rankings.forEach(ranking => {
+    ranking.forEach((id, index) => scores.set(id, (scores.get(id) || 0) + 1 / (k + index + 1)));
+  });
+  return scores;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Excerpt of `text` of about `length` characters around the first word matching one of
+// `terms`, with the [start, end) offsets of the matching words in the excerpt and an
+// HTML version (escaped) with the matches wrapped in <mark>
+const buildSnippet = (text, terms, length) => {
+  if (!text) return null;
+
+  const hits = analyzeWithOffsets(text).filter(token => terms.has(token.term));
+  let start = 0;
+  if (hits.length > 0 && text.length > length) {
+    start = Math.max(0, Math.min(hits[0].start - Math.floor(length / 4), text.length - length));
+    if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const boundary = text.lastIndexOf(' ', end);
+    if (boundary > start) end = boundary;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  const highlights = hits
+    .filter(hit => hit.start >= start && hit.end <= end)
+    .map(hit => [hit.start - start + prefix.length, hit.end - start + prefix.length]);
+
+  let html = '';
+  let position = 0;
+  highlights.forEach(([from, to]) => {
+    html += `${escapeHtml(snippet.slice(position, from))}<mark>${escapeHtml(snippet.slice(from, to))}</mark>`;
+    position = to;
+  });
+  html += escapeHtml(snippet.slice(position));
+
+  return { text: snippet, highlights, html };
+};
+
+module.exports = {
+  DEFAULT_RRF_K,
+  parseSearchQuery,
+  containsPhrase,
+  inverseDocumentFrequency,
+  bm25Score,
+  reciprocalRankFusion,
+  buildSnippet
+};
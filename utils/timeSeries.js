@@ -0,0 +1,108 @@
+// Time bucketing and trend helpers for analytics time series.
+//
+// Buckets are in UTC: days start at midnight, weeks on Monday (ISO weeks) and months on
+// the 1st. A series is an array of numbers in bucket order, with null for buckets that
+// have no value.
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Start of the bucket containing `date`
+const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+// Start of the bucket after the one starting at `start`
+const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+// Starts of the consecutive buckets covering [start, end]
+const bucketRange = (start, end, interval) => {
+  const starts = [];
+  for (let current = bucketStart(start, interval); current <= end; current = nextBucket(current, interval)) {
+    starts.push(current);
+  }
+  return starts;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+// Trailing moving average over the last `window` buckets (the current one included);
+// buckets without a value are skipped, and a window with no values gives null
+const movingAverage = (series, window) => {
+  return series.map((_, index) => {
+    const values = series.slice(Math.max(0, index - window + 1), index + 1).filter(value => value !== null);
+    return values.length > 0 ? mean(values) : null;
+  });
+};
+
+// Least-squares slope per bucket of the buckets that have a value; null with fewer than two
+const linearSlope = (series) => {
+  const points = series
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => point.y !== null);
+  if (points.length < 2) return null;
+
+  const meanX = mean(points.map(point => point.x));
+  const meanY = mean(points.map(point => point.y));
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  return covariance / variance;
+};
+
+// Buckets whose value departs from the baseline of the `window` preceding valued buckets
+// by at least `threshold` standard deviations and at least `minDelta` in absolute terms
+// (so a perfectly flat baseline does not turn every small change into a spike)
+const detectSpikes = (series, { window, threshold, minDelta = 0 }) => {
+  const spikes = [];
+  const history = [];
+
+  series.forEach((value, index) => {
+    if (value === null) return;
+
+    if (history.length >= Math.min(window, 2)) {
+      const baseline = history.slice(-window);
+      const average = mean(baseline);
+      const deviation = standardDeviation(baseline);
+      const delta = value - average;
+
+      if (Math.abs(delta) >= minDelta && Math.abs(delta) >= threshold * deviation) {
+        spikes.push({
+          index,
+          value,
+          baseline: average,
+          z_score: deviation > 0 ? delta / deviation : null,
+          direction: delta > 0 ? 'up' : 'down'
+        });
+      }
+    }
+    history.push(value);
+  });
+
+  return spikes;
+};
+
+module.exports = {
+  INTERVALS,
+  bucketStart,
+  nextBucket,
+  bucketRange,
+  movingAverage,
+  linearSlope,
+  detectSpikes
+};
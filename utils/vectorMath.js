@@ -0,0 +1,117 @@
+// Vector helpers shared by the in-memory backend and services that compare stored
+// vectors directly (consolidation, re-ranking).
+
+// Similarities are reported in [0, 1], higher meaning more similar, so thresholds work
+// the same for every metric.
+
+const assertSameDimension = (a, b) => {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    throw new Error(`Vector dimension mismatch: expected ${a ? a.length : 0}, got ${b ? b.length : 0}`);
+  }
+};
+
+// Cosine similarity scaled to [0, 1], matching what AstraDB reports as $similarity
+const cosineSimilarity = (a, b) => {
+  assertSameDimension(a, b);
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0.5;
+  return (1 + dot / (Math.sqrt(normA) * Math.sqrt(normB))) / 2;
+};
+
+// Dot product scaled to [0, 1] the way AstraDB reports it; only meaningful for
+// unit-length vectors
+const dotProductSimilarity = (a, b) => {
+  assertSameDimension(a, b);
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return (1 + dot) / 2;
+};
+
+// 1 / (1 + squared Euclidean distance), as reported by AstraDB
+const euclideanSimilarity = (a, b) => {
+  assertSameDimension(a, b);
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += (a[i] - b[i]) ** 2;
+  }
+  return 1 / (1 + distance);
+};
+
+const SIMILARITY_FUNCTIONS = {
+  cosine: cosineSimilarity,
+  dot_product: dotProductSimilarity,
+  euclidean: euclideanSimilarity
+};
+
+// Similarity function of a collection's vector metric (cosine when unset)
+const similarityFor = (metric = 'cosine') => {
+  const similarity = SIMILARITY_FUNCTIONS[metric];
+  if (!similarity) {
+    throw new Error(`Unsupported vector metric '${metric}'`);
+  }
+  return similarity;
+};
+
+// Element-wise mean of equally sized vectors
+const centroid = (vectors) => {
+  if (vectors.length === 0) return [];
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => {
+    vector.forEach((value, i) => {
+      sum[i] += value;
+    });
+  });
+  return sum.map(value => value / vectors.length);
+};
+
+// Maximal marginal relevance: repeatedly pick the candidate maximising
+//   lambda * relevance - (1 - lambda) * (highest similarity to an already picked one)
+// so results stay relevant without repeating each other. `relevance` and `vector` read a
+// candidate's query similarity and embedding; `similarity` compares two candidates and
+// must be the metric relevance was measured with, so both terms share a scale.
+// Returns { item, score } in pick order.
+const maximalMarginalRelevance = (candidates, { lambda, limit, relevance, vector, similarity = cosineSimilarity }) => {
+  const remaining = candidates.map(item => ({ item, redundancy: 0 }));
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const score = lambda * relevance(candidate.item) - (1 - lambda) * candidate.redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    selected.push({ item: picked.item, score: bestScore });
+
+    // Only the newest pick can raise a candidate's redundancy
+    const pickedVector = vector(picked.item);
+    remaining.forEach(candidate => {
+      candidate.redundancy = Math.max(candidate.redundancy, similarity(vector(candidate.item), pickedVector));
+    });
+  }
+
+  return selected;
+};
+
+module.exports = {
+  cosineSimilarity,
+  dotProductSimilarity,
+  euclideanSimilarity,
+  similarityFor,
+  centroid,
+  maximalMarginalRelevance
+};